@@ -6,12 +6,94 @@ import { Separator } from "@/components/ui/separator"
 import { Switch } from "@/components/ui/switch"
 import { Slider } from "@/components/ui/slider"
 import { Input } from "@/components/ui/input"
-import { MessageSquare, Map, Settings, Wallet, Send, ArrowDownCircle, ArrowUpCircle, RefreshCw } from 'lucide-react'
+import { Textarea } from "@/components/ui/textarea"
+import { MessageSquare, Map, Settings, Wallet, Send, ArrowDownCircle, ArrowUpCircle, RefreshCw, History, Rocket, KeyRound, Users, Timer, Coins, ListChecks, CalendarClock, Gamepad2, ShieldCheck } from 'lucide-react'
 import ChatPanel from "@/components/chat-panel"
 import WindowFrame from "@/components/window-frame"
+import IsoRoom, { type TipEffect } from "@/components/iso-room"
+import TipPopover from "@/components/tip-popover"
+import ConfirmTransactionDialog, { type TxEstimate } from "@/components/confirm-transaction-dialog"
+import WalletPickerDialog from "@/components/wallet-picker-dialog"
 import styles from "@/styles/habbo.module.css"
 import { useWallet } from "@/hooks/useWallet"
 import { useContract } from "@/hooks/useContract"
+import { useHistory } from "@/hooks/useHistory"
+import { useNetwork } from "@/hooks/useNetwork"
+import { useWalletBook } from "@/hooks/useWalletBook"
+import { useMultisig } from "@/hooks/useMultisig"
+import { useSchedules } from "@/hooks/useSchedules"
+import { useContractIntegrity } from "@/hooks/useContractIntegrity"
+import { useMultiplayer } from "@/hooks/use-multiplayer"
+import { useSiwe } from "@/hooks/useSiwe"
+import { useTips } from "@/hooks/useTips"
+import { usePrices } from "@/hooks/usePrices"
+import { useBalanceWatch } from "@/hooks/useLiveUpdates"
+import { useTransactions } from "@/hooks/useTransactions"
+import { ROLES, useRole } from "@/hooks/useRole"
+import { ERROR_KINDS, toWalletError } from "@/lib/errors"
+import { getStoredConnectorId } from "@/lib/connectors"
+import { INTEGRITY_STATUS } from "@/lib/integrity"
+import { MAX_BATCH_SIZE, parsePayoutCsv } from "@/lib/payouts"
+import { TIP_PRESETS } from "@/lib/tips"
+import type { HistoryEntry } from "@/lib/contract"
+
+type HistoryFilter = "all" | "in" | "out" | "owner"
+
+type PendingConfirmation = {
+  title: string
+  estimate: TxEstimate
+  send: () => Promise<void>
+}
+
+const TX_KIND_LABELS: Record<string, string> = {
+  deposit: "Deposit",
+  withdraw: "Withdraw",
+  withdrawAll: "Withdraw all",
+  batchWithdraw: "Batch payout",
+  tip: "Plaza tip",
+  createSchedule: "Create schedule",
+  cancelSchedule: "Cancel schedule",
+  executeSchedule: "Scheduled payment",
+  withdrawToken: "Token withdrawal",
+  wrap: "Wrap",
+  unwrap: "Unwrap",
+  changeOwner: "Propose owner",
+  acceptOwnership: "Accept ownership",
+  cancelOwnershipTransfer: "Cancel ownership transfer",
+  setSpendingLimits: "Set spending limit",
+  applyPendingLimits: "Apply limit change",
+  cancelPendingLimits: "Cancel limit change",
+  executeQueuedWithdrawal: "Execute queued withdrawal",
+  cancelQueuedWithdrawal: "Cancel queued withdrawal",
+  submitProposal: "Propose transfer",
+  confirmProposal: "Confirm proposal",
+  revokeConfirmation: "Revoke confirmation",
+  executeProposal: "Execute proposal",
+  deploy: "Deploy wallet",
+}
+
+function formatTxStatus(tx: { status: string, replaceReason: string | null }) {
+  if (tx.status === "confirmed") return tx.replaceReason === "repriced" ? "confirmed (sped up)" : "confirmed"
+  if (tx.status === "replaced") return tx.replaceReason === "cancelled" ? "cancelled" : "replaced"
+  return tx.status
+}
+
+function formatCountdown(ms: number) {
+  if (ms <= 0) return "ready"
+  const total = Math.ceil(ms / 1000)
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = total % 60
+  return h > 0 ? `${h}h ${m}m ${s}s` : m > 0 ? `${m}m ${s}s` : `${s}s`
+}
+
+function formatInterval(seconds: number) {
+  const days = seconds / 86400
+  if (days === 1) return "day"
+  if (days === 7) return "week"
+  if (days === 30) return "30 days"
+  return Number.isInteger(days) ? `${days} days` : formatCountdown(seconds * 1000)
+}
 
 function getOrCreateId(key: string) {
   try {
@@ -41,6 +123,15 @@ export default function Page() {
   const [chatOpen, setChatOpen] = useState(true)
   const [navOpen, setNavOpen] = useState(true)
   const [settingsOpen, setSettingsOpen] = useState(false)
+  const [historyOpen, setHistoryOpen] = useState(false)
+  const [schedulesOpen, setSchedulesOpen] = useState(false)
+  const [plazaOpen, setPlazaOpen] = useState(false)
+  // Read from localStorage after mount so the server render does not differ
+  const [plazaUser, setPlazaUser] = useState<{ id: string; name: string } | null>(null)
+  // Player whose avatar was clicked, with the popover position in room canvas pixels
+  const [tipTarget, setTipTarget] = useState<{ id: string; x: number; y: number } | null>(null)
+
+  const { network, networkKey, networks, selectNetwork } = useNetwork()
 
   // Wallet integration
   const {
@@ -49,113 +140,605 @@ export default function Page() {
     isConnecting,
     isCorrectNetwork,
     signer,
-    isMetaMaskInstalled,
+    connectors: walletConnectors,
+    isLedger,
+    isLedgerSupported,
+    isWatchOnly,
+    connectLedger,
+    watch,
     connect,
     disconnect,
     switchNetwork,
     getBalance,
   } = useWallet()
 
+  const {
+    wallets,
+    activeAddress: contractAddress,
+    balances: walletBookBalances,
+    totalBalance,
+    isLoading: walletBookLoading,
+    error: walletBookError,
+    selectWallet,
+    addWallet,
+    renameWallet,
+    removeWallet,
+    addDeployedWallet,
+    refreshBalances,
+  } = useWalletBook(address)
+
   const {
     contractBalance,
     owner,
+    pendingOwner,
+    twoStepOwnership,
+    walletKind,
+    spendingLimits,
+    queuedWithdrawals,
+    tokenBalances,
+    wrapped,
     isLoading: contractLoading,
     error: contractError,
     txStatus,
     refresh,
+    previewDeposit,
+    previewWithdraw,
+    previewWithdrawAll,
+    previewBatchWithdraw,
     deposit,
     withdraw,
     withdrawAll,
-  } = useContract(signer, isConnected)
+    batchWithdraw,
+    changeOwner,
+    acceptOwnership,
+    cancelOwnershipTransfer,
+    updateSpendingLimits,
+    applyPendingLimits,
+    cancelPendingLimits,
+    executeQueuedWithdrawal,
+    cancelQueuedWithdrawal,
+    withdrawToken,
+    addToken,
+    removeToken,
+    wrap,
+    unwrap,
+    deployWallet,
+  } = useContract(signer, isConnected, contractAddress)
+
+  const {
+    owners: multisigOwners,
+    threshold,
+    pendingProposals,
+    isLoading: multisigLoading,
+    txStatus: multisigTxStatus,
+    submit: submitProposal,
+    confirm: confirmProposal,
+    revoke: revokeProposal,
+    execute: executeProposal,
+  } = useMultisig(signer, address, contractAddress, isConnected && walletKind === "multisig")
+
+  const {
+    activeSchedules,
+    isLoading: schedulesLoading,
+    error: schedulesError,
+    txStatus: scheduleTxStatus,
+    create: createSchedule,
+    cancel: cancelSchedule,
+    execute: executeSchedule,
+  } = useSchedules(signer, contractAddress, isConnected && walletKind !== "multisig")
+
+  const { role, isOwner, isPendingOwner, canDeposit, isWatchMode } = useRole({
+    address,
+    isConnected,
+    isCorrectNetwork,
+    isWatchOnly,
+    walletKind,
+    owner,
+    pendingOwner,
+    owners: multisigOwners,
+  })
+
+  const {
+    result: integrity,
+    status: integrityStatus,
+    error: integrityError,
+  } = useContractIntegrity(contractAddress, isConnected && navOpen)
+
+  useEffect(() => {
+    setPlazaUser({ id: getOrCreateId("pp_id"), name: getOrCreateName() })
+  }, [])
+
+  const {
+    identity: siweIdentity,
+    isSigningIn,
+    error: siweError,
+    signIn: signInWithEthereum,
+    signOut: signOutOfPlaza,
+  } = useSiwe(signer, address, plazaUser?.id ?? "")
+
+  const {
+    messages: plazaMessages,
+    sendMessage: sendPlazaMessage,
+    others: plazaPeers,
+    postPosition,
+    tips: plazaTips,
+    announceTip,
+  } = useMultiplayer({
+    room: "Lobby",
+    userId: plazaUser?.id ?? "",
+    name: plazaUser?.name ?? "Guest",
+    offline: !plazaOpen,
+    identity: siweIdentity,
+  })
+
+  const walletOwners = useMemo(
+    () => (walletKind === "multisig" ? multisigOwners : owner ? [owner] : []),
+    [walletKind, multisigOwners, owner]
+  )
+
+  const {
+    isSending: isTipping,
+    txStatus: tipTxStatus,
+    preview: previewTip,
+    tip: sendTip,
+    clearStatus: clearTipStatus,
+  } = useTips(signer, isConnected && isCorrectNetwork && !isWatchOnly)
+
+  // The room draws the local player as "self"
+  const tipEffects: TipEffect[] = useMemo(
+    () => plazaTips.map((t) => ({
+      id: t.id,
+      at: t.at,
+      avatarIds: [t.fromId, t.toId].map((id) => (id === plazaUser?.id ? "self" : id)),
+    })),
+    [plazaTips, plazaUser]
+  )
+
+  const tipPeer = tipTarget ? plazaPeers.find((p) => p.id === tipTarget.id) ?? null : null
+  const isWalletOwner = (a?: string | null) => !!a && walletOwners.some((o) => o.toLowerCase() === a.toLowerCase())
+
+  const handleTip = async (amount: string) => {
+    if (!tipPeer?.address) return
+    const { id: toId, address: to } = tipPeer
+    try {
+      // Announced when the tracker sees the tip mined, also if that is after the wait here timed out
+      await sendTip(to, amount, tipPeer.name, { onMined: ({ hash }: { hash: string }) => announceTip({ toId, hash, to, amount }) })
+      setTipTarget(null)
+    } catch {
+      // Shown in the popover via tipTxStatus
+    }
+  }
+
+  const contractLabel = contractAddress
+    ? `${contractAddress.slice(0, 6)}...${contractAddress.slice(-4)}`
+    : "Not configured"
+
+  const {
+    entries: historyEntries,
+    hasMore: historyHasMore,
+    isLoading: historyLoading,
+    error: historyError,
+    refresh: refreshHistory,
+    loadMore: loadMoreHistory,
+  } = useHistory(contractAddress, isConnected && historyOpen)
+
+  const { nativePrice, error: pricesError, toFiat } = usePrices()
+
+  const {
+    transactions: trackedTransactions,
+    pending: pendingTransactions,
+    explorerUrl,
+    remove: removeTrackedTransaction,
+    clearFinished: clearFinishedTransactions,
+  } = useTransactions()
+  const fiat = (amount: string | number, pair?: string) => {
+    const value = toFiat(amount, pair)
+    return value ? ` ≈ ${value}` : ""
+  }
 
   const [walletBalance, setWalletBalance] = useState("0")
   const [sendAmount, setSendAmount] = useState("")
   const [sendTo, setSendTo] = useState("")
   const [depositAmount, setDepositAmount] = useState("")
   const [withdrawAllTo, setWithdrawAllTo] = useState("")
+  const [payoutCsv, setPayoutCsv] = useState("")
+  const [scheduleTo, setScheduleTo] = useState("")
+  const [scheduleAmount, setScheduleAmount] = useState("")
+  const [scheduleDays, setScheduleDays] = useState("30")
+  const [scheduleStart, setScheduleStart] = useState("")
+  const [scheduleEnd, setScheduleEnd] = useState("")
+  const [newOwner, setNewOwner] = useState("")
+  // Wallets without two-step transfers move ownership immediately, so the owner must confirm first
+  const [immediateTransferConfirmed, setImmediateTransferConfirmed] = useState(false)
+  const [limitAmount, setLimitAmount] = useState("")
+  const [limitDelayHours, setLimitDelayHours] = useState("")
+  const [now, setNow] = useState(() => Date.now())
+  const [tokenAddress, setTokenAddress] = useState("")
+  const [tokenTo, setTokenTo] = useState("")
+  const [tokenAmount, setTokenAmount] = useState("")
+  const [newTokenAddress, setNewTokenAddress] = useState("")
+  const [wrapAmount, setWrapAmount] = useState("")
   const [isProcessing, setIsProcessing] = useState(false)
+  const [confirmation, setConfirmation] = useState<PendingConfirmation | null>(null)
+  const [walletPickerOpen, setWalletPickerOpen] = useState(false)
+  const [historyFilter, setHistoryFilter] = useState<HistoryFilter>("all")
+  const [historyAddress, setHistoryAddress] = useState("")
+  const [newWalletAddress, setNewWalletAddress] = useState("")
+  const [newWalletLabel, setNewWalletLabel] = useState("")
+  const [editingWallet, setEditingWallet] = useState<string | null>(null)
+  const [editingLabel, setEditingLabel] = useState("")
+  const activeWallet = wallets.find((w) => w.address === contractAddress)
+  const selectedToken = tokenBalances.find((t) => t.address === tokenAddress) ?? tokenBalances[0]
 
-  // Fetch wallet balance periodically (reduced frequency to avoid rate limiting)
-  useEffect(() => {
-    if (!isConnected) {
-      setWalletBalance("0")
-      return
-    }
+  const filteredHistory = useMemo(() => {
+    const needle = historyAddress.trim().toLowerCase()
+    return historyEntries.filter((entry: HistoryEntry) => {
+      if (historyFilter === "in" && entry.type !== "deposit") return false
+      if (historyFilter === "out" && entry.type !== "withdrawal") return false
+      if (historyFilter === "owner" && entry.type !== "ownerChange") return false
+      if (!needle) return true
+      return [entry.from, entry.to].some((a) => a?.toLowerCase().includes(needle))
+    })
+  }, [historyEntries, historyFilter, historyAddress])
 
-    const fetchBalance = async () => {
-      try {
-        const balance = await getBalance()
-        // Only update if we got a valid balance (null means rate limited, keep last value)
-        if (balance !== null) {
-          setWalletBalance(balance)
-        }
-      } catch (error) {
-        // Silently handle errors to avoid console spam
-        if (error?.code !== -32005 && error?.data?.httpStatus !== 429) {
-          console.error("Error fetching balance:", error)
-        }
+  const fetchBalance = useCallback(async () => {
+    try {
+      const balance = await getBalance()
+      // Only update if we got a valid balance (null means rate limited, keep last value)
+      if (balance !== null) {
+        setWalletBalance(balance)
+      }
+    } catch (error) {
+      // Silently handle errors to avoid console spam
+      if (toWalletError(error).kind !== ERROR_KINDS.RATE_LIMITED) {
+        console.error("Error fetching balance:", error)
       }
     }
+  }, [getBalance])
 
-    // Initial fetch
-    fetchBalance()
-    // Increased interval to 20 seconds to reduce rate limiting
-    const interval = setInterval(fetchBalance, 20000)
+  useEffect(() => {
+    if (!isConnected) setWalletBalance("0")
+  }, [isConnected])
+
+  // Re-read the wallet balance when it changes on-chain (paused while the tab is hidden)
+  useBalanceWatch(isConnected ? address : null, fetchBalance)
+
+  // Tick once a second while timelocks or schedules are shown so countdowns stay current
+  useEffect(() => {
+    const showsSchedules = schedulesOpen && activeSchedules.length > 0
+    if (queuedWithdrawals.length === 0 && !spendingLimits?.pendingLimits && !showsSchedules) return
+    const interval = setInterval(() => setNow(Date.now()), 1000)
     return () => clearInterval(interval)
-  }, [isConnected, getBalance])
+  }, [queuedWithdrawals.length, spendingLimits, schedulesOpen, activeSchedules.length])
 
   // Wallet transaction handlers
-  const handleConnect = useCallback(async () => {
-    if (typeof window === "undefined" || !window.ethereum) {
-      window.open("https://metamask.io/download/", "_blank")
-      return
-    }
+  // Browser wallets, WalletConnect, Ledger and watch-only are all offered in the picker
+  const handleConnect = useCallback(() => {
+    setWalletPickerOpen(true)
+  }, [])
+
+  const handleSelectWallet = useCallback(
+    async (id: string) => {
+      setWalletPickerOpen(false)
+      try {
+        await connect(id)
+      } catch (error) {
+        console.error("Failed to connect wallet:", error)
+      }
+    },
+    [connect]
+  )
+
+  const handleSelectLedger = useCallback(async () => {
+    setWalletPickerOpen(false)
     try {
-      await connect()
+      await connectLedger()
     } catch (error) {
-      console.error("Failed to connect wallet:", error)
+      console.error("Failed to connect Ledger:", error)
     }
-  }, [connect])
+  }, [connectLedger])
 
+  const handleWatch = useCallback(
+    async (watchedAddress: string) => {
+      try {
+        await watch(watchedAddress)
+        setWalletPickerOpen(false)
+      } catch (error) {
+        console.error("Failed to watch address:", error)
+      }
+    },
+    [watch]
+  )
+
+  // Simulate first; MetaMask only opens once the user confirms the estimate
   const handleSendFLR = useCallback(async () => {
     if (!sendTo || !sendAmount || isProcessing) return
     setIsProcessing(true)
     try {
-      await withdraw(sendTo, sendAmount)
-      setSendTo("")
-      setSendAmount("")
+      const estimate = await previewWithdraw(sendTo, sendAmount)
+      setConfirmation({
+        title: `Send ${sendAmount} ${network.currency} to ${sendTo.slice(0, 6)}...${sendTo.slice(-4)}`,
+        estimate,
+        send: async () => {
+          await withdraw(sendTo, sendAmount)
+          setSendTo("")
+          setSendAmount("")
+        },
+      })
     } catch (error) {
       console.error("Failed to send FLR:", error)
     } finally {
       setIsProcessing(false)
     }
-  }, [sendTo, sendAmount, isProcessing, withdraw])
+  }, [sendTo, sendAmount, isProcessing, network, previewWithdraw, withdraw])
 
   const handleDeposit = useCallback(async () => {
     if (!depositAmount || isProcessing) return
     setIsProcessing(true)
     try {
-      await deposit(depositAmount)
-      setDepositAmount("")
+      const estimate = await previewDeposit(depositAmount)
+      setConfirmation({
+        title: `Deposit ${depositAmount} ${network.currency}`,
+        estimate,
+        send: async () => {
+          await deposit(depositAmount)
+          setDepositAmount("")
+        },
+      })
     } catch (error) {
       console.error("Failed to deposit:", error)
     } finally {
       setIsProcessing(false)
     }
-  }, [depositAmount, isProcessing, deposit])
+  }, [depositAmount, isProcessing, network, previewDeposit, deposit])
+
+  const handleConfirmTransaction = useCallback(async () => {
+    if (!confirmation || isProcessing) return
+    setConfirmation(null)
+    setIsProcessing(true)
+    try {
+      await confirmation.send()
+    } catch (error) {
+      console.error("Transaction failed:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [confirmation, isProcessing])
+
+  const handleSubmitProposal = useCallback(async () => {
+    if (!sendTo || !sendAmount || isProcessing) return
+    setIsProcessing(true)
+    try {
+      await submitProposal(sendTo, sendAmount)
+      setSendTo("")
+      setSendAmount("")
+    } catch (error) {
+      console.error("Failed to submit proposal:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [sendTo, sendAmount, isProcessing, submitProposal])
+
+  const handleMultisigAction = useCallback(
+    async (action: (nonce: number) => Promise<unknown>, nonce: number) => {
+      if (isProcessing) return
+      setIsProcessing(true)
+      try {
+        await action(nonce)
+      } catch (error) {
+        console.error(`Failed to update proposal #${nonce}:`, error)
+      } finally {
+        setIsProcessing(false)
+      }
+    },
+    [isProcessing]
+  )
+
+  const handleDeployWallet = useCallback(async () => {
+    if (isProcessing) return
+    setIsProcessing(true)
+    try {
+      const deployedAddress = await deployWallet()
+      addDeployedWallet(deployedAddress)
+    } catch (error) {
+      console.error("Failed to deploy wallet:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [isProcessing, deployWallet, addDeployedWallet])
+
+  const handleUpdateLimits = useCallback(async () => {
+    if (!limitAmount || !limitDelayHours || isProcessing) return
+    setIsProcessing(true)
+    try {
+      await updateSpendingLimits(limitAmount, Math.round(Number(limitDelayHours) * 3600))
+      setLimitAmount("")
+      setLimitDelayHours("")
+    } catch (error) {
+      console.error("Failed to update spending limits:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [limitAmount, limitDelayHours, isProcessing, updateSpendingLimits])
+
+  const handleContractAction = useCallback(
+    async (action: () => Promise<unknown>) => {
+      if (isProcessing) return
+      setIsProcessing(true)
+      try {
+        await action()
+      } catch (error) {
+        console.error("Contract action failed:", error)
+      } finally {
+        setIsProcessing(false)
+      }
+    },
+    [isProcessing]
+  )
+
+  const handleChangeOwner = useCallback(async () => {
+    if (!newOwner || isProcessing) return
+    setIsProcessing(true)
+    try {
+      await changeOwner(newOwner)
+      setNewOwner("")
+      setImmediateTransferConfirmed(false)
+    } catch (error) {
+      console.error("Failed to propose new owner:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [newOwner, isProcessing, changeOwner])
+
+  const handleAcceptOwnership = useCallback(async () => {
+    if (isProcessing) return
+    setIsProcessing(true)
+    try {
+      await acceptOwnership()
+    } catch (error) {
+      console.error("Failed to accept ownership:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [isProcessing, acceptOwnership])
+
+  const handleCancelOwnershipTransfer = useCallback(async () => {
+    if (isProcessing) return
+    setIsProcessing(true)
+    try {
+      await cancelOwnershipTransfer()
+    } catch (error) {
+      console.error("Failed to cancel ownership transfer:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [isProcessing, cancelOwnershipTransfer])
+
+  const handleAddWallet = useCallback(async () => {
+    if (!newWalletAddress) return
+    try {
+      await addWallet(newWalletAddress.trim(), newWalletLabel)
+      setNewWalletAddress("")
+      setNewWalletLabel("")
+    } catch (error) {
+      console.error("Failed to add wallet:", error)
+    }
+  }, [newWalletAddress, newWalletLabel, addWallet])
 
   const handleWithdrawAll = useCallback(async () => {
     if (!withdrawAllTo || isProcessing) return
     setIsProcessing(true)
     try {
-      await withdrawAll(withdrawAllTo)
-      setWithdrawAllTo("")
+      const estimate = await previewWithdrawAll(withdrawAllTo)
+      setConfirmation({
+        title: `Withdraw all ${network.currency} to ${withdrawAllTo.slice(0, 6)}...${withdrawAllTo.slice(-4)}`,
+        estimate,
+        send: async () => {
+          await withdrawAll(withdrawAllTo)
+          setWithdrawAllTo("")
+        },
+      })
     } catch (error) {
       console.error("Failed to withdraw all:", error)
     } finally {
       setIsProcessing(false)
     }
-  }, [withdrawAllTo, isProcessing, withdrawAll])
+  }, [withdrawAllTo, isProcessing, network, previewWithdrawAll, withdrawAll])
+
+  // Re-validated as the balance changes, so a batch that no longer fits cannot be submitted
+  const payoutBatch = useMemo(
+    () => (payoutCsv.trim() ? parsePayoutCsv(payoutCsv, contractBalance) : null),
+    [payoutCsv, contractBalance]
+  )
+
+  const handlePayoutFile = useCallback(async (file: File | undefined) => {
+    if (!file) return
+    setPayoutCsv(await file.text())
+  }, [])
+
+  const handleBatchPayout = useCallback(async () => {
+    if (!payoutBatch || payoutBatch.errors.length > 0 || payoutBatch.payouts.length === 0 || isProcessing) return
+    const { payouts, total } = payoutBatch
+    setIsProcessing(true)
+    try {
+      const estimate = await previewBatchWithdraw(payouts)
+      setConfirmation({
+        title: `Pay ${total} ${network.currency} to ${payouts.length} recipients`,
+        estimate,
+        send: async () => {
+          await batchWithdraw(payouts)
+          setPayoutCsv("")
+        },
+      })
+    } catch (error) {
+      console.error("Failed to send batch payout:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [payoutBatch, isProcessing, network, previewBatchWithdraw, batchWithdraw])
+
+  const handleWithdrawToken = useCallback(async () => {
+    if (!selectedToken || !tokenTo || !tokenAmount || isProcessing) return
+    setIsProcessing(true)
+    try {
+      await withdrawToken(selectedToken, tokenTo, tokenAmount)
+      setTokenTo("")
+      setTokenAmount("")
+    } catch (error) {
+      console.error("Failed to withdraw token:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [selectedToken, tokenTo, tokenAmount, isProcessing, withdrawToken])
+
+  const handleWrap = useCallback(
+    async (direction: "wrap" | "unwrap") => {
+      if (!wrapAmount || isProcessing) return
+      setIsProcessing(true)
+      try {
+        await (direction === "wrap" ? wrap(wrapAmount) : unwrap(wrapAmount))
+        setWrapAmount("")
+      } catch (error) {
+        console.error(`Failed to ${direction}:`, error)
+      } finally {
+        setIsProcessing(false)
+      }
+    },
+    [wrapAmount, isProcessing, wrap, unwrap]
+  )
+
+  const handleCreateSchedule = useCallback(async () => {
+    if (!scheduleTo || !scheduleAmount || !scheduleDays || isProcessing) return
+    setIsProcessing(true)
+    try {
+      await createSchedule({
+        to: scheduleTo,
+        amount: scheduleAmount,
+        interval: Math.round(Number(scheduleDays) * 86400),
+        // datetime-local inputs are in local time
+        start: scheduleStart ? new Date(scheduleStart).getTime() : null,
+        end: scheduleEnd ? new Date(scheduleEnd).getTime() : null,
+      })
+      setScheduleTo("")
+      setScheduleAmount("")
+      setScheduleStart("")
+      setScheduleEnd("")
+    } catch (error) {
+      console.error("Failed to create schedule:", error)
+    } finally {
+      setIsProcessing(false)
+    }
+  }, [scheduleTo, scheduleAmount, scheduleDays, scheduleStart, scheduleEnd, isProcessing, createSchedule])
+
+  const handleAddToken = useCallback(async () => {
+    if (!newTokenAddress) return
+    try {
+      await addToken(newTokenAddress)
+      setNewTokenAddress("")
+    } catch (error) {
+      console.error("Failed to add token:", error)
+    }
+  }, [newTokenAddress, addToken])
 
 
   return (
@@ -167,7 +750,7 @@ export default function Page() {
           </div>
           <Separator orientation="vertical" className="h-6 bg-black/50" />
           <div className="text-sm text-white/80 hidden sm:block">
-            {isConnected ? `Connected: ${address ? `${address.slice(0, 6)}...${address.slice(-4)}` : ""}` : "Flare Coston2 Testnet Wallet"}
+            {isConnected ? `${isWatchOnly ? "Watching" : isLedger ? "Ledger" : "Connected"}: ${address ? `${address.slice(0, 6)}...${address.slice(-4)}` : ""} (${role})` : `${network.name} Wallet`}
           </div>
           <div className="ml-auto flex items-center gap-2">
             {isConnected ? (
@@ -181,7 +764,7 @@ export default function Page() {
                 onClick={handleConnect}
                 disabled={isConnecting}
               >
-                <Wallet className="w-4 h-4" /> {isConnecting ? "Connecting..." : isMetaMaskInstalled ? "Connect Wallet" : "Install MetaMask"}
+                <Wallet className="w-4 h-4" /> {isConnecting ? "Connecting..." : "Connect Wallet"}
               </Button>
             )}
             {!isCorrectNetwork && isConnected && (
@@ -195,6 +778,15 @@ export default function Page() {
             <Button variant="outline" className={styles.pixelButton} onClick={() => setChatOpen((v) => !v)}>
               <MessageSquare className="w-4 h-4" /> Transactions
             </Button>
+            <Button variant="outline" className={styles.pixelButton} onClick={() => setHistoryOpen((v) => !v)}>
+              <History className="w-4 h-4" /> History
+            </Button>
+            <Button variant="outline" className={styles.pixelButton} onClick={() => setSchedulesOpen((v) => !v)}>
+              <CalendarClock className="w-4 h-4" /> Schedules
+            </Button>
+            <Button variant="outline" className={styles.pixelButton} onClick={() => setPlazaOpen((v) => !v)}>
+              <Gamepad2 className="w-4 h-4" /> Plaza
+            </Button>
             <Button variant="outline" className={styles.pixelButton} onClick={() => setSettingsOpen((v) => !v)}>
               <Settings className="w-4 h-4" /> Settings
             </Button>
@@ -228,39 +820,162 @@ export default function Page() {
                 <div className="px-3 py-2 text-[12px] text-black/80 border-b border-black/20 mb-2">
                   Smart Wallet Operations
                 </div>
-                
-                {/* Send FLR */}
-                <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
-                  <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
-                    <Send className="w-4 h-4" /> Send FLR from Contract
-                  </div>
-                  <div className="space-y-2">
-                    <div className="text-[11px] text-black/60 mb-1">Recipient Address</div>
-                    <Input
-                      placeholder="0x..."
-                      value={sendTo}
-                      onChange={(e) => setSendTo(e.target.value)}
-                      className={styles.pixelInput}
-                    />
-                    <div className="text-[11px] text-black/60 mb-1">Amount (FLR)</div>
-                    <Input
-                      type="number"
-                      step="0.0001"
-                      placeholder="0.0"
-                      value={sendAmount}
-                      onChange={(e) => setSendAmount(e.target.value)}
-                      className={styles.pixelInput}
-                    />
-                    <Button
-                      size="sm"
-                      className={styles.goButton}
-                      onClick={handleSendFLR}
-                      disabled={!sendTo || !sendAmount || isProcessing || contractLoading}
-                    >
-                      {isProcessing ? "Processing..." : "Send FLR"}
-                    </Button>
+
+                {/* Watch mode for everyone but the owner(s) */}
+                {isWatchMode && (
+                  <div className="px-3 py-2 rounded-md border bg-yellow-50 border-yellow-300 text-yellow-800 text-[11px]">
+                    {isWatchOnly
+                      ? "Watch-only: balances and history are read-only. Connect a wallet or Ledger to make transactions."
+                      : role === ROLES.VIEWER
+                        ? `Watch mode: switch to ${network.name} to make transactions.`
+                        : walletKind === "multisig"
+                          ? "Watch mode: only the wallet owners can propose and confirm transfers. You can still deposit and view balances and history."
+                          : "Watch mode: only the wallet owner can send, withdraw or change settings. You can still deposit and view balances and history."}
                   </div>
-                </div>
+                )}
+                
+                {walletKind === "multisig" ? (
+                  <>
+                    {/* Multisig proposals */}
+                    <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                      <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
+                        <Users className="w-4 h-4" /> Multisig Proposals ({threshold} of {multisigOwners.length} owners)
+                      </div>
+                      <div className="space-y-2">
+                        {pendingProposals.length === 0 && (
+                          <div className="text-[11px] text-black/60">No pending proposals</div>
+                        )}
+                        {pendingProposals.map((p) => {
+                          const confirmedBySelf = p.confirmations.some(
+                            (c: string) => c.toLowerCase() === address?.toLowerCase()
+                          )
+                          return (
+                            <div key={p.nonce} className="border border-black/10 rounded px-2 py-1">
+                              <div className="text-[11px] font-semibold">
+                                #{p.nonce}: {p.amount} {network.currency} → {p.to.slice(0, 6)}...{p.to.slice(-4)}
+                              </div>
+                              <div className="text-[10px] text-black/60">
+                                Confirmed {p.confirmations.length}/{threshold}
+                                {p.confirmations.length > 0 &&
+                                  `: ${p.confirmations.map((c: string) => `${c.slice(0, 6)}...${c.slice(-4)}`).join(", ")}`}
+                              </div>
+                              {isOwner && (
+                                <div className="flex gap-1 mt-1">
+                                  {confirmedBySelf ? (
+                                    <Button
+                                      size="sm"
+                                      className={styles.goButton}
+                                      onClick={() => handleMultisigAction(revokeProposal, p.nonce)}
+                                      disabled={isProcessing || multisigLoading}
+                                    >
+                                      Revoke
+                                    </Button>
+                                  ) : (
+                                    <Button
+                                      size="sm"
+                                      className={styles.goButton}
+                                      onClick={() => handleMultisigAction(confirmProposal, p.nonce)}
+                                      disabled={isProcessing || multisigLoading}
+                                    >
+                                      Confirm
+                                    </Button>
+                                  )}
+                                  <Button
+                                    size="sm"
+                                    className={styles.goButton}
+                                    onClick={() => handleMultisigAction(executeProposal, p.nonce)}
+                                    disabled={p.confirmations.length < threshold || isProcessing || multisigLoading}
+                                  >
+                                    Execute
+                                  </Button>
+                                </div>
+                              )}
+                            </div>
+                          )
+                        })}
+                        {isOwner ? (
+                          <>
+                            <div className="text-[11px] text-black/60 mb-1">Recipient Address</div>
+                            <Input
+                              placeholder="0x..."
+                              value={sendTo}
+                              onChange={(e) => setSendTo(e.target.value)}
+                              className={styles.pixelInput}
+                            />
+                            <div className="text-[11px] text-black/60 mb-1">Amount ({network.currency})</div>
+                            <Input
+                              type="number"
+                              step="0.0001"
+                              placeholder="0.0"
+                              value={sendAmount}
+                              onChange={(e) => setSendAmount(e.target.value)}
+                              className={styles.pixelInput}
+                            />
+                            <Button
+                              size="sm"
+                              className={styles.goButton}
+                              onClick={handleSubmitProposal}
+                              disabled={!sendTo || !sendAmount || isProcessing || multisigLoading}
+                            >
+                              {isProcessing ? "Processing..." : "Propose Transfer"}
+                            </Button>
+                          </>
+                        ) : (
+                          <div className="text-[11px] text-black/60">Only owners can propose and confirm transfers</div>
+                        )}
+                        {multisigTxStatus && (
+                          <div className={`px-3 py-2 rounded-md border text-[11px] ${
+                            multisigTxStatus.type === "success" ? "bg-green-50 border-green-300 text-green-800" :
+                            multisigTxStatus.type === "error" ? "bg-red-50 border-red-300 text-red-800" :
+                            "bg-blue-50 border-blue-300 text-blue-800"
+                          }`}>
+                            {multisigTxStatus.message}
+                            {multisigTxStatus.kind === ERROR_KINDS.WRONG_NETWORK && (
+                              <button className="underline ml-1" onClick={() => switchNetwork().catch((error) => console.error("Failed to switch network:", error))}>
+                                Switch network
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  </>
+                ) : isOwner && (
+                  <>
+                    {/* Send FLR */}
+                    <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                      <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
+                        <Send className="w-4 h-4" /> Send FLR from Contract
+                      </div>
+                      <div className="space-y-2">
+                        <div className="text-[11px] text-black/60 mb-1">Recipient Address</div>
+                        <Input
+                          placeholder="0x..."
+                          value={sendTo}
+                          onChange={(e) => setSendTo(e.target.value)}
+                          className={styles.pixelInput}
+                        />
+                        <div className="text-[11px] text-black/60 mb-1">Amount ({network.currency})</div>
+                        <Input
+                          type="number"
+                          step="0.0001"
+                          placeholder="0.0"
+                          value={sendAmount}
+                          onChange={(e) => setSendAmount(e.target.value)}
+                          className={styles.pixelInput}
+                        />
+                        <Button
+                          size="sm"
+                          className={styles.goButton}
+                          onClick={handleSendFLR}
+                          disabled={!sendTo || !sendAmount || isProcessing || contractLoading}
+                        >
+                          {isProcessing ? "Processing..." : "Send FLR"}
+                        </Button>
+                      </div>
+                    </div>
+                  </>
+                )}
 
                 {/* Deposit FLR */}
                 <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
@@ -268,7 +983,7 @@ export default function Page() {
                     <ArrowDownCircle className="w-4 h-4" /> Deposit FLR to Contract
                   </div>
                   <div className="space-y-2">
-                    <div className="text-[11px] text-black/60 mb-1">Amount (FLR)</div>
+                    <div className="text-[11px] text-black/60 mb-1">Amount ({network.currency})</div>
                     <Input
                       type="number"
                       step="0.0001"
@@ -281,33 +996,366 @@ export default function Page() {
                       size="sm"
                       className={styles.goButton}
                       onClick={handleDeposit}
-                      disabled={!depositAmount || isProcessing || contractLoading}
+                      disabled={!canDeposit || !depositAmount || isProcessing || contractLoading}
                     >
                       {isProcessing ? "Processing..." : "Deposit FLR"}
                     </Button>
                   </div>
                 </div>
 
-                {/* Withdraw All */}
+                {walletKind !== "multisig" && isOwner && (
+                  <>
+                    {/* Withdraw All */}
+                    <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                      <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
+                        <ArrowUpCircle className="w-4 h-4" /> Withdraw All from Contract
+                      </div>
+                      <div className="space-y-2">
+                        <div className="text-[11px] text-black/60 mb-1">Recipient Address</div>
+                        <Input
+                          placeholder="0x..."
+                          value={withdrawAllTo}
+                          onChange={(e) => setWithdrawAllTo(e.target.value)}
+                          className={styles.pixelInput}
+                        />
+                        <Button
+                          size="sm"
+                          className={styles.goButton}
+                          onClick={handleWithdrawAll}
+                          disabled={!withdrawAllTo || isProcessing || contractLoading}
+                        >
+                          {isProcessing ? "Processing..." : "Withdraw All FLR"}
+                        </Button>
+                      </div>
+                    </div>
+
+                    {/* Batch payout from CSV */}
+                    <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                      <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
+                        <ListChecks className="w-4 h-4" /> Batch Payout (CSV)
+                      </div>
+                      <div className="space-y-2">
+                        <div className="text-[11px] text-black/60">
+                          One <span className="font-mono">address,amount</span> row per recipient, up to {MAX_BATCH_SIZE}. Amounts in {network.currency}.
+                        </div>
+                        <Input
+                          type="file"
+                          accept=".csv,text/csv,text/plain"
+                          onChange={(e) => {
+                            handlePayoutFile(e.target.files?.[0])
+                            e.target.value = ""
+                          }}
+                          className={styles.pixelInput}
+                        />
+                        <Textarea
+                          placeholder={"address,amount\n0x...,1.5"}
+                          value={payoutCsv}
+                          onChange={(e) => setPayoutCsv(e.target.value)}
+                          className={`${styles.pixelInput} font-mono text-[11px] min-h-24`}
+                        />
+                        {payoutBatch && (
+                          <div className="text-[11px] space-y-1">
+                            <div className="text-black/60">
+                              {payoutBatch.payouts.length} recipients, total {payoutBatch.total} {network.currency}
+                            </div>
+                            {payoutBatch.errors.map((e, i) => (
+                              <div key={i} className="text-red-600">
+                                {e.line > 0 ? `Line ${e.line}: ` : ""}{e.message}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        <Button
+                          size="sm"
+                          className={styles.goButton}
+                          onClick={handleBatchPayout}
+                          disabled={!payoutBatch || payoutBatch.errors.length > 0 || payoutBatch.payouts.length === 0 || isProcessing || contractLoading}
+                        >
+                          {isProcessing ? "Processing..." : "Send Batch"}
+                        </Button>
+                      </div>
+                    </div>
+
+                    {/* Withdraw ERC-20 tokens */}
+                    {tokenBalances.length > 0 && (
+                      <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                        <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
+                          <Coins className="w-4 h-4" /> Withdraw Token
+                        </div>
+                        <div className="space-y-2">
+                          <div className="flex flex-wrap gap-1">
+                            {tokenBalances.map((t) => (
+                              <button
+                                key={t.address}
+                                className={t.address === selectedToken?.address ? styles.tabActive : styles.tab}
+                                onClick={() => setTokenAddress(t.address)}
+                              >
+                                {t.symbol}
+                              </button>
+                            ))}
+                          </div>
+                          <div className="text-[11px] text-black/60">
+                            Available: {selectedToken?.balance} {selectedToken?.symbol}
+                          </div>
+                          <div className="text-[11px] text-black/60 mb-1">Recipient Address</div>
+                          <Input
+                            placeholder="0x..."
+                            value={tokenTo}
+                            onChange={(e) => setTokenTo(e.target.value)}
+                            className={styles.pixelInput}
+                          />
+                          <div className="text-[11px] text-black/60 mb-1">Amount ({selectedToken?.symbol})</div>
+                          <div className="flex gap-2">
+                            <Input
+                              type="number"
+                              step="any"
+                              placeholder="0.0"
+                              value={tokenAmount}
+                              onChange={(e) => setTokenAmount(e.target.value)}
+                              className={styles.pixelInput}
+                            />
+                            <Button
+                              size="sm"
+                              className={styles.goButton}
+                              onClick={() => setTokenAmount(selectedToken?.balance ?? "")}
+                            >
+                              Max
+                            </Button>
+                          </div>
+                          <Button
+                            size="sm"
+                            className={styles.goButton}
+                            onClick={handleWithdrawToken}
+                            disabled={!tokenTo || !tokenAmount || isProcessing || contractLoading}
+                          >
+                            {isProcessing ? "Processing..." : `Withdraw ${selectedToken?.symbol}`}
+                          </Button>
+                        </div>
+                      </div>
+                    )}
+                  </>
+                )}
+
+                {walletKind !== "multisig" && (
+                  <>
+                    {/* Spending limits and timelocked withdrawals */}
+                    {spendingLimits && (
+                      <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                        <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
+                          <Timer className="w-4 h-4" /> Spending Limit
+                        </div>
+                        <div className="space-y-2">
+                          <div className="text-[11px] text-black/60">
+                            Daily limit: {spendingLimits.dailyLimit ? `${spendingLimits.dailyLimit} ${network.currency}` : "Unlimited"}
+                            {" • "}Timelock: {formatCountdown(spendingLimits.timelockDelay * 1000)}
+                          </div>
+                          {spendingLimits.pendingLimits && (
+                            <div className="border border-black/10 rounded px-2 py-1 text-[11px]">
+                              <div>
+                                Pending change: {spendingLimits.pendingLimits.dailyLimit ? `${spendingLimits.pendingLimits.dailyLimit} ${network.currency}/day` : "Unlimited"},
+                                {" "}timelock {formatCountdown(spendingLimits.pendingLimits.timelockDelay * 1000)}
+                              </div>
+                              <div className="text-black/60">Applies in {formatCountdown(spendingLimits.pendingLimits.effectiveAt - now)}</div>
+                              {isOwner && (
+                                <div className="flex gap-1 mt-1">
+                                  <Button
+                                    size="sm"
+                                    className={styles.goButton}
+                                    onClick={() => handleContractAction(applyPendingLimits)}
+                                    disabled={spendingLimits.pendingLimits.effectiveAt > now || isProcessing || contractLoading}
+                                  >
+                                    Apply
+                                  </Button>
+                                  <Button
+                                    size="sm"
+                                    className={styles.goButton}
+                                    onClick={() => handleContractAction(cancelPendingLimits)}
+                                    disabled={isProcessing || contractLoading}
+                                  >
+                                    Cancel
+                                  </Button>
+                                </div>
+                              )}
+                            </div>
+                          )}
+                          {queuedWithdrawals.map((q) => (
+                            <div key={q.id} className="border border-black/10 rounded px-2 py-1 text-[11px]">
+                              <div className="font-semibold">
+                                Queued #{q.id}: {q.amount} {network.currency} → {q.to.slice(0, 6)}...{q.to.slice(-4)}
+                              </div>
+                              <div className="text-black/60">Unlocks in {formatCountdown(q.unlockTime - now)}</div>
+                              {isOwner && (
+                                <div className="flex gap-1 mt-1">
+                                  <Button
+                                    size="sm"
+                                    className={styles.goButton}
+                                    onClick={() => handleContractAction(() => executeQueuedWithdrawal(q.id))}
+                                    disabled={q.unlockTime > now || isProcessing || contractLoading}
+                                  >
+                                    Execute
+                                  </Button>
+                                  <Button
+                                    size="sm"
+                                    className={styles.goButton}
+                                    onClick={() => handleContractAction(() => cancelQueuedWithdrawal(q.id))}
+                                    disabled={isProcessing || contractLoading}
+                                  >
+                                    Cancel
+                                  </Button>
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                          {isOwner && (
+                            <>
+                              <div className="text-[11px] text-black/60 mb-1">Daily Limit ({network.currency}, 0 = unlimited)</div>
+                              <Input
+                                type="number"
+                                step="0.0001"
+                                placeholder="0.0"
+                                value={limitAmount}
+                                onChange={(e) => setLimitAmount(e.target.value)}
+                                className={styles.pixelInput}
+                              />
+                              <div className="text-[11px] text-black/60 mb-1">Timelock (hours)</div>
+                              <Input
+                                type="number"
+                                step="1"
+                                placeholder="24"
+                                value={limitDelayHours}
+                                onChange={(e) => setLimitDelayHours(e.target.value)}
+                                className={styles.pixelInput}
+                              />
+                              <div className="text-[10px] text-black/50">
+                                Raising the limit or shortening the timelock only takes effect after the current timelock.
+                              </div>
+                              <Button
+                                size="sm"
+                                className={styles.goButton}
+                                onClick={handleUpdateLimits}
+                                disabled={!limitAmount || !limitDelayHours || isProcessing || contractLoading}
+                              >
+                                {isProcessing ? "Processing..." : "Update Limits"}
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Ownership transfer */}
+                    {(isOwner || isPendingOwner) && (
+                      <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                        <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
+                          <KeyRound className="w-4 h-4" /> Transfer Ownership
+                        </div>
+                        <div className="space-y-2">
+                          {pendingOwner && (
+                            <div className="text-[11px] text-black/60 mb-1">
+                              Pending owner: <span className="font-mono">{pendingOwner.slice(0, 8)}...{pendingOwner.slice(-6)}</span>
+                            </div>
+                          )}
+                          {isPendingOwner && (
+                            <Button
+                              size="sm"
+                              className={styles.goButton}
+                              onClick={handleAcceptOwnership}
+                              disabled={isProcessing || contractLoading}
+                            >
+                              {isProcessing ? "Processing..." : "Accept Ownership"}
+                            </Button>
+                          )}
+                          {pendingOwner && isOwner && (
+                            <Button
+                              size="sm"
+                              className={styles.goButton}
+                              onClick={handleCancelOwnershipTransfer}
+                              disabled={isProcessing || contractLoading}
+                            >
+                              {isProcessing ? "Processing..." : "Cancel Transfer"}
+                            </Button>
+                          )}
+                          {isOwner && twoStepOwnership === true && (
+                            <>
+                              <div className="text-[11px] text-black/60 mb-1">New Owner Address</div>
+                              <Input
+                                placeholder="0x..."
+                                value={newOwner}
+                                onChange={(e) => setNewOwner(e.target.value)}
+                                className={styles.pixelInput}
+                              />
+                              <div className="text-[10px] text-black/50">
+                                The new owner must accept before the transfer takes effect.
+                              </div>
+                              <Button
+                                size="sm"
+                                className={styles.goButton}
+                                onClick={handleChangeOwner}
+                                disabled={!newOwner || isProcessing || contractLoading}
+                              >
+                                {isProcessing ? "Processing..." : "Propose New Owner"}
+                              </Button>
+                            </>
+                          )}
+                          {isOwner && twoStepOwnership === false && (
+                            <>
+                              <div className="px-3 py-2 rounded-md border bg-red-50 border-red-300 text-red-800 text-[11px]">
+                                This wallet was deployed before two-step transfers. Ownership moves to the new address
+                                immediately and cannot be undone: if the address is wrong, the wallet is lost.
+                              </div>
+                              <div className="text-[11px] text-black/60 mb-1">New Owner Address</div>
+                              <Input
+                                placeholder="0x..."
+                                value={newOwner}
+                                onChange={(e) => {
+                                  setNewOwner(e.target.value)
+                                  setImmediateTransferConfirmed(false)
+                                }}
+                                className={styles.pixelInput}
+                              />
+                              <label className="flex items-start gap-2 text-[11px]">
+                                <input
+                                  type="checkbox"
+                                  className="mt-0.5"
+                                  checked={immediateTransferConfirmed}
+                                  onChange={(e) => setImmediateTransferConfirmed(e.target.checked)}
+                                />
+                                I checked the address. Transfer ownership immediately and irreversibly.
+                              </label>
+                              <Button
+                                size="sm"
+                                className={styles.goButton}
+                                onClick={handleChangeOwner}
+                                disabled={!newOwner || !immediateTransferConfirmed || isProcessing || contractLoading}
+                              >
+                                {isProcessing ? "Processing..." : "Transfer Ownership Now"}
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                  </>
+                )}
+
+                {/* Deploy own wallet */}
                 <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
                   <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
-                    <ArrowUpCircle className="w-4 h-4" /> Withdraw All from Contract
+                    <Rocket className="w-4 h-4" /> Deploy My Own Wallet
                   </div>
                   <div className="space-y-2">
-                    <div className="text-[11px] text-black/60 mb-1">Recipient Address</div>
-                    <Input
-                      placeholder="0x..."
-                      value={withdrawAllTo}
-                      onChange={(e) => setWithdrawAllTo(e.target.value)}
-                      className={styles.pixelInput}
-                    />
+                    <div className="text-[11px] text-black/60 mb-1">
+                      {activeWallet?.label === "My wallet"
+                        ? `Using your wallet at ${contractLabel}. Deploying again replaces it.`
+                        : "Deploy a fresh SimpleFlareWallet owned by your account."}
+                    </div>
                     <Button
                       size="sm"
                       className={styles.goButton}
-                      onClick={handleWithdrawAll}
-                      disabled={!withdrawAllTo || isProcessing || contractLoading}
+                      onClick={handleDeployWallet}
+                      disabled={!signer || isProcessing || contractLoading}
                     >
-                      {isProcessing ? "Processing..." : "Withdraw All FLR"}
+                      {isProcessing ? "Processing..." : "Deploy Wallet"}
                     </Button>
                   </div>
                 </div>
@@ -320,6 +1368,11 @@ export default function Page() {
                     "bg-blue-50 border-blue-300 text-blue-800"
                   }`}>
                     {txStatus.message}
+                    {txStatus.kind === ERROR_KINDS.WRONG_NETWORK && (
+                      <button className="underline ml-1" onClick={() => switchNetwork().catch((error) => console.error("Failed to switch network:", error))}>
+                        Switch network
+                      </button>
+                    )}
                   </div>
                 )}
               </div>
@@ -335,7 +1388,7 @@ export default function Page() {
                   disabled={isConnecting}
                 >
                   <Wallet className="w-4 h-4 mr-2" />
-                  {isConnecting ? "Connecting..." : isMetaMaskInstalled ? "Connect Wallet" : "Install MetaMask"}
+                  {isConnecting ? "Connecting..." : "Connect Wallet"}
                 </Button>
               </div>
             )}
@@ -348,7 +1401,7 @@ export default function Page() {
           id="navigator"
           title="Account Overview"
           variant="habbo"
-          initial={{ x: 400, y: 88, w: 360, h: 420 }}
+          initial={{ x: 400, y: 88, w: 360, h: 600 }}
           onClose={() => setNavOpen(false)}
           ariaTitle="Account overview window"
         >
@@ -367,6 +1420,7 @@ export default function Page() {
                     onClick={async () => {
                       try {
                         await refresh()
+                        await refreshBalances()
                         // Also refresh wallet balance
                         const balance = await getBalance()
                         if (balance !== null) setWalletBalance(balance)
@@ -379,6 +1433,7 @@ export default function Page() {
                     <RefreshCw className="w-3 h-3" />
                   </Button>
                 </div>
+                <div className="flex-1 overflow-y-auto">
                 <div className="px-3 pb-3 space-y-2">
                   <div className={styles.navRow}>
                     <div className={styles.navDot} />
@@ -391,14 +1446,14 @@ export default function Page() {
                     <div className={styles.navDot} />
                     <div className="truncate">Wallet Balance</div>
                     <div className="ml-auto text-[11px] text-black/60 font-semibold">
-                      {walletBalance} FLR
+                      {walletBalance} {network.currency}{fiat(walletBalance)}
                     </div>
                   </div>
                   <div className={styles.navRow}>
                     <div className={styles.navDot} />
                     <div className="truncate">Contract Balance</div>
                     <div className="ml-auto text-[11px] text-black/60 font-semibold">
-                      {contractLoading ? "Loading..." : `${contractBalance} FLR`}
+                      {contractLoading ? "Loading..." : `${contractBalance} ${network.currency}${fiat(contractBalance)}`}
                     </div>
                   </div>
                   <div className={styles.navRow}>
@@ -408,14 +1463,279 @@ export default function Page() {
                       {owner ? `${owner.slice(0, 8)}...${owner.slice(-6)}` : "Loading..."}
                     </div>
                   </div>
+                  <div className={styles.navRow}>
+                    <div className={styles.navDot} />
+                    <div className="truncate">Source</div>
+                    <div
+                      className="ml-auto"
+                      title={
+                        integrityStatus === INTEGRITY_STATUS.VERIFIED
+                          ? `Deployed code matches ${integrity?.contractName} compiled from contracts/ (solc ${integrity?.compilerVersion})`
+                          : integrityStatus === INTEGRITY_STATUS.MISMATCH
+                            ? "Deployed code does not match the contracts in this app (ignoring the metadata hash)"
+                            : integrityError ?? undefined
+                      }
+                    >
+                      {integrityStatus === INTEGRITY_STATUS.VERIFIED ? (
+                        <div className={styles.statusPill}>Verified</div>
+                      ) : integrityStatus === INTEGRITY_STATUS.MISMATCH ? (
+                        <div className={styles.statusPillWarn}>Mismatch</div>
+                      ) : (
+                        <span className="text-[11px] text-black/60">
+                          {integrityStatus === INTEGRITY_STATUS.NOT_DEPLOYED ? "Not deployed" : integrityError ? "Unavailable" : "Checking..."}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className={styles.navRow}>
+                    <div className={styles.navDot} />
+                    <div className="truncate">Your Role</div>
+                    <div className="ml-auto text-[11px] text-black/60 font-semibold">
+                      {role}{isPendingOwner ? " (pending owner)" : ""}
+                    </div>
+                  </div>
+                  {spendingLimits?.dailyLimit && (
+                    <div className={styles.navRow}>
+                      <div className={styles.navDot} />
+                      <div className="truncate">Remaining Today</div>
+                      <div className="ml-auto text-[11px] text-black/60 font-semibold">
+                        {spendingLimits.remainingToday} / {spendingLimits.dailyLimit} {network.currency}
+                      </div>
+                    </div>
+                  )}
+                  {pendingOwner && (
+                    <div className={styles.navRow}>
+                      <div className={styles.navDot} />
+                      <div className="truncate">Pending Owner</div>
+                      <div className="ml-auto text-[11px] text-black/60 font-mono">
+                        {`${pendingOwner.slice(0, 8)}...${pendingOwner.slice(-6)}`}
+                      </div>
+                    </div>
+                  )}
+                  <div className={styles.navRow}>
+                    <div className={styles.navDot} />
+                    <div className="truncate">{network.nativePriceFeed} (FTSO)</div>
+                    <div className="ml-auto text-[11px] text-black/60" title={pricesError ?? undefined}>
+                      {nativePrice
+                        ? `${toFiat(1)} • ${new Date(nativePrice.timestamp).toLocaleTimeString()}`
+                        : pricesError ? "Unavailable" : "Loading..."}
+                    </div>
+                  </div>
                   <div className={styles.navRow}>
                     <div className={styles.navDot} />
                     <div className="truncate">Network</div>
                     <div className="ml-auto">
-                      <div className={styles.statusPill}>{isCorrectNetwork ? "Flare Coston2" : "Wrong Network"}</div>
+                      <div className={styles.statusPill}>{isCorrectNetwork ? network.name : "Wrong Network"}</div>
+                    </div>
+                  </div>
+                </div>
+                {wrapped && (
+                  <div className="px-3 pb-3 space-y-2">
+                    <div className="text-[12px] text-black/80">Native / Wrapped</div>
+                    <div className="grid grid-cols-2 gap-2">
+                      <div className="border border-black/20 rounded-md px-2 py-1 bg-white">
+                        <div className="text-[10px] text-black/50">{network.currency}</div>
+                        <div className="text-[12px] font-semibold truncate">{contractBalance}</div>
+                        <div className="text-[10px] text-black/50">{toFiat(contractBalance) ?? "—"}</div>
+                      </div>
+                      <div className="border border-black/20 rounded-md px-2 py-1 bg-white">
+                        <div className="text-[10px] text-black/50">{wrapped.symbol}</div>
+                        <div className="text-[12px] font-semibold truncate">{wrapped.balance}</div>
+                        <div className="text-[10px] text-black/50">{toFiat(wrapped.balance) ?? "—"}</div>
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Input
+                        type="number"
+                        step="0.0001"
+                        placeholder="0.0"
+                        value={wrapAmount}
+                        onChange={(e) => setWrapAmount(e.target.value)}
+                        className={styles.pixelInput}
+                      />
+                      <Button
+                        size="sm"
+                        className={styles.goButton}
+                        onClick={() => handleWrap("wrap")}
+                        disabled={!wrapAmount || isProcessing || contractLoading}
+                      >
+                        Wrap
+                      </Button>
+                      <Button
+                        size="sm"
+                        className={styles.goButton}
+                        onClick={() => handleWrap("unwrap")}
+                        disabled={!wrapAmount || isProcessing || contractLoading}
+                      >
+                        Unwrap
+                      </Button>
                     </div>
                   </div>
+                )}
+                <div className="px-3 pb-3 space-y-2">
+                  <div className="text-[12px] text-black/80">Token Balances</div>
+                  {tokenBalances.length === 0 && (
+                    <div className="text-[11px] text-black/60">No tokens configured for {network.name}</div>
+                  )}
+                  {tokenBalances.map((t) => (
+                    <div key={t.address} className={styles.navRow}>
+                      <div className={styles.navDot} />
+                      <div className="truncate" title={t.address}>{t.symbol}</div>
+                      <div className="ml-auto flex items-center gap-1 text-[11px] text-black/60 font-semibold whitespace-nowrap">
+                        {t.balance} {t.symbol}{t.priceFeed ? fiat(t.balance, t.priceFeed) : ""}
+                        {t.custom && (
+                          <button className="underline" onClick={() => removeToken(t.address)}>
+                            remove
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                  <div className="flex gap-2">
+                    <Input
+                      placeholder="Token contract 0x..."
+                      value={newTokenAddress}
+                      onChange={(e) => setNewTokenAddress(e.target.value)}
+                      className={styles.pixelInput}
+                    />
+                    <Button
+                      size="sm"
+                      className={styles.goButton}
+                      onClick={handleAddToken}
+                      disabled={!newTokenAddress || contractLoading}
+                    >
+                      Add
+                    </Button>
+                  </div>
                 </div>
+                <div className="px-3 pb-3 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <div className="text-[12px] text-black/80">Tracked Wallets</div>
+                    <div className="text-[11px] text-black/60 font-semibold">
+                      Total: {totalBalance} {network.currency}{fiat(totalBalance)}
+                    </div>
+                  </div>
+                  {wallets.map((w) => (
+                    <div key={w.address} className={styles.navRow}>
+                      <div className={styles.navDot} />
+                      {editingWallet === w.address ? (
+                        <Input
+                          value={editingLabel}
+                          onChange={(e) => setEditingLabel(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") {
+                              renameWallet(w.address, editingLabel)
+                              setEditingWallet(null)
+                            }
+                          }}
+                          className={styles.pixelInput}
+                        />
+                      ) : (
+                        <button
+                          className={`truncate text-left ${w.address === contractAddress ? "font-bold" : ""}`}
+                          onClick={() => selectWallet(w.address)}
+                          title={w.address}
+                        >
+                          {w.label} ({w.address.slice(0, 6)}...{w.address.slice(-4)})
+                        </button>
+                      )}
+                      <div className="ml-auto flex items-center gap-1 text-[11px] text-black/60 font-semibold whitespace-nowrap">
+                        {(walletBookBalances as Record<string, string>)[w.address] ?? "…"} {network.currency}
+                        {fiat((walletBookBalances as Record<string, string>)[w.address] ?? "")}
+                        {!w.builtIn && editingWallet !== w.address && (
+                          <>
+                            <button
+                              className="underline"
+                              onClick={() => {
+                                setEditingWallet(w.address)
+                                setEditingLabel(w.label)
+                              }}
+                            >
+                              rename
+                            </button>
+                            <button className="underline" onClick={() => removeWallet(w.address)}>
+                              remove
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                  <Input
+                    placeholder="Wallet contract 0x..."
+                    value={newWalletAddress}
+                    onChange={(e) => setNewWalletAddress(e.target.value)}
+                    className={styles.pixelInput}
+                  />
+                  <div className="flex gap-2">
+                    <Input
+                      placeholder="Label (e.g. Treasury)"
+                      value={newWalletLabel}
+                      onChange={(e) => setNewWalletLabel(e.target.value)}
+                      className={styles.pixelInput}
+                    />
+                    <Button
+                      size="sm"
+                      className={styles.goButton}
+                      onClick={handleAddWallet}
+                      disabled={!newWalletAddress || walletBookLoading}
+                    >
+                      {walletBookLoading ? "Checking..." : "Add"}
+                    </Button>
+                  </div>
+                  {walletBookError && (
+                    <div className="px-3 py-2 rounded-md border bg-red-50 border-red-300 text-red-800 text-[11px]">
+                      {walletBookError}
+                    </div>
+                  )}
+                </div>
+                {trackedTransactions.length > 0 && (
+                  <div className="px-3 pb-3 space-y-2">
+                    <div className="flex items-center justify-between">
+                      <div className="text-[12px] text-black/80">
+                        Transactions{pendingTransactions.length > 0 ? ` (${pendingTransactions.length} pending)` : ""}
+                      </div>
+                      {trackedTransactions.length > pendingTransactions.length && (
+                        <button className="underline text-[11px] text-black/60" onClick={clearFinishedTransactions}>
+                          clear finished
+                        </button>
+                      )}
+                    </div>
+                    {trackedTransactions.map((tx) => {
+                      const url = explorerUrl(tx)
+                      return (
+                        <div key={tx.hash} className={styles.navRow}>
+                          <div className={styles.navDot} />
+                          <div className="min-w-0">
+                            <div className="truncate text-[12px]">
+                              {TX_KIND_LABELS[tx.kind] ?? tx.kind}
+                              {tx.amount && ` ${tx.amount}`}
+                              {tx.recipient && ` → ${tx.recipient.slice(0, 6)}...${tx.recipient.slice(-4)}`}
+                            </div>
+                            <div className="text-[10px] text-black/50">
+                              {formatTxStatus(tx)} • {new Date(tx.createdAt).toLocaleString()}
+                              {tx.network !== networkKey && ` • ${networks.find((n) => n.key === tx.network)?.name ?? tx.network}`}
+                            </div>
+                          </div>
+                          <div className="ml-auto flex items-center gap-1 text-[11px] text-black/60 whitespace-nowrap">
+                            {url ? (
+                              <a className="underline" href={url} target="_blank" rel="noopener noreferrer">
+                                {(tx.replacedBy ?? tx.hash).slice(0, 10)}...
+                              </a>
+                            ) : (
+                              <span title={tx.hash}>{tx.hash.slice(0, 10)}...</span>
+                            )}
+                            {tx.status !== "pending" && (
+                              <button className="underline" onClick={() => removeTrackedTransaction(tx.hash)}>
+                                remove
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      )
+                    })}
+                  </div>
+                )}
                 {txStatus && (
                   <div className={`px-3 py-2 mx-3 mb-2 rounded-md border text-[11px] ${
                     txStatus.type === "success" ? "bg-green-50 border-green-300 text-green-800" :
@@ -423,6 +1743,11 @@ export default function Page() {
                     "bg-blue-50 border-blue-300 text-blue-800"
                   }`}>
                     {txStatus.message}
+                    {txStatus.kind === ERROR_KINDS.WRONG_NETWORK && (
+                      <button className="underline ml-1" onClick={() => switchNetwork().catch((error) => console.error("Failed to switch network:", error))}>
+                        Switch network
+                      </button>
+                    )}
                   </div>
                 )}
                 {contractError && (
@@ -430,6 +1755,7 @@ export default function Page() {
                     {contractError}
                   </div>
                 )}
+                </div>
               </>
             ) : (
               <div className="px-3 py-4 text-center">
@@ -443,17 +1769,369 @@ export default function Page() {
                   disabled={isConnecting}
                 >
                   <Wallet className="w-4 h-4 mr-2" />
-                  {isConnecting ? "Connecting..." : isMetaMaskInstalled ? "Connect Wallet" : "Install MetaMask"}
+                  {isConnecting ? "Connecting..." : "Connect Wallet"}
                 </Button>
               </div>
             )}
             <div className="mt-auto border-t border-black/20 text-[11px] text-black/70 px-3 py-2">
-              Flare Coston2 Testnet • Contract: 0x735E...07F9
+              {network.name} • {activeWallet ? `${activeWallet.label}: ` : "Contract: "}{contractLabel}
             </div>
           </div>
         </WindowFrame>
       )}
 
+      {historyOpen && (
+        <WindowFrame
+          id="history"
+          title="Transaction History"
+          variant="habbo"
+          initial={{ x: 420, y: 140, w: 420, h: 460 }}
+          onClose={() => setHistoryOpen(false)}
+          ariaTitle="Transaction history window"
+        >
+          <div className="p-0 h-full flex flex-col">
+            <div className={styles.tabBar}>
+              {([
+                ["all", "All"],
+                ["in", "Deposits"],
+                ["out", "Withdrawals"],
+                ["owner", "Owner"],
+              ] as [HistoryFilter, string][]).map(([value, label]) => (
+                <div
+                  key={value}
+                  className={historyFilter === value ? styles.tabActive : styles.tab}
+                  onClick={() => setHistoryFilter(value)}
+                >
+                  {label}
+                </div>
+              ))}
+            </div>
+            {isConnected ? (
+              <>
+                <div className="px-3 py-2 flex items-center gap-2">
+                  <Input
+                    placeholder="Filter by address 0x..."
+                    value={historyAddress}
+                    onChange={(e) => setHistoryAddress(e.target.value)}
+                    className={styles.pixelInput}
+                  />
+                  <Button
+                    size="sm"
+                    className={styles.goButton}
+                    onClick={refreshHistory}
+                    disabled={historyLoading}
+                  >
+                    <RefreshCw className="w-3 h-3" />
+                  </Button>
+                </div>
+                <div className="flex-1 overflow-y-auto px-3 pb-3 space-y-2">
+                  {filteredHistory.map((entry: HistoryEntry) => (
+                    <div key={entry.id} className={styles.navRow}>
+                      <div className={styles.navDot} />
+                      <div className="min-w-0">
+                        <div className="truncate text-[12px]">
+                          {entry.type === "deposit" && `Deposit from ${entry.from!.slice(0, 6)}...${entry.from!.slice(-4)}`}
+                          {entry.type === "withdrawal" && `Withdrawal to ${entry.to!.slice(0, 6)}...${entry.to!.slice(-4)}`}
+                          {entry.type === "ownerChange" && `Owner → ${entry.to!.slice(0, 6)}...${entry.to!.slice(-4)}`}
+                        </div>
+                        <div className="text-[10px] text-black/50">
+                          {entry.timestamp ? new Date(entry.timestamp).toLocaleString() : `Block ${entry.blockNumber}`}
+                        </div>
+                      </div>
+                      <div className="ml-auto text-[11px] text-black/60 font-semibold whitespace-nowrap">
+                        {entry.amount !== null && `${entry.type === "deposit" ? "+" : "-"}${entry.amount} ${network.currency}`}
+                      </div>
+                    </div>
+                  ))}
+                  {!historyLoading && filteredHistory.length === 0 && (
+                    <div className="text-[11px] text-black/60 text-center py-4">No matching transactions found</div>
+                  )}
+                  {historyError && (
+                    <div className="px-3 py-2 rounded-md border bg-red-50 border-red-300 text-red-800 text-[11px]">
+                      {historyError}
+                    </div>
+                  )}
+                  {historyHasMore && (
+                    <Button
+                      size="sm"
+                      className={styles.goButton}
+                      onClick={loadMoreHistory}
+                      disabled={historyLoading}
+                    >
+                      {historyLoading ? "Loading..." : "Load older"}
+                    </Button>
+                  )}
+                </div>
+              </>
+            ) : (
+              <div className="px-3 py-4 text-center">
+                <div className="text-[12px] text-black/60 mb-3">
+                  Connect your wallet to view transaction history
+                </div>
+              </div>
+            )}
+          </div>
+        </WindowFrame>
+      )}
+
+      {plazaOpen && (
+        <WindowFrame
+          id="plaza"
+          title="Plaza"
+          variant="habbo"
+          initial={{ x: 220, y: 120, w: 520, h: 600 }}
+          onClose={() => setPlazaOpen(false)}
+          ariaTitle="Multiplayer plaza window"
+        >
+          <div className="h-full flex flex-col">
+            <div className="px-3 py-2 flex items-center gap-2 border-b border-black/20 text-[11px]">
+              {siweIdentity ? (
+                <>
+                  <ShieldCheck className="w-4 h-4 text-green-700" />
+                  <span className="truncate">
+                    Signed in as <span className="font-mono">{`${siweIdentity.address.slice(0, 6)}...${siweIdentity.address.slice(-4)}`}</span>
+                    {isWalletOwner(siweIdentity.address) && " (wallet owner)"}
+                  </span>
+                  <Button size="sm" variant="outline" className={`${styles.pixelButton} ml-auto`} onClick={signOutOfPlaza}>
+                    Sign out
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <span className="text-black/60 truncate" title={siweError ?? undefined}>
+                    {siweError ?? `Playing as ${plazaUser?.name ?? "Guest"}`}
+                  </span>
+                  <Button
+                    size="sm"
+                    className={`${styles.goButton} ml-auto`}
+                    onClick={signInWithEthereum}
+                    disabled={!signer || isSigningIn}
+                    title={signer ? "Sign a message to show your verified address to other players" : "Connect a wallet to sign in"}
+                  >
+                    <ShieldCheck className="w-3 h-3 mr-1" />
+                    {isSigningIn ? "Signing..." : "Sign in with Ethereum"}
+                  </Button>
+                </>
+              )}
+            </div>
+            <div className="relative flex-1 min-h-[240px]">
+              <IsoRoom
+                selfName={plazaUser?.name}
+                recentMessages={plazaMessages}
+                peers={plazaPeers}
+                onStep={postPosition}
+                selfAddress={siweIdentity?.address ?? null}
+                ownerAddresses={walletOwners}
+                tipEffects={tipEffects}
+                onPeerClick={(peer, pos) => {
+                  clearTipStatus()
+                  setTipTarget({ id: peer.id, ...pos })
+                }}
+              />
+              {tipTarget && tipPeer && (
+                <TipPopover
+                  peer={tipPeer}
+                  position={tipTarget}
+                  isOwner={isWalletOwner(tipPeer.address)}
+                  currency={network.currency}
+                  presets={TIP_PRESETS}
+                  disabledReason={
+                    !tipPeer.address
+                      ? `${tipPeer.name} has not signed in with Ethereum, so their address is unknown`
+                      : !siweIdentity
+                        ? "Sign in with Ethereum to tip other players"
+                        : !isConnected || !isCorrectNetwork || isWatchOnly
+                          ? `Connect your wallet on ${network.name} to tip`
+                          : null
+                  }
+                  status={tipTxStatus}
+                  isSending={isTipping}
+                  fiat={fiat}
+                  onPreview={(amount) => previewTip(tipPeer.address, amount)}
+                  onSend={handleTip}
+                  onClose={() => setTipTarget(null)}
+                />
+              )}
+            </div>
+            <div className="h-[200px] border-t border-black/20">
+              <ChatPanel messages={plazaMessages} onSend={sendPlazaMessage} />
+            </div>
+          </div>
+        </WindowFrame>
+      )}
+
+      {schedulesOpen && (
+        <WindowFrame
+          id="schedules"
+          title="Scheduled Payments"
+          variant="habbo"
+          initial={{ x: 460, y: 180, w: 380, h: 520 }}
+          onClose={() => setSchedulesOpen(false)}
+          ariaTitle="Scheduled payments window"
+        >
+          <div className={styles.windowBody}>
+            {!isConnected ? (
+              <div className="px-3 py-4 text-center">
+                <div className="text-[12px] text-black/60 mb-3">
+                  Connect your wallet to view scheduled payments
+                </div>
+              </div>
+            ) : walletKind === "multisig" ? (
+              <div className="px-3 py-4 text-center text-[12px] text-black/60">
+                Scheduled payments are not available for multisig wallets
+              </div>
+            ) : (
+              <div className="p-3 flex flex-col gap-3">
+                {/* Active schedules, soonest first */}
+                <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                  <div className="text-[12px] font-semibold mb-2 flex items-center gap-2">
+                    <CalendarClock className="w-4 h-4" /> Active Schedules
+                  </div>
+                  <div className="space-y-2">
+                    {activeSchedules.length === 0 && (
+                      <div className="text-[11px] text-black/60">No active schedules</div>
+                    )}
+                    {[...activeSchedules].sort((a, b) => a.nextDue - b.nextDue).map((s) => (
+                      <div key={s.id} className="border border-black/10 rounded px-2 py-1 text-[11px]">
+                        <div className="font-semibold">
+                          #{s.id}: {s.amount} {network.currency} → {s.to.slice(0, 6)}...{s.to.slice(-4)} every {formatInterval(s.interval)}
+                        </div>
+                        <div className="text-black/60">
+                          Next: {new Date(s.nextDue).toLocaleString()} ({s.nextDue <= now ? "due now" : `in ${formatCountdown(s.nextDue - now)}`})
+                        </div>
+                        {s.end !== null && (
+                          <div className="text-black/60">Ends: {new Date(s.end).toLocaleString()}</div>
+                        )}
+                        <div className="flex gap-1 mt-1">
+                          <Button
+                            size="sm"
+                            className={styles.goButton}
+                            onClick={() => handleContractAction(() => executeSchedule(s.id))}
+                            disabled={!canDeposit || s.nextDue > now || isProcessing || schedulesLoading}
+                          >
+                            Execute
+                          </Button>
+                          {isOwner && (
+                            <Button
+                              size="sm"
+                              className={styles.goButton}
+                              onClick={() => handleContractAction(() => cancelSchedule(s.id))}
+                              disabled={isProcessing || schedulesLoading}
+                            >
+                              Cancel
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                    {schedulesError && (
+                      <div className="px-3 py-2 rounded-md border bg-red-50 border-red-300 text-red-800 text-[11px]">
+                        {schedulesError}
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                {/* New schedule */}
+                {isOwner && (
+                  <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
+                    <div className="text-[12px] font-semibold mb-2">New Schedule</div>
+                    <div className="space-y-2">
+                      <div className="text-[11px] text-black/60 mb-1">Recipient Address</div>
+                      <Input
+                        placeholder="0x..."
+                        value={scheduleTo}
+                        onChange={(e) => setScheduleTo(e.target.value)}
+                        className={styles.pixelInput}
+                      />
+                      <div className="text-[11px] text-black/60 mb-1">Amount per payment ({network.currency})</div>
+                      <Input
+                        type="number"
+                        step="0.0001"
+                        placeholder="0.0"
+                        value={scheduleAmount}
+                        onChange={(e) => setScheduleAmount(e.target.value)}
+                        className={styles.pixelInput}
+                      />
+                      <div className="text-[11px] text-black/60 mb-1">Every (days)</div>
+                      <Input
+                        type="number"
+                        step="1"
+                        min="1"
+                        value={scheduleDays}
+                        onChange={(e) => setScheduleDays(e.target.value)}
+                        className={styles.pixelInput}
+                      />
+                      <div className="text-[11px] text-black/60 mb-1">First payment (empty = now)</div>
+                      <Input
+                        type="datetime-local"
+                        value={scheduleStart}
+                        onChange={(e) => setScheduleStart(e.target.value)}
+                        className={styles.pixelInput}
+                      />
+                      <div className="text-[11px] text-black/60 mb-1">End (empty = no end)</div>
+                      <Input
+                        type="datetime-local"
+                        value={scheduleEnd}
+                        onChange={(e) => setScheduleEnd(e.target.value)}
+                        className={styles.pixelInput}
+                      />
+                      <Button
+                        size="sm"
+                        className={styles.goButton}
+                        onClick={handleCreateSchedule}
+                        disabled={!scheduleTo || !scheduleAmount || !(Number(scheduleDays) > 0) || isProcessing || schedulesLoading}
+                      >
+                        {isProcessing ? "Processing..." : "Create Schedule"}
+                      </Button>
+                    </div>
+                  </div>
+                )}
+
+                <div className="text-[11px] text-black/60">
+                  Anyone can execute a due payment. Each payment counts against the daily spending limit.
+                </div>
+
+                {scheduleTxStatus && (
+                  <div className={`px-3 py-2 rounded-md border text-[11px] ${
+                    scheduleTxStatus.type === "success" ? "bg-green-50 border-green-300 text-green-800" :
+                    scheduleTxStatus.type === "error" ? "bg-red-50 border-red-300 text-red-800" :
+                    "bg-blue-50 border-blue-300 text-blue-800"
+                  }`}>
+                    {scheduleTxStatus.message}
+                    {scheduleTxStatus.kind === ERROR_KINDS.WRONG_NETWORK && (
+                      <button className="underline ml-1" onClick={() => switchNetwork().catch((error) => console.error("Failed to switch network:", error))}>
+                        Switch network
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </WindowFrame>
+      )}
+
+      <WalletPickerDialog
+        open={walletPickerOpen}
+        connectors={walletConnectors}
+        lastUsedId={walletPickerOpen ? getStoredConnectorId() : null}
+        ledgerSupported={isLedgerSupported}
+        onSelect={handleSelectWallet}
+        onSelectLedger={handleSelectLedger}
+        onWatch={handleWatch}
+        onCancel={() => setWalletPickerOpen(false)}
+      />
+
+      <ConfirmTransactionDialog
+        title={confirmation?.title ?? null}
+        estimate={confirmation?.estimate ?? null}
+        currency={network.currency}
+        fiat={(amount) => fiat(amount)}
+        onConfirm={handleConfirmTransaction}
+        onCancel={() => setConfirmation(null)}
+      />
+
       {settingsOpen && (
         <WindowFrame
           id="settings"
@@ -466,11 +2144,22 @@ export default function Page() {
           <div className="p-3 flex flex-col gap-3">
             <div className="text-[13px] font-semibold">Wallet Settings</div>
             <div className="border border-black/20 rounded-md px-3 py-2 bg-white">
-              <div className="text-[12px] text-black/70">
-                Flare Coston2 Testnet
+              <div className="text-[12px] text-black/70 mb-2">Network</div>
+              <div className="flex flex-wrap gap-1">
+                {networks.map((n) => (
+                  <Button
+                    key={n.key}
+                    size="sm"
+                    variant="outline"
+                    className={n.key === networkKey ? styles.goButton : styles.pixelButton}
+                    onClick={() => selectNetwork(n.key)}
+                  >
+                    {n.name}
+                  </Button>
+                ))}
               </div>
-              <div className="text-[11px] text-black/50 mt-1">
-                Contract: 0x244c...8Cfa
+              <div className="text-[11px] text-black/50 mt-2">
+                Chain ID {network.chainId} • Contract: {contractLabel}
               </div>
             </div>
 
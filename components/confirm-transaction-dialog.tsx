@@ -0,0 +1,80 @@
+"use client"
+
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import styles from "@/styles/habbo.module.css"
+
+export type TxEstimate = {
+  gasLimit: bigint
+  fee: string
+  value: string
+  total: string
+  walletBalance: string
+  contractBalance: string
+  queued: boolean
+}
+
+type Props = {
+  title: string | null
+  estimate: TxEstimate | null
+  currency: string
+  fiat?: (amount: string) => string
+  onConfirm: () => void
+  onCancel: () => void
+}
+
+function formatAmount(value: string) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n.toLocaleString("en-US", { maximumFractionDigits: 6 }) : value
+}
+
+export default function ConfirmTransactionDialog({ title, estimate, currency, fiat = () => "", onConfirm, onCancel }: Props) {
+  const rows: [string, string][] = estimate
+    ? [
+        ["Estimated fee", `${formatAmount(estimate.fee)} ${currency}${fiat(estimate.fee)}`],
+        ["Total cost", `${formatAmount(estimate.total)} ${currency}${fiat(estimate.total)}`],
+        ["Your balance after", `${formatAmount(estimate.walletBalance)} ${currency}`],
+        ["Contract balance after", `${formatAmount(estimate.contractBalance)} ${currency}`],
+      ]
+    : []
+
+  return (
+    <AlertDialog open={!!estimate} onOpenChange={(open) => !open && onCancel()}>
+      <AlertDialogContent className="max-w-sm">
+        <AlertDialogHeader>
+          <AlertDialogTitle className="text-[14px]">{title}</AlertDialogTitle>
+          <AlertDialogDescription className="text-[12px]">
+            The transaction was simulated and will succeed if nothing changes before it is mined.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <div className="space-y-1">
+          {rows.map(([label, value]) => (
+            <div key={label} className={styles.navRow}>
+              <div className="text-[12px]">{label}</div>
+              <div className="ml-auto text-[11px] text-black/60 font-semibold whitespace-nowrap">{value}</div>
+            </div>
+          ))}
+          {estimate?.queued && (
+            <div className="px-3 py-2 rounded-md border bg-blue-50 border-blue-300 text-blue-800 text-[11px]">
+              This amount is above today&apos;s remaining limit and will be queued behind the timelock instead of sent.
+            </div>
+          )}
+        </div>
+        <AlertDialogFooter>
+          <AlertDialogCancel className={styles.pixelButton}>Cancel</AlertDialogCancel>
+          <AlertDialogAction className={styles.goButton} onClick={onConfirm}>
+            Confirm in wallet
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  )
+}
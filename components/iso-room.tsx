@@ -44,6 +44,7 @@ type Peer = {
   sit?: boolean
   wave?: boolean
   laugh?: boolean
+  address?: string | null
 }
 
 type Seat = { x: number; y: number; facing: "N" | "S" | "E" | "W" }
@@ -66,10 +67,22 @@ type Props = {
   currentTrackId?: string
   isPlaying?: boolean
   onMusicBoxToggle?: (id: string) => void
+  // Verified SIWE address of the local player
+  selfAddress?: string | null
+  // Wallet contract owner(s), marked in the room when signed in
+  ownerAddresses?: string[]
+  // Click on another player's avatar; position is the top of the head in canvas pixels
+  onPeerClick?: (peer: Peer, pos: { x: number; y: number }) => void
+  // Floating coins over the given avatars ("self" for the local player)
+  tipEffects?: TipEffect[]
 }
 
+export type TipEffect = { id: string; avatarIds: string[]; at: number }
+const TIP_EFFECT_MS = 2200
+
 type Avatar = { x: number; y: number; facing: "N" | "S" | "E" | "W" }
 type Bubble = { text: string; expiresAt: number }
+type Label = { id: string; text: string; x: number; yHead: number; address?: string | null; owner?: boolean }
 
 export default function IsoRoom({
   room = "Lobby",
@@ -88,6 +101,10 @@ export default function IsoRoom({
   currentTrackId,
   isPlaying,
   onMusicBoxToggle,
+  selfAddress = null,
+  ownerAddresses = [],
+  onPeerClick,
+  tipEffects = [],
 }: Props) {
   const canvasRef = useRef<HTMLCanvasElement | null>(null)
   const containerRef = useRef<HTMLDivElement | null>(null)
@@ -113,6 +130,12 @@ export default function IsoRoom({
   const smoothPeersRef = useRef<Map<string, { x: number; y: number; facing: Facing }>>(new Map())
   const authorBubblesRef = useRef<Map<string, Bubble>>(new Map())
 
+  const ownersKey = ownerAddresses.map((a) => a.toLowerCase()).join(",")
+  const isOwnerAddress = useCallback(
+    (address?: string | null) => !!address && ownersKey.split(",").includes(address.toLowerCase()),
+    [ownersKey]
+  )
+
   const tileW = 54
   const tileH = 27
 
@@ -244,11 +267,29 @@ export default function IsoRoom({
     return true
   }, [avatar.x, avatar.y, grid, isSitting])
 
+  // Avatar whose head is under a canvas position
+  const findAvatarAt = useCallback((px: number, py: number) => {
+    let best: { target: { id: string; name: string; x: number; yHead: number }; d: number } | null = null
+    const R = 28
+    for (const t of hoverTargetsRef.current) {
+      const d = Math.hypot(px - t.x, py - (t.yHead - 8))
+      if (d <= R && (!best || d < best.d)) best = { target: t, d }
+    }
+    return best?.target ?? null
+  }, [])
+
   const handleClick = useCallback((e: React.MouseEvent<HTMLCanvasElement>) => {
     const rect = e.currentTarget.getBoundingClientRect()
     const px = e.clientX - rect.left
     const py = e.clientY - rect.top
 
+    const clicked = onPeerClick ? findAvatarAt(px, py) : null
+    const clickedPeer = clicked && peers.find((p) => p.id === clicked.id)
+    if (clicked && clickedPeer) {
+      onPeerClick?.(clickedPeer, { x: clicked.x, y: clicked.yHead })
+      return
+    }
+
     const hit = interactRef.current.find((t) => px >= t.rect.x && px <= t.rect.x + t.rect.w && py >= t.rect.y && py <= t.rect.y + t.rect.h)
     if (hit && hit.type === "music") {
       onMusicBoxToggle?.(hit.id)
@@ -290,7 +331,7 @@ export default function IsoRoom({
       const facing = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? "E" : "W") : dy > 0 ? "S" : "N"
       setAvatar((a) => ({ ...a, facing }))
     }
-  }, [avatar.x, avatar.y, grid, isSitting, onSitChange, size.w, tileH, tileW, room, onMusicBoxToggle, getMusicBoxes, currentTrackId, isPlaying, audioEnabled])
+  }, [avatar.x, avatar.y, grid, isSitting, onSitChange, size.w, tileH, tileW, room, onMusicBoxToggle, getMusicBoxes, currentTrackId, isPlaying, audioEnabled, onPeerClick, findAvatarAt, peers])
 
   useEffect(() => {
     const down = (e: KeyboardEvent) => {
@@ -326,7 +367,7 @@ export default function IsoRoom({
     let raf = 0
     let lastTime = performance.now()
 
-    function loop(now: number) {
+    const loop = (now: number) => {
       const dt = Math.min(0.05, (now - lastTime) / 1000)
       lastTime = now
 
@@ -434,12 +475,12 @@ export default function IsoRoom({
 
       const peersSmoothed = peers.map((p) => ({ p, s: smoothMap.get(p.id) ?? p }))
       const peersSorted = peersSmoothed.sort((a, b) => (a.s.y - b.s.y))
-      const labels: { id: string; text: string; x: number; yHead: number }[] = []
+      const labels: Label[] = []
       for (const { p, s } of peersSorted) {
         const { px: pX, py: pY } = projectIso(s.x, s.y, params)
         drawAvatar(ctx, pX, pY, tileW, tileH, s.facing, animRef.current, false, p.color, !!p.dance, !!p.sit, !!p.wave, !!p.laugh)
         const headY = pY - 26
-        labels.push({ id: p.id, text: p.name || "Guest", x: pX, yHead: headY })
+        labels.push({ id: p.id, text: p.name || "Guest", x: pX, yHead: headY, address: p.address, owner: isOwnerAddress(p.address) })
 
         const b = authorBubblesRef.current.get(p.name)
         if (b && b.expiresAt > Date.now()) {
@@ -452,7 +493,7 @@ export default function IsoRoom({
       const bob = Math.sin(animRef.current * 2.2) * (walkingOrHeld ? 1.5 : 0.6)
       drawAvatar(ctx, ax, ay + (isSitting ? 0 : bob), tileW, tileH, avatar.facing, animRef.current, walkingOrHeld, undefined, dancing, isSitting, waving, laughing)
       const selfHeadY = (ay + (isSitting ? 0 : bob)) - 26
-      labels.push({ id: "self", text: selfName, x: ax, yHead: selfHeadY })
+      labels.push({ id: "self", text: selfName, x: ax, yHead: selfHeadY, address: selfAddress, owner: isOwnerAddress(selfAddress) })
 
       const myBubble = authorBubblesRef.current.get(selfName)
       if (myBubble && myBubble.expiresAt > Date.now()) {
@@ -465,6 +506,16 @@ export default function IsoRoom({
 
       drawCloudsFront(ctx, size.w, size.h, bgTimeRef.current)
 
+      drawIdentityBadges(ctx, labels.filter((l) => l.address && l.id !== hoverId))
+
+      for (const effect of tipEffects) {
+        const progress = (Date.now() - effect.at) / TIP_EFFECT_MS
+        if (progress < 0 || progress >= 1) continue
+        for (const l of labels.filter((label) => effect.avatarIds.includes(label.id))) {
+          drawCoins(ctx, l.x, l.yHead, progress)
+        }
+      }
+
       if (hoverId) {
         const hovered = labels.find(l => l.id === hoverId)
         if (hovered) drawNameplates(ctx, [hovered])
@@ -476,7 +527,7 @@ export default function IsoRoom({
 
     raf = requestAnimationFrame(loop)
     return () => cancelAnimationFrame(raf)
-  }, [avatar.facing, avatar.x, avatar.y, grid, room, size.w, size.h, peers, party, dancing, waving, laughing, isSitting, tryMoveOne, onStep, selfName, hoverId, getMusicBoxes, currentTrackId, isPlaying, audioEnabled])
+  }, [avatar.facing, avatar.x, avatar.y, grid, room, size.w, size.h, peers, party, dancing, waving, laughing, isSitting, tryMoveOne, onStep, selfName, selfAddress, isOwnerAddress, tipEffects, hoverId, getMusicBoxes, currentTrackId, isPlaying, audioEnabled])
 
   const onDoubleClick = useCallback(() => {
     bubbleRef.current = { text: ":)", expiresAt: Date.now() + 2000 }
@@ -487,17 +538,8 @@ export default function IsoRoom({
     const rect = e.currentTarget.getBoundingClientRect()
     const mx = e.clientX - rect.left
     const my = e.clientY - rect.top
-    const targets = hoverTargetsRef.current
-    let best: { id: string; d: number } | null = null
-    const R = 28
-    for (const t of targets) {
-      const dx = mx - t.x
-      const dy = my - (t.yHead - 8)
-      const d = Math.hypot(dx, dy)
-      if (d <= R && (!best || d < best.d)) best = { id: t.id, d }
-    }
-    setHoverId(best ? best.id : null)
-  }, [])
+    setHoverId(findAvatarAt(mx, my)?.id ?? null)
+  }, [findAvatarAt])
   const onMouseLeave = useCallback(() => setHoverId(null), [])
 
   return (
@@ -998,7 +1040,7 @@ function dot(ctx: CanvasRenderingContext2D, x: number, y: number) {
   ctx.arc(Math.round(x) + 0.5, Math.round(y) + 0.5, 2, 0, Math.PI * 2)
   ctx.fill()
 }
-function drawNameplates(ctx: CanvasRenderingContext2D, labels: { id: string; text: string; x: number; yHead: number }[]) {
+function drawNameplates(ctx: CanvasRenderingContext2D, labels: Label[]) {
   const placed: { x: number; y: number; w: number; h: number }[] = []
   ctx.font = "700 12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto"
   for (const l of labels) {
@@ -1028,6 +1070,43 @@ function drawNameplates(ctx: CanvasRenderingContext2D, labels: { id: string; tex
     }
   }
 }
+// Verified (SIWE) players: check mark and short address; the wallet owner gets a gold "Owner" badge
+function drawIdentityBadges(ctx: CanvasRenderingContext2D, labels: Label[]) {
+  ctx.font = "700 10px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto"
+  for (const l of labels) {
+    if (!l.address) continue
+    const text = `${l.owner ? "♛ Owner" : "✓"} ${l.address.slice(0, 6)}…${l.address.slice(-4)}`
+    const w = ctx.measureText(text).width + 10
+    const h = 14
+    const x = Math.round(l.x - w / 2)
+    const y = Math.round(l.yHead - 10 - h)
+    ctx.fillStyle = l.owner ? "#facc15" : "#4a9e4a"
+    ctx.strokeStyle = "#000"
+    ctx.lineWidth = 1
+    roundRect(ctx, x + 0.5, y + 0.5, w, h, 3, true, true)
+    ctx.fillStyle = l.owner ? "#111827" : "#fff"
+    ctx.fillText(text, x + 5, y + h - 4)
+  }
+}
+// Three coins rising from an avatar's head and fading out (progress 0..1)
+function drawCoins(ctx: CanvasRenderingContext2D, x: number, yHead: number, progress: number) {
+  ctx.save()
+  ctx.globalAlpha = 1 - progress
+  ctx.font = "700 8px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto"
+  for (let i = 0; i < 3; i++) {
+    const cx = Math.round(x + (i - 1) * 12 + Math.sin(progress * 6 + i) * 3)
+    const cy = Math.round(yHead - 18 - progress * 40 - (i % 2) * 8)
+    circle(ctx, cx, cy, 5, "#facc15")
+    ctx.strokeStyle = "#a16207"
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.arc(cx, cy, 5, 0, Math.PI * 2)
+    ctx.stroke()
+    ctx.fillStyle = "#a16207"
+    ctx.fillText("F", cx - 2, cy + 3)
+  }
+  ctx.restore()
+}
 function drawBubble(ctx: CanvasRenderingContext2D, x: number, y: number, text: string) {
   const padding = 7
   ctx.font = "500 12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto"
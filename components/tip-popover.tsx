@@ -0,0 +1,156 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Coins, X } from "lucide-react"
+import styles from "@/styles/habbo.module.css"
+
+export type TipEstimate = {
+  gasLimit: bigint
+  fee: string
+  value: string
+  total: string
+  walletBalance: string
+}
+
+type Props = {
+  // Player that was clicked; address is their verified SIWE address
+  peer: { id: string; name: string; address?: string | null }
+  // Top of the avatar's head, in pixels of the room canvas
+  position: { x: number; y: number }
+  isOwner?: boolean
+  currency: string
+  presets: string[]
+  // Why tipping is not possible right now (e.g. not signed in), shown instead of the form
+  disabledReason?: string | null
+  status?: { type: "success" | "error" | "pending"; message: string } | null
+  isSending?: boolean
+  fiat?: (amount: string) => string
+  onPreview: (amount: string) => Promise<TipEstimate | null>
+  onSend: (amount: string) => Promise<void>
+  onClose: () => void
+}
+
+const WIDTH = 220
+
+function formatAmount(value: string) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n.toLocaleString("en-US", { maximumFractionDigits: 6 }) : value
+}
+
+export default function TipPopover({
+  peer,
+  position,
+  isOwner = false,
+  currency,
+  presets,
+  disabledReason = null,
+  status = null,
+  isSending = false,
+  fiat = () => "",
+  onPreview,
+  onSend,
+  onClose,
+}: Props) {
+  const [amount, setAmount] = useState(presets[0] ?? "")
+  const [estimate, setEstimate] = useState<TipEstimate | null>(null)
+  const [isEstimating, setIsEstimating] = useState(false)
+
+  // A new amount or player needs a new estimate
+  useEffect(() => { setEstimate(null) }, [amount, peer.id])
+
+  const review = async () => {
+    setIsEstimating(true)
+    try {
+      setEstimate(await onPreview(amount))
+    } finally {
+      setIsEstimating(false)
+    }
+  }
+
+  return (
+    <div
+      className="absolute z-10 border border-black bg-white rounded-md shadow-md p-2 text-[11px] space-y-2"
+      style={{ left: Math.max(4, position.x - WIDTH / 2), top: Math.max(4, position.y - 8), width: WIDTH }}
+      role="dialog"
+      aria-label={`Tip ${peer.name}`}
+    >
+      <div className="flex items-center gap-1">
+        <Coins className="w-3 h-3" />
+        <div className="font-semibold truncate">Tip {peer.name}</div>
+        <button className="ml-auto" onClick={onClose} aria-label="Close">
+          <X className="w-3 h-3" />
+        </button>
+      </div>
+      {peer.address && (
+        <div className="font-mono text-black/60">
+          {`${peer.address.slice(0, 8)}...${peer.address.slice(-6)}`}{isOwner ? " • wallet owner" : ""}
+        </div>
+      )}
+
+      {disabledReason ? (
+        <div className="text-black/60">{disabledReason}</div>
+      ) : estimate ? (
+        <>
+          <div className={styles.navRow}>
+            <div>Tip</div>
+            <div className="ml-auto font-semibold">{formatAmount(estimate.value)} {currency}{fiat(estimate.value)}</div>
+          </div>
+          <div className={styles.navRow}>
+            <div>Estimated fee</div>
+            <div className="ml-auto">{formatAmount(estimate.fee)} {currency}</div>
+          </div>
+          <div className={styles.navRow}>
+            <div>Your balance after</div>
+            <div className="ml-auto">{formatAmount(estimate.walletBalance)} {currency}</div>
+          </div>
+          <div className="flex gap-1">
+            <Button size="sm" variant="outline" className={styles.pixelButton} onClick={() => setEstimate(null)} disabled={isSending}>
+              Back
+            </Button>
+            <Button size="sm" className={`${styles.goButton} flex-1`} onClick={() => onSend(amount)} disabled={isSending}>
+              {isSending ? "Sending..." : "Confirm in wallet"}
+            </Button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="flex gap-1">
+            {presets.map((preset) => (
+              <Button
+                key={preset}
+                size="sm"
+                variant="outline"
+                className={preset === amount ? styles.goButton : styles.pixelButton}
+                onClick={() => setAmount(preset)}
+              >
+                {preset}
+              </Button>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            <Input
+              type="number"
+              step="0.1"
+              min="0"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              className="h-7 text-[11px]"
+              aria-label={`Tip amount in ${currency}`}
+            />
+            <Button size="sm" className={styles.goButton} onClick={review} disabled={!amount || isEstimating || isSending}>
+              {isEstimating ? "..." : "Review"}
+            </Button>
+          </div>
+        </>
+      )}
+
+      {status && (
+        <div className={status.type === "error" ? "text-red-700" : status.type === "success" ? "text-green-700" : "text-black/60"}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,91 @@
+"use client"
+
+import { useState } from "react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Eye, Usb, Wallet } from "lucide-react"
+import styles from "@/styles/habbo.module.css"
+
+export type WalletOption = {
+  id: string
+  name: string
+  icon: string | null
+}
+
+type Props = {
+  open: boolean
+  connectors: WalletOption[]
+  lastUsedId?: string | null
+  ledgerSupported: boolean
+  onSelect: (id: string) => void
+  onSelectLedger: () => void
+  onWatch: (address: string) => void
+  onCancel: () => void
+}
+
+export default function WalletPickerDialog({ open, connectors, lastUsedId, ledgerSupported, onSelect, onSelectLedger, onWatch, onCancel }: Props) {
+  const [watchAddress, setWatchAddress] = useState("")
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => !next && onCancel()}>
+      <DialogContent className="max-w-xs">
+        <DialogHeader>
+          <DialogTitle className="text-[14px]">Connect a wallet</DialogTitle>
+          <DialogDescription className="text-[12px]">
+            Choose one of the wallets found in this browser, WalletConnect for a mobile wallet, a Ledger, or watch an address without signing.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-1">
+          {connectors.map((c) => (
+            <button key={c.id} className={`${styles.navRow} w-full text-left`} onClick={() => onSelect(c.id)}>
+              {c.icon ? <img src={c.icon} alt="" className="w-4 h-4" /> : <Wallet className="w-4 h-4" />}
+              <div className="text-[12px]">{c.name}</div>
+              {c.id === lastUsedId && <div className="ml-auto text-[10px] text-black/50">last used</div>}
+            </button>
+          ))}
+          {connectors.length === 0 && (
+            <a className={`${styles.navRow} w-full`} href="https://metamask.io/download/" target="_blank" rel="noreferrer">
+              <Wallet className="w-4 h-4" />
+              <div className="text-[12px]">Install MetaMask</div>
+            </a>
+          )}
+          {ledgerSupported && (
+            <button className={`${styles.navRow} w-full text-left`} onClick={onSelectLedger}>
+              <Usb className="w-4 h-4" />
+              <div className="text-[12px]">Ledger</div>
+              {lastUsedId === "ledger" && <div className="ml-auto text-[10px] text-black/50">last used</div>}
+            </button>
+          )}
+        </div>
+        <div className="space-y-1">
+          <div className="text-[11px] text-black/60 flex items-center gap-1">
+            <Eye className="w-3 h-3" /> Watch an address (read-only)
+          </div>
+          <div className="flex gap-2">
+            <Input
+              placeholder="0x..."
+              value={watchAddress}
+              onChange={(e) => setWatchAddress(e.target.value)}
+              className={styles.pixelInput}
+            />
+            <Button
+              size="sm"
+              className={styles.goButton}
+              onClick={() => onWatch(watchAddress)}
+              disabled={!watchAddress}
+            >
+              Watch
+            </Button>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
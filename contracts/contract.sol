@@ -1,14 +1,91 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+/// @dev Minimal ERC-20 surface used for token withdrawals.
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
+/// @dev WNat (wrapped native token) deposit/withdraw surface.
+interface IWNat {
+    function deposit() external payable;
+    function withdraw(uint256 amount) external;
+}
+
+/// @dev Flare's on-chain registry of protocol contract addresses.
+interface IFlareContractRegistry {
+    function getContractAddressByName(string calldata name) external view returns (address);
+}
+
 /// @title Simple Smart Wallet for Flare (Coston2 Testnet)
-/// @notice Holds native FLR and lets only the owner withdraw it.
+/// @notice Holds native FLR and ERC-20 tokens and lets only the owner withdraw them.
+/// FLR withdrawals above the daily spending limit are queued behind a timelock.
+/// Recurring payments set up by the owner can be triggered by anyone once due.
 contract SimpleFlareWallet {
+    /// @dev Same address on Flare, Songbird, Coston and Coston2.
+    IFlareContractRegistry private constant FLARE_CONTRACT_REGISTRY =
+        IFlareContractRegistry(0xaD67FE66660Fb8dFE9d6b1b4240d8650e30F6019);
+
+    /// @notice Maximum number of recipients in one `batchWithdraw`, to stay well below the block gas limit.
+    uint256 public constant MAX_BATCH_SIZE = 100;
+
+    struct QueuedWithdrawal {
+        address payable to;
+        uint256 amount;
+        uint256 unlockTime;
+        bool executed;
+        bool cancelled;
+    }
+
+    struct PaymentSchedule {
+        address payable to;
+        uint256 amount;
+        uint256 interval;
+        uint256 nextDue;
+        uint256 end;
+        bool active;
+    }
+
+    struct PendingLimits {
+        uint256 dailyLimit;
+        uint256 timelockDelay;
+        uint256 effectiveAt;
+    }
+
     address public owner;
+    address public pendingOwner;
+
+    /// @notice Maximum amount (wei) withdrawable per UTC day without the timelock. 0 = unlimited.
+    uint256 public dailyLimit;
+    /// @notice Delay (seconds) before a queued withdrawal can be executed.
+    uint256 public timelockDelay;
+    uint256 public spentToday;
+    uint256 public lastSpendDay;
+
+    /// @notice Limit changes that loosen security, waiting for the current timelock to pass.
+    PendingLimits public pendingLimits;
+
+    QueuedWithdrawal[] public queuedWithdrawals;
+
+    PaymentSchedule[] public schedules;
 
     event Deposited(address indexed from, uint256 amount);
     event Withdrawn(address indexed to, uint256 amount);
     event OwnerChanged(address indexed oldOwner, address indexed newOwner);
+    event OwnershipTransferProposed(address indexed owner, address indexed proposedOwner);
+    event OwnershipTransferCancelled(address indexed owner, address indexed proposedOwner);
+    event LimitsChanged(uint256 dailyLimit, uint256 timelockDelay);
+    event LimitsChangeQueued(uint256 dailyLimit, uint256 timelockDelay, uint256 effectiveAt);
+    event LimitsChangeCancelled();
+    event WithdrawalQueued(uint256 indexed id, address indexed to, uint256 amount, uint256 unlockTime);
+    event WithdrawalCancelled(uint256 indexed id);
+    event TokenWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event Wrapped(uint256 amount);
+    event Unwrapped(uint256 amount);
+    event ScheduleCreated(uint256 indexed id, address indexed to, uint256 amount, uint256 interval, uint256 start, uint256 end);
+    event ScheduleCancelled(uint256 indexed id);
+    event ScheduledPaymentExecuted(uint256 indexed id, address indexed to, uint256 amount, uint256 nextDue);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Not owner");
@@ -19,12 +96,30 @@ contract SimpleFlareWallet {
         owner = msg.sender;
     }
 
-    /// @notice Change the owner of this wallet.
-    /// @param _newOwner The new owner address.
+    /// @notice Propose a new owner for this wallet.
+    /// The transfer only completes once the proposed owner calls `acceptOwnership`.
+    /// @param _newOwner The proposed owner address.
     function changeOwner(address _newOwner) external onlyOwner {
         require(_newOwner != address(0), "Zero address");
-        emit OwnerChanged(owner, _newOwner);
-        owner = _newOwner;
+        require(_newOwner != owner, "Already owner");
+        pendingOwner = _newOwner;
+        emit OwnershipTransferProposed(owner, _newOwner);
+    }
+
+    /// @notice Accept a pending ownership transfer.
+    /// Only callable by the proposed owner.
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        emit OwnerChanged(owner, pendingOwner);
+        owner = pendingOwner;
+        pendingOwner = address(0);
+    }
+
+    /// @notice Cancel a pending ownership transfer.
+    function cancelOwnershipTransfer() external onlyOwner {
+        require(pendingOwner != address(0), "No pending transfer");
+        emit OwnershipTransferCancelled(owner, pendingOwner);
+        pendingOwner = address(0);
     }
 
     /// @notice Deposit native FLR into this contract.
@@ -35,29 +130,230 @@ contract SimpleFlareWallet {
     }
 
     /// @notice Withdraw a specific amount of FLR to a given address.
+    /// Amounts above today's remaining allowance are queued instead of sent.
     /// @param _to Recipient address.
     /// @param _amount Amount in wei to send.
     function withdraw(address payable _to, uint256 _amount) external onlyOwner {
         require(_to != address(0), "Zero address");
         require(address(this).balance >= _amount, "Insufficient balance");
 
-        (bool success, ) = _to.call{value: _amount}("");
-        require(success, "Transfer failed");
-
-        emit Withdrawn(_to, _amount);
+        _withdrawOrQueue(_to, _amount);
     }
 
     /// @notice Withdraw all FLR from the contract to a given address.
+    /// Queued instead of sent if the balance exceeds today's remaining allowance.
     /// @param _to Recipient address.
     function withdrawAll(address payable _to) external onlyOwner {
         uint256 balance = address(this).balance;
         require(balance > 0, "No balance");
         require(_to != address(0), "Zero address");
 
-        (bool success, ) = _to.call{value: balance}("");
-        require(success, "Transfer failed");
+        _withdrawOrQueue(_to, balance);
+    }
+
+    /// @notice Pay several recipients in one transaction.
+    /// Each payment is sent or queued like `withdraw` and emits its own
+    /// `Withdrawn` or `WithdrawalQueued` event.
+    /// @param _recipients Recipient addresses.
+    /// @param _amounts Amounts in wei, one per recipient.
+    function batchWithdraw(address payable[] calldata _recipients, uint256[] calldata _amounts) external onlyOwner {
+        require(_recipients.length == _amounts.length, "Length mismatch");
+        require(_recipients.length > 0, "No recipients");
+        require(_recipients.length <= MAX_BATCH_SIZE, "Batch too large");
+
+        uint256 total;
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            require(_recipients[i] != address(0), "Zero address");
+            require(_amounts[i] > 0, "Zero amount");
+            total += _amounts[i];
+        }
+        require(address(this).balance >= total, "Insufficient balance");
+
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            _withdrawOrQueue(_recipients[i], _amounts[i]);
+        }
+    }
+
+    /// @notice Withdraw ERC-20 tokens held by this contract to a given address.
+    /// The daily limit is denominated in FLR and only applies to WNat, which is
+    /// FLR in all but name; larger WNat amounts must be unwrapped and withdrawn.
+    /// @param _token Token contract address.
+    /// @param _to Recipient address.
+    /// @param _amount Amount in the token's smallest unit.
+    function withdrawToken(address _token, address _to, uint256 _amount) external onlyOwner {
+        require(_to != address(0), "Zero address");
+        require(_token.code.length > 0, "Not a token");
+
+        if (_token == wNat()) {
+            require(_amount <= remainingDailyAllowance(), "Above daily limit");
+            _recordSpend(_amount);
+        }
+
+        // Tokens like USDT return nothing from transfer, so accept empty return data
+        (bool success, bytes memory data) = _token.call(abi.encodeCall(IERC20.transfer, (_to, _amount)));
+        require(success && (data.length == 0 || abi.decode(data, (bool))), "Token transfer failed");
+
+        emit TokenWithdrawn(_token, _to, _amount);
+    }
+
+    /// @notice View this wallet's balance of an ERC-20 token.
+    function getTokenBalance(address _token) external view returns (uint256) {
+        return IERC20(_token).balanceOf(address(this));
+    }
+
+    /// @notice Wrap FLR held by this contract into WNat (WFLR).
+    /// @param _amount Amount in wei to wrap.
+    function wrap(uint256 _amount) external onlyOwner {
+        address wNatAddress = wNat();
+        require(wNatAddress != address(0), "WNat unavailable");
+        require(address(this).balance >= _amount, "Insufficient balance");
+
+        IWNat(wNatAddress).deposit{value: _amount}();
+        emit Wrapped(_amount);
+    }
+
+    /// @notice Unwrap WNat (WFLR) held by this contract back into FLR.
+    /// @param _amount Amount in wei to unwrap.
+    function unwrap(uint256 _amount) external onlyOwner {
+        address wNatAddress = wNat();
+        require(wNatAddress != address(0), "WNat unavailable");
+
+        IWNat(wNatAddress).withdraw(_amount);
+        emit Unwrapped(_amount);
+    }
+
+    /// @notice Address of the network's WNat contract, or zero where the Flare registry does not exist.
+    function wNat() public view returns (address) {
+        if (address(FLARE_CONTRACT_REGISTRY).code.length == 0) return address(0);
+        return FLARE_CONTRACT_REGISTRY.getContractAddressByName("WNat");
+    }
+
+    /// @notice Update the daily limit and timelock delay.
+    /// Tightening changes apply immediately; loosening ones are queued for `timelockDelay`.
+    /// @param _dailyLimit New daily limit in wei (0 = unlimited).
+    /// @param _timelockDelay New delay in seconds.
+    function setLimits(uint256 _dailyLimit, uint256 _timelockDelay) external onlyOwner {
+        bool limitTightened = _dailyLimit != 0 && (dailyLimit == 0 || _dailyLimit <= dailyLimit);
+        bool limitUnchanged = _dailyLimit == dailyLimit;
+        bool delayTightened = _timelockDelay >= timelockDelay;
+
+        if ((limitTightened || limitUnchanged) && delayTightened) {
+            _applyLimits(_dailyLimit, _timelockDelay);
+            return;
+        }
+
+        uint256 effectiveAt = block.timestamp + timelockDelay;
+        pendingLimits = PendingLimits({dailyLimit: _dailyLimit, timelockDelay: _timelockDelay, effectiveAt: effectiveAt});
+        emit LimitsChangeQueued(_dailyLimit, _timelockDelay, effectiveAt);
+    }
+
+    /// @notice Apply a queued limit change once its delay has passed.
+    function applyPendingLimits() external onlyOwner {
+        require(pendingLimits.effectiveAt != 0, "No pending limits");
+        require(block.timestamp >= pendingLimits.effectiveAt, "Timelock active");
+
+        _applyLimits(pendingLimits.dailyLimit, pendingLimits.timelockDelay);
+    }
+
+    /// @notice Cancel a queued limit change.
+    function cancelPendingLimits() external onlyOwner {
+        require(pendingLimits.effectiveAt != 0, "No pending limits");
+        delete pendingLimits;
+        emit LimitsChangeCancelled();
+    }
+
+    /// @notice Send a queued withdrawal once its timelock has passed.
+    /// @param _id Index in `queuedWithdrawals`.
+    function executeQueuedWithdrawal(uint256 _id) external onlyOwner {
+        require(_id < queuedWithdrawals.length, "Unknown withdrawal");
+        QueuedWithdrawal storage queued = queuedWithdrawals[_id];
+        require(!queued.executed && !queued.cancelled, "Not pending");
+        require(block.timestamp >= queued.unlockTime, "Timelock active");
+        require(address(this).balance >= queued.amount, "Insufficient balance");
+
+        queued.executed = true;
+        _send(queued.to, queued.amount);
+    }
+
+    /// @notice Cancel a queued withdrawal during (or after) its delay.
+    /// @param _id Index in `queuedWithdrawals`.
+    function cancelQueuedWithdrawal(uint256 _id) external onlyOwner {
+        require(_id < queuedWithdrawals.length, "Unknown withdrawal");
+        QueuedWithdrawal storage queued = queuedWithdrawals[_id];
+        require(!queued.executed && !queued.cancelled, "Not pending");
+
+        queued.cancelled = true;
+        emit WithdrawalCancelled(_id);
+    }
+
+    /// @notice Create a recurring payment that anyone can trigger once due.
+    /// @param _to Recipient address.
+    /// @param _amount Amount in wei per payment.
+    /// @param _interval Seconds between payments.
+    /// @param _start Time of the first payment (0 = now).
+    /// @param _end Time after which no payment is due (0 = no end).
+    function createSchedule(address payable _to, uint256 _amount, uint256 _interval, uint256 _start, uint256 _end)
+        external
+        onlyOwner
+    {
+        require(_to != address(0), "Zero address");
+        require(_amount > 0, "Zero amount");
+        require(_interval > 0, "Zero interval");
+        uint256 start = _start == 0 ? block.timestamp : _start;
+        require(_end == 0 || _end >= start, "Invalid end");
+
+        schedules.push(PaymentSchedule({to: _to, amount: _amount, interval: _interval, nextDue: start, end: _end, active: true}));
+        emit ScheduleCreated(schedules.length - 1, _to, _amount, _interval, start, _end);
+    }
+
+    /// @notice Stop a recurring payment.
+    /// @param _id Index in `schedules`.
+    function cancelSchedule(uint256 _id) external onlyOwner {
+        require(_id < schedules.length, "Unknown schedule");
+        PaymentSchedule storage schedule = schedules[_id];
+        require(schedule.active, "Schedule inactive");
 
-        emit Withdrawn(_to, balance);
+        schedule.active = false;
+        emit ScheduleCancelled(_id);
+    }
+
+    /// @notice Make the next due payment of a schedule. Callable by anyone.
+    /// Pays one period per call, so missed periods are caught up by calling again.
+    /// Counts against the daily limit and reverts instead of queuing when above it.
+    /// @param _id Index in `schedules`.
+    function executeSchedule(uint256 _id) external {
+        require(_id < schedules.length, "Unknown schedule");
+        PaymentSchedule storage schedule = schedules[_id];
+        require(schedule.active, "Schedule inactive");
+        require(block.timestamp >= schedule.nextDue, "Not due");
+        require(address(this).balance >= schedule.amount, "Insufficient balance");
+        require(schedule.amount <= remainingDailyAllowance(), "Above daily limit");
+
+        schedule.nextDue += schedule.interval;
+        if (schedule.end != 0 && schedule.nextDue > schedule.end) {
+            schedule.active = false;
+        }
+
+        _recordSpend(schedule.amount);
+        _send(schedule.to, schedule.amount);
+        emit ScheduledPaymentExecuted(_id, schedule.to, schedule.amount, schedule.nextDue);
+    }
+
+    /// @notice Number of schedules ever created (the next schedule id).
+    function getScheduleCount() external view returns (uint256) {
+        return schedules.length;
+    }
+
+    /// @notice Amount (wei) that can still be withdrawn today without the timelock.
+    function remainingDailyAllowance() public view returns (uint256) {
+        if (dailyLimit == 0) return type(uint256).max;
+        uint256 spent = lastSpendDay == block.timestamp / 1 days ? spentToday : 0;
+        return dailyLimit > spent ? dailyLimit - spent : 0;
+    }
+
+    /// @notice Number of withdrawals ever queued (the next queue id).
+    function getQueuedWithdrawalCount() external view returns (uint256) {
+        return queuedWithdrawals.length;
     }
 
     /// @notice View the current FLR balance of this wallet.
@@ -69,4 +365,40 @@ contract SimpleFlareWallet {
     receive() external payable {
         emit Deposited(msg.sender, msg.value);
     }
+
+    function _withdrawOrQueue(address payable _to, uint256 _amount) private {
+        if (_amount <= remainingDailyAllowance()) {
+            _recordSpend(_amount);
+            _send(_to, _amount);
+            return;
+        }
+
+        uint256 unlockTime = block.timestamp + timelockDelay;
+        queuedWithdrawals.push(QueuedWithdrawal({to: _to, amount: _amount, unlockTime: unlockTime, executed: false, cancelled: false}));
+        emit WithdrawalQueued(queuedWithdrawals.length - 1, _to, _amount, unlockTime);
+    }
+
+    function _recordSpend(uint256 _amount) private {
+        if (dailyLimit == 0) return;
+        uint256 today = block.timestamp / 1 days;
+        if (lastSpendDay != today) {
+            lastSpendDay = today;
+            spentToday = 0;
+        }
+        spentToday += _amount;
+    }
+
+    function _send(address payable _to, uint256 _amount) private {
+        (bool success, ) = _to.call{value: _amount}("");
+        require(success, "Transfer failed");
+
+        emit Withdrawn(_to, _amount);
+    }
+
+    function _applyLimits(uint256 _dailyLimit, uint256 _timelockDelay) private {
+        dailyLimit = _dailyLimit;
+        timelockDelay = _timelockDelay;
+        delete pendingLimits;
+        emit LimitsChanged(_dailyLimit, _timelockDelay);
+    }
 }
@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title Multi-signature Flare Wallet
+/// @notice Holds native FLR; transfers need confirmations from `threshold` of the owners.
+contract MultiSigFlareWallet {
+    struct Transaction {
+        address to;
+        uint256 value;
+        bytes data;
+        bool executed;
+        uint256 numConfirmations;
+    }
+
+    address[] public owners;
+    mapping(address => bool) public isOwner;
+    uint256 public threshold;
+
+    Transaction[] public transactions;
+    mapping(uint256 => mapping(address => bool)) public isConfirmed;
+
+    event Deposited(address indexed from, uint256 amount);
+    event Withdrawn(address indexed to, uint256 amount);
+    event TransactionSubmitted(uint256 indexed nonce, address indexed owner, address indexed to, uint256 value, bytes data);
+    event TransactionConfirmed(uint256 indexed nonce, address indexed owner);
+    event ConfirmationRevoked(uint256 indexed nonce, address indexed owner);
+    event TransactionExecuted(uint256 indexed nonce, address indexed owner);
+
+    modifier onlyOwner() {
+        require(isOwner[msg.sender], "Not owner");
+        _;
+    }
+
+    modifier txExists(uint256 _nonce) {
+        require(_nonce < transactions.length, "Unknown transaction");
+        _;
+    }
+
+    modifier notExecuted(uint256 _nonce) {
+        require(!transactions[_nonce].executed, "Already executed");
+        _;
+    }
+
+    /// @param _owners Owner addresses (unique, non-zero).
+    /// @param _threshold Number of confirmations required to execute.
+    constructor(address[] memory _owners, uint256 _threshold) {
+        require(_owners.length > 0, "No owners");
+        require(_threshold > 0 && _threshold <= _owners.length, "Invalid threshold");
+
+        for (uint256 i = 0; i < _owners.length; i++) {
+            address owner = _owners[i];
+            require(owner != address(0), "Zero address");
+            require(!isOwner[owner], "Duplicate owner");
+            isOwner[owner] = true;
+            owners.push(owner);
+        }
+
+        threshold = _threshold;
+    }
+
+    /// @notice Deposit native FLR into this contract.
+    /// Anyone can deposit.
+    function deposit() external payable {
+        require(msg.value > 0, "No FLR sent");
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    /// @notice Propose a transaction. The submitter's confirmation is recorded automatically.
+    /// @param _to Recipient address.
+    /// @param _value Amount in wei to send.
+    /// @param _data Call data (empty for plain transfers).
+    /// @return nonce Index of the new transaction.
+    function submitTransaction(address _to, uint256 _value, bytes calldata _data)
+        external
+        onlyOwner
+        returns (uint256 nonce)
+    {
+        require(_to != address(0), "Zero address");
+
+        nonce = transactions.length;
+        transactions.push(Transaction({to: _to, value: _value, data: _data, executed: false, numConfirmations: 0}));
+        emit TransactionSubmitted(nonce, msg.sender, _to, _value, _data);
+
+        _confirm(nonce);
+    }
+
+    /// @notice Confirm a pending transaction.
+    function confirmTransaction(uint256 _nonce) external onlyOwner txExists(_nonce) notExecuted(_nonce) {
+        require(!isConfirmed[_nonce][msg.sender], "Already confirmed");
+        _confirm(_nonce);
+    }
+
+    /// @notice Withdraw a previous confirmation.
+    function revokeConfirmation(uint256 _nonce) external onlyOwner txExists(_nonce) notExecuted(_nonce) {
+        require(isConfirmed[_nonce][msg.sender], "Not confirmed");
+        isConfirmed[_nonce][msg.sender] = false;
+        transactions[_nonce].numConfirmations -= 1;
+        emit ConfirmationRevoked(_nonce, msg.sender);
+    }
+
+    /// @notice Execute a transaction once it has enough confirmations.
+    function executeTransaction(uint256 _nonce) external onlyOwner txExists(_nonce) notExecuted(_nonce) {
+        Transaction storage transaction = transactions[_nonce];
+        require(transaction.numConfirmations >= threshold, "Not enough confirmations");
+        require(address(this).balance >= transaction.value, "Insufficient balance");
+
+        transaction.executed = true;
+
+        (bool success, ) = transaction.to.call{value: transaction.value}(transaction.data);
+        require(success, "Transfer failed");
+
+        emit TransactionExecuted(_nonce, msg.sender);
+        if (transaction.value > 0) {
+            emit Withdrawn(transaction.to, transaction.value);
+        }
+    }
+
+    /// @notice List all owners.
+    function getOwners() external view returns (address[] memory) {
+        return owners;
+    }
+
+    /// @notice Number of submitted transactions (the next nonce).
+    function getTransactionCount() external view returns (uint256) {
+        return transactions.length;
+    }
+
+    /// @notice View the current FLR balance of this wallet.
+    function getBalance() external view returns (uint256) {
+        return address(this).balance;
+    }
+
+    function _confirm(uint256 _nonce) private {
+        isConfirmed[_nonce][msg.sender] = true;
+        transactions[_nonce].numConfirmations += 1;
+        emit TransactionConfirmed(_nonce, msg.sender);
+    }
+
+    /// @notice Fallback function to accept plain FLR transfers.
+    receive() external payable {
+        emit Deposited(msg.sender, msg.value);
+    }
+}
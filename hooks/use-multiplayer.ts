@@ -2,6 +2,9 @@
 
 import { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import { getSupabaseBrowser, isSupabaseConfigured } from "@/lib/supabase-client"
+import { verifySiweProof, type SiweProof } from "@/lib/siwe"
+import { verifyTip } from "@/lib/tips"
+import { getFlareNetwork } from "@/lib/flare"
 import leo from "leo-profanity"
 
 export type ChatMessage = { id: string; author: string; text: string; timestamp: number }
@@ -17,9 +20,16 @@ export type Peer = {
   sit?: boolean
   wave?: boolean
   laugh?: boolean
+  // Set only from a SIWE proof in the peer's presence that this client verified itself
+  address?: string | null
 }
 
-type Options = { room: string; userId: string; name: string; offline?: boolean }
+// A tip mined on-chain between two players (presence ids), shown as coins over both avatars
+export type TipEvent = { id: string; fromId: string; toId: string; amount: string; at: number }
+type TipPayload = { fromId: string; toId: string; hash: string; chainId: number; from: string; to: string; amount: string }
+
+// identity: optional Sign-In with Ethereum proof bound to userId (see hooks/useSiwe.js)
+type Options = { room: string; userId: string; name: string; offline?: boolean; identity?: (SiweProof & { address: string }) | null }
 
 function randomColor() {
   const colors = ["#ef4444", "#f59e0b", "#10b981", "#3b82f6", "#8b5cf6", "#ec4899", "#22c55e", "#eab308"]
@@ -47,8 +57,17 @@ class SpamGuard {
 }
 
 const MAX_LEN = 240
+const TIP_EVENT_MS = 5000
+
+function systemMessage(text: string): ChatMessage {
+  return { id: "sys-" + crypto.randomUUID(), author: "System", text, timestamp: Date.now() }
+}
+
+function sameAddress(a?: string | null, b?: string | null) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase()
+}
 
-export function useMultiplayer({ room, userId, name, offline }: Options) {
+export function useMultiplayer({ room, userId, name, offline, identity }: Options) {
   const [messages, setMessages] = useState<ChatMessage[]>([])
   const [others, setOthers] = useState<Peer[]>([])
   const [selfDance, setSelfDance] = useState(false)
@@ -56,10 +75,37 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
   const [selfWave, setSelfWave] = useState(false)
   const [selfLaugh, setSelfLaugh] = useState(false)
   const [party, setParty] = useState(false)
+  const [tips, setTips] = useState<TipEvent[]>([])
 
   const guardRef = useRef(new SpamGuard())
   const colorRef = useRef<string>(randomColor())
 
+  // Shared in presence so that every peer can verify it
+  const siwe = useMemo(() => (identity ? { message: identity.message, signature: identity.signature } : null), [identity])
+
+  // Presence to track, read when joining and when the sign-in changes so neither resubscribes the channel
+  const presenceRef = useRef({ siwe, dance: selfDance, sit: selfSit, wave: selfWave, laugh: selfLaugh })
+  presenceRef.current = { siwe, dance: selfDance, sit: selfSit, wave: selfWave, laugh: selfLaugh }
+  const joinedRef = useRef(false)
+
+  // Read by the tip handler, which is registered once per channel
+  const othersRef = useRef<Peer[]>([])
+  othersRef.current = others
+  const selfRef = useRef({ name, address: identity?.address ?? null })
+  selfRef.current = { name, address: identity?.address ?? null }
+
+  // Hashes of tips already shown; a mined tip can be rebroadcast by anyone
+  const shownTipsRef = useRef(new Set<string>())
+
+  const showTip = useCallback((tip: Omit<TipEvent, "id" | "at">, hash: string, text: string) => {
+    const key = hash.toLowerCase()
+    if (shownTipsRef.current.has(key)) return
+    shownTipsRef.current.add(key)
+    const now = Date.now()
+    setTips((prev) => [...prev.filter((t) => now - t.at < TIP_EVENT_MS), { ...tip, id: crypto.randomUUID(), at: now }])
+    setMessages((prev) => [...prev, systemMessage(text)])
+  }, [])
+
   // Final offline flag: explicit offline OR missing env config
   const offlineResolved = !!offline || !isSupabaseConfigured()
 
@@ -105,7 +151,9 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
         if (!p || p.id === userId) return
         setOthers((prev) => {
           const map = new Map(prev.map((o) => [o.id, o]))
-          map.set(p.id, { ...map.get(p.id), ...p } as Peer)
+          const existing = map.get(p.id)
+          // Broadcasts are unauthenticated: keep the address verified from presence
+          map.set(p.id, { ...existing, ...p, address: existing?.address ?? null } as Peer)
           return Array.from(map.values())
         })
       })
@@ -127,6 +175,20 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
         if (data.type === "dance") setOthers((prev) => prev.map((o) => (o.id === data.id ? { ...o, dance: data.value } : o)))
         if (data.type === "sit") setOthers((prev) => prev.map((o) => (o.id === data.id ? { ...o, sit: data.value } : o)))
       })
+      .on("broadcast", { event: "tip" }, async (payload) => {
+        const tip = payload.payload as TipPayload
+        if (!tip || typeof tip.hash !== "string" || tip.fromId === userId) return
+        if (shownTipsRef.current.has(tip.hash.toLowerCase())) return
+        // Both players' addresses must match their verified presence, and the transfer must be on-chain
+        const sender = othersRef.current.find((o) => o.id === tip.fromId)
+        const recipient = tip.toId === userId
+          ? { name: selfRef.current.name, address: selfRef.current.address }
+          : othersRef.current.find((o) => o.id === tip.toId)
+        if (!sender || !recipient || !sameAddress(sender.address, tip.from) || !sameAddress(recipient.address, tip.to)) return
+        if (!(await verifyTip(tip))) return
+        const to = tip.toId === userId ? "you" : recipient.name
+        showTip(tip, tip.hash, `${sender.name} tipped ${to} ${tip.amount} ${getFlareNetwork().currency}`)
+      })
       .on("presence", { event: "sync" }, () => {
         const state = channel.presenceState()
         setOthers((prev) => {
@@ -146,6 +208,9 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
               sit: meta.sit ?? existing?.sit ?? false,
               wave: meta.wave ?? existing?.wave ?? false,
               laugh: meta.laugh ?? existing?.laugh ?? false,
+              // A proof can be copied from presence and replayed under the same key, so a key
+              // joined by more than one client shows no address
+              address: (metas as any[]).length === 1 ? verifySiweProof(meta.siwe, { requestId: id }) : null,
             })
           })
           for (const id of Array.from(map.keys())) {
@@ -157,16 +222,24 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
 
     channel.subscribe(async (status) => {
       if (status === "SUBSCRIBED") {
-        await channel.track({ name, color: colorRef.current, dance: false, sit: false, wave: false, laugh: false })
+        joinedRef.current = true
+        await channel.track({ name, color: colorRef.current, siwe: presenceRef.current.siwe, dance: false, sit: false, wave: false, laugh: false })
       }
     })
 
     channelRef.current = channel
     return () => {
+      joinedRef.current = false
       channel.unsubscribe()
       channelRef.current = null
     }
-  }, [room, supabase, userId, name, offlineResolved])
+  }, [room, supabase, userId, name, offlineResolved, showTip])
+
+  // Signing in or out only updates our presence; peers re-verify the proof on the next sync
+  useEffect(() => {
+    if (offlineResolved || !joinedRef.current) return
+    channelRef.current?.track({ name: selfRef.current.name, color: colorRef.current, ...presenceRef.current }).catch(() => {})
+  }, [siwe, offlineResolved])
 
   const sendMessage = useCallback(
     async (text: string) => {
@@ -197,6 +270,22 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
     [name, offlineResolved]
   )
 
+  /**
+   * Show a mined tip to another player and announce it to the room
+   * Peers only show it after checking the transaction themselves (lib/tips.js).
+   */
+  const announceTip = useCallback(
+    async (tip: { toId: string; hash: string; to: string; amount: string }) => {
+      const recipient = othersRef.current.find((o) => o.id === tip.toId)
+      const { chainId, currency } = getFlareNetwork()
+      showTip({ fromId: userId, toId: tip.toId, amount: tip.amount }, tip.hash, `You tipped ${recipient?.name ?? "a player"} ${tip.amount} ${currency}`)
+      if (offlineResolved || !identity) return
+      const payload: TipPayload = { ...tip, fromId: userId, chainId, from: identity.address }
+      await channelRef.current?.send({ type: "broadcast", event: "tip", payload }).catch(() => {})
+    },
+    [userId, identity, offlineResolved, showTip]
+  )
+
   const postPosition = useCallback(
     (s: { x: number; y: number; facing: Facing }) => {
       if (offlineResolved) return
@@ -219,20 +308,20 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
     async (value: boolean) => {
       setSelfDance(value)
       if (offlineResolved) return
-      await channelRef.current?.track({ name, color: colorRef.current, dance: value, sit: selfSit, wave: selfWave, laugh: selfLaugh })
+      await channelRef.current?.track({ name, color: colorRef.current, siwe, dance: value, sit: selfSit, wave: selfWave, laugh: selfLaugh })
       await channelRef.current?.send({ type: "broadcast", event: "action", payload: { id: userId, type: "dance", value } })
     },
-    [name, userId, selfSit, selfWave, selfLaugh, offlineResolved]
+    [name, siwe, userId, selfSit, selfWave, selfLaugh, offlineResolved]
   )
 
   const setSit = useCallback(
     async (value: boolean) => {
       setSelfSit(value)
       if (offlineResolved) return
-      await channelRef.current?.track({ name, color: colorRef.current, dance: selfDance, sit: value, wave: selfWave, laugh: selfLaugh })
+      await channelRef.current?.track({ name, color: colorRef.current, siwe, dance: selfDance, sit: value, wave: selfWave, laugh: selfLaugh })
       await channelRef.current?.send({ type: "broadcast", event: "action", payload: { id: userId, type: "sit", value } })
     },
-    [name, userId, selfDance, selfWave, selfLaugh, offlineResolved]
+    [name, siwe, userId, selfDance, selfWave, selfLaugh, offlineResolved]
   )
 
   const setPartySync = useCallback(
@@ -248,25 +337,25 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
     setSelfWave(true)
     setTimeout(() => setSelfWave(false), 2000)
     if (offlineResolved) return
-    await channelRef.current?.track({ name, color: colorRef.current, dance: selfDance, sit: selfSit, wave: true, laugh: selfLaugh })
+    await channelRef.current?.track({ name, color: colorRef.current, siwe, dance: selfDance, sit: selfSit, wave: true, laugh: selfLaugh })
     await channelRef.current?.send({ type: "broadcast", event: "action", payload: { id: userId, type: "wave", value: true } })
     setTimeout(async () => {
-      await channelRef.current?.track({ name, color: colorRef.current, dance: selfDance, sit: selfSit, wave: false, laugh: selfLaugh })
+      await channelRef.current?.track({ name, color: colorRef.current, siwe, dance: selfDance, sit: selfSit, wave: false, laugh: selfLaugh })
       await channelRef.current?.send({ type: "broadcast", event: "action", payload: { id: userId, type: "wave", value: false } })
     }, 2000)
-  }, [name, userId, selfDance, selfSit, selfLaugh, offlineResolved])
+  }, [name, siwe, userId, selfDance, selfSit, selfLaugh, offlineResolved])
 
   const triggerLaugh = useCallback(async () => {
     setSelfLaugh(true)
     setTimeout(() => setSelfLaugh(false), 1800)
     if (offlineResolved) return
-    await channelRef.current?.track({ name, color: colorRef.current, dance: selfDance, sit: selfSit, wave: selfWave, laugh: true })
+    await channelRef.current?.track({ name, color: colorRef.current, siwe, dance: selfDance, sit: selfSit, wave: selfWave, laugh: true })
     await channelRef.current?.send({ type: "broadcast", event: "action", payload: { id: userId, type: "laugh", value: true } })
     setTimeout(async () => {
-      await channelRef.current?.track({ name, color: colorRef.current, dance: selfDance, sit: selfSit, wave: selfWave, laugh: false })
+      await channelRef.current?.track({ name, color: colorRef.current, siwe, dance: selfDance, sit: selfSit, wave: selfWave, laugh: false })
       await channelRef.current?.send({ type: "broadcast", event: "action", payload: { id: userId, type: "laugh", value: false } })
     }, 1800)
-  }, [name, userId, selfDance, selfSit, selfWave, offlineResolved])
+  }, [name, siwe, userId, selfDance, selfSit, selfWave, offlineResolved])
 
   return {
     messages,
@@ -283,5 +372,7 @@ export function useMultiplayer({ room, userId, name, offline }: Options) {
     selfWave,
     triggerLaugh,
     selfLaugh,
+    tips,
+    announceTip,
   }
 }
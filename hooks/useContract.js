@@ -1,46 +1,67 @@
 "use client"
 
 import { useState, useEffect, useCallback } from "react"
-import { formatEther } from "ethers"
+import { formatEther, parseEther } from "ethers"
 import {
   getContractBalance,
   getContractOwner,
   deposit as depositToContract,
   withdraw as withdrawFromContract,
   withdrawAll as withdrawAllFromContract,
+  batchWithdraw as batchWithdrawFromContract,
+  deployWallet as deployWalletContract,
+  getPendingOwner,
+  supportsTwoStepOwnership,
+  getWalletKind,
+  getSpendingLimits,
+  getPendingQueuedWithdrawals,
+  getQueuedWithdrawalFromReceipt,
+  getQueuedWithdrawalsFromReceipt,
+  setSpendingLimits as setSpendingLimitsOfContract,
+  applyPendingLimits as applyPendingLimitsOfContract,
+  cancelPendingLimits as cancelPendingLimitsOfContract,
+  executeQueuedWithdrawal as executeQueuedWithdrawalOfContract,
+  cancelQueuedWithdrawal as cancelQueuedWithdrawalOfContract,
+  changeOwner as changeOwnerOfContract,
+  acceptOwnership as acceptOwnershipOfContract,
+  cancelOwnershipTransfer as cancelOwnershipTransferOfContract,
+  getTokenBalances,
+  addCustomToken,
+  removeCustomToken,
+  withdrawToken as withdrawTokenFromContract,
+  getWrappedBalance,
+  wrapFlr,
+  unwrapFlr,
+  estimateDeposit,
+  estimateWithdraw,
+  estimateWithdrawAll,
+  estimateBatchWithdraw,
 } from "@/lib/contract"
+import { ERROR_KINDS, WalletError, toWalletError } from "@/lib/errors"
+import { trackTransaction, waitForTransaction } from "@/lib/transactions"
+import { useNetwork } from "@/hooks/useNetwork"
+import { useTxRunner } from "@/hooks/useTxRunner"
+import { useBalanceWatch, useContractEvents } from "@/hooks/useLiveUpdates"
 
 /**
  * Hook for managing contract state and transactions
+ * @param {import('ethers').Signer | null} signer - The signer from MetaMask
+ * @param {boolean} isConnected - Whether a wallet is connected
+ * @param {string} [contractAddress] - Active wallet contract (undefined if none is configured)
  */
-export function useContract(signer, isConnected) {
+export function useContract(signer, isConnected, contractAddress) {
+  const { network } = useNetwork()
   const [contractBalance, setContractBalance] = useState("0")
-  const [owner, setOwner] = useState(null)
-  const [isLoading, setIsLoading] = useState(false)
-  const [error, setError] = useState(null)
-  const [txStatus, setTxStatus] = useState(null) // { type: 'success' | 'error' | 'pending', message: string }
-
-  /**
-   * Retry helper with exponential backoff
-   */
-  const retryWithBackoff = useCallback(async (fn, maxRetries = 3, baseDelay = 2000) => {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        return await fn()
-      } catch (error) {
-        const isRateLimited = error?.code === -32005 || error?.data?.httpStatus === 429
-        
-        if (isRateLimited && i < maxRetries - 1) {
-          const delay = baseDelay * Math.pow(2, i)
-          console.warn(`Rate limited, retrying in ${delay}ms... (attempt ${i + 1}/${maxRetries})`)
-          await new Promise(resolve => setTimeout(resolve, delay))
-          continue
-        }
-        
-        throw error
-      }
-    }
-  }, [])
+  const [owner, setOwner] = useState(/** @type {string | null} */ (null))
+  const [pendingOwner, setPendingOwner] = useState(/** @type {string | null} */ (null))
+  // Whether ownership transfers need the new owner to accept (null until loaded and for multisig wallets)
+  const [twoStepOwnership, setTwoStepOwnership] = useState(/** @type {boolean | null} */ (null))
+  const [walletKind, setWalletKind] = useState("simple")
+  const [spendingLimits, setSpendingLimits] = useState(/** @type {import('@/lib/contract').SpendingLimits | null} */ (null))
+  const [queuedWithdrawals, setQueuedWithdrawals] = useState(/** @type {import('@/lib/contract').QueuedWithdrawal[]} */ ([]))
+  const [wrapped, setWrapped] = useState(/** @type {import('@/lib/contract').WrappedBalance | null} */ (null))
+  const [tokenBalances, setTokenBalances] = useState(/** @type {Array<import('@/lib/contract').TokenInfo & { balance: string }>} */ ([]))
+  const { isLoading, setIsLoading, error, setError, txStatus, setTxStatus, run } = useTxRunner(signer, isConnected)
 
   /**
    * Refresh contract state
@@ -49,6 +70,12 @@ export function useContract(signer, isConnected) {
     if (!isConnected) {
       setContractBalance("0")
       setOwner(null)
+      setPendingOwner(null)
+      setTwoStepOwnership(null)
+      setSpendingLimits(null)
+      setQueuedWithdrawals([])
+      setTokenBalances([])
+      setWrapped(null)
       return
     }
 
@@ -56,75 +83,163 @@ export function useContract(signer, isConnected) {
       setIsLoading(true)
       setError(null)
 
-      // Use retry logic for both calls
-      const [balance, ownerAddress] = await Promise.all([
-        retryWithBackoff(() => getContractBalance()),
-        retryWithBackoff(() => getContractOwner()),
-      ])
+      const balance = await getContractBalance(contractAddress)
+      const kind = await getWalletKind(contractAddress)
+      const tokens = await getTokenBalances(contractAddress)
+
+      // Multisig wallets have an owner set instead of a single owner (see useMultisig)
+      const twoStep = kind === "multisig" ? null : await supportsTwoStepOwnership(contractAddress)
+      const [ownerAddress, pendingOwnerAddress, limits, queued, wrappedBalance] = kind === "multisig"
+        ? [null, null, null, [], null]
+        : await Promise.all([
+            getContractOwner(contractAddress),
+            twoStep ? getPendingOwner(contractAddress) : null,
+            getSpendingLimits(contractAddress),
+            getPendingQueuedWithdrawals(contractAddress),
+            getWrappedBalance(contractAddress),
+          ])
 
       setContractBalance(balance)
+      setWalletKind(kind)
       setOwner(ownerAddress)
+      setPendingOwner(pendingOwnerAddress)
+      setTwoStepOwnership(twoStep)
+      setSpendingLimits(limits)
+      setQueuedWithdrawals(queued)
+      setTokenBalances(tokens)
+      setWrapped(wrappedBalance)
     } catch (err) {
+      const walletError = toWalletError(err, "Failed to load contract data")
+
       // Handle rate limiting gracefully
-      if (err?.code === -32005 || err?.data?.httpStatus === 429) {
+      if (walletError.kind === ERROR_KINDS.RATE_LIMITED) {
         console.warn("Rate limited after retries, will retry later")
         // Don't set error for rate limiting, just log it - keep last known values
         return
       }
-      
+
       // Handle contract not deployed
-      if (err?.message?.includes("Contract not deployed")) {
-        setError("Contract not found. Please verify the contract address.")
+      if (walletError.kind === ERROR_KINDS.NOT_DEPLOYED) {
+        setError(walletError.message)
         setContractBalance("0")
         setOwner("Contract not deployed")
         return
       }
-      
+
+      // Handle networks without a configured wallet contract
+      if (walletError.kind === ERROR_KINDS.NO_CONTRACT) {
+        setError(walletError.message)
+        setContractBalance("0")
+        setOwner(null)
+        return
+      }
+
       console.error("Error refreshing contract state:", err)
-      setError(err.message || "Failed to load contract data")
+      setError(walletError.message)
     } finally {
       setIsLoading(false)
     }
-  }, [isConnected, retryWithBackoff])
+  }, [isConnected, network, contractAddress])
 
-  // Auto-refresh on mount and when connection changes
+  // Load on mount and when connection changes
   useEffect(() => {
     refresh()
-    // Refresh every 15 seconds to reduce rate limiting
-    const interval = setInterval(refresh, 15000)
-    return () => clearInterval(interval)
   }, [refresh])
 
+  // Afterwards reload only when the contract emits events (deposits, withdrawals, owner or limit changes)
+  useContractEvents(isConnected ? contractAddress : null, () => refresh())
+
+  // Balance changes that emit no event still show up
+  useBalanceWatch(isConnected ? contractAddress : null, (balance) => setContractBalance(formatEther(balance)))
+
+  /**
+   * Simulate a transaction and estimate its cost before MetaMask is opened
+   * A call that would revert is reported in txStatus like a failed transaction.
+   */
+  const preflight = useCallback(
+    async (estimate, fallbackError) => {
+      if (!signer || !isConnected) {
+        throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Wallet not connected")
+      }
+
+      setError(null)
+      setTxStatus({ type: "pending", message: "Checking transaction..." })
+      try {
+        const result = await estimate()
+        setTxStatus(null)
+        return result
+      } catch (err) {
+        const walletError = toWalletError(err, fallbackError)
+        setError(walletError.message)
+        setTxStatus({ type: "error", message: walletError.message, kind: walletError.kind })
+        throw walletError
+      }
+    },
+    [signer, isConnected]
+  )
+
+  /**
+   * Estimate a deposit (see preflight)
+   * @returns {Promise<import('@/lib/contract').TxEstimate>}
+   */
+  const previewDeposit = useCallback(
+    (amount) => preflight(() => estimateDeposit(signer, amount, contractAddress), "Failed to estimate deposit"),
+    [signer, contractAddress, preflight]
+  )
+
+  /**
+   * Estimate a withdrawal (see preflight)
+   * @returns {Promise<import('@/lib/contract').TxEstimate>}
+   */
+  const previewWithdraw = useCallback(
+    (to, amount) => preflight(() => estimateWithdraw(signer, to, amount, contractAddress), "Failed to estimate withdrawal"),
+    [signer, contractAddress, preflight]
+  )
+
+  /**
+   * Estimate withdrawing the whole balance (see preflight)
+   * @returns {Promise<import('@/lib/contract').TxEstimate>}
+   */
+  const previewWithdrawAll = useCallback(
+    (to) => preflight(() => estimateWithdrawAll(signer, to, contractAddress), "Failed to estimate withdrawal"),
+    [signer, contractAddress, preflight]
+  )
+
+  /**
+   * Estimate a batch payout (see preflight)
+   * @returns {Promise<import('@/lib/contract').TxEstimate>}
+   */
+  const previewBatchWithdraw = useCallback(
+    (payouts) => preflight(() => estimateBatchWithdraw(signer, payouts, contractAddress), "Failed to estimate batch payout"),
+    [signer, contractAddress, preflight]
+  )
+
   /**
    * Deposit FLR to contract
    */
   const deposit = useCallback(
     async (amount) => {
       if (!signer || !isConnected) {
-        throw new Error("Wallet not connected")
+        throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Wallet not connected")
       }
 
       setIsLoading(true)
       setError(null)
-      setTxStatus({ type: "pending", message: "Depositing FLR..." })
+      setTxStatus({ type: "pending", message: `Depositing ${network.currency}...` })
 
       try {
         // Small delay to help avoid rate limiting
         await new Promise(resolve => setTimeout(resolve, 500))
         
-        const tx = await depositToContract(signer, amount)
+        const tx = await depositToContract(signer, amount, contractAddress)
         setTxStatus({ type: "pending", message: `Transaction sent: ${tx.hash}` })
 
-        // Wait for transaction with timeout
-        const receipt = await Promise.race([
-          tx.wait(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error("Transaction timeout. Please check your wallet.")), 60000)
-          )
-        ])
+        // Keep tracking it across reloads; stop waiting here after a timeout
+        trackTransaction(tx, { kind: "deposit", amount: `${amount} ${network.currency}`, recipient: contractAddress })
+        const receipt = await waitForTransaction(tx.hash)
         setTxStatus({
           type: "success",
-          message: `Successfully deposited ${amount} FLR`,
+          message: `Successfully deposited ${amount} ${network.currency}`,
         })
 
         // Wait longer before refreshing to avoid rate limits after transaction
@@ -135,16 +250,16 @@ export function useContract(signer, isConnected) {
           await refresh()
         } catch (refreshError) {
           // If refresh fails, don't fail the whole transaction
-          if (refreshError?.code === -32005 || refreshError?.data?.httpStatus === 429) {
+          if (toWalletError(refreshError).kind === ERROR_KINDS.RATE_LIMITED) {
             setTxStatus({
               type: "success",
-              message: `Successfully deposited ${amount} FLR (refresh delayed due to rate limit)`,
+              message: `Successfully deposited ${amount} ${network.currency} (refresh delayed due to rate limit)`,
             })
           } else {
             console.warn("Failed to refresh contract state, but transaction succeeded:", refreshError)
             setTxStatus({
               type: "success",
-              message: `Successfully deposited ${amount} FLR (refresh pending)`,
+              message: `Successfully deposited ${amount} ${network.currency} (refresh pending)`,
             })
           }
         }
@@ -154,25 +269,15 @@ export function useContract(signer, isConnected) {
 
         return receipt
       } catch (err) {
-        let errorMessage = err.message || "Failed to deposit"
-        
-        // Handle rate limiting with user-friendly message
-        if (err?.code === -32005 || err?.data?.httpStatus === 429) {
-          errorMessage = "Network is busy. Please wait a moment and try again."
-        } else if (err?.message?.includes("user rejected") || err?.code === 4001) {
-          errorMessage = "Transaction was cancelled"
-        } else if (err?.message?.includes("insufficient funds")) {
-          errorMessage = "Insufficient funds for this transaction"
-        }
-        
-        setError(errorMessage)
-        setTxStatus({ type: "error", message: errorMessage })
-        throw err
+        const walletError = toWalletError(err, "Failed to deposit")
+        setError(walletError.message)
+        setTxStatus({ type: "error", message: walletError.message, kind: walletError.kind })
+        throw walletError
       } finally {
         setIsLoading(false)
       }
     },
-    [signer, isConnected, refresh]
+    [signer, isConnected, contractAddress, network, refresh]
   )
 
   /**
@@ -181,30 +286,29 @@ export function useContract(signer, isConnected) {
   const withdraw = useCallback(
     async (to, amount) => {
       if (!signer || !isConnected) {
-        throw new Error("Wallet not connected")
+        throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Wallet not connected")
       }
 
       setIsLoading(true)
       setError(null)
-      setTxStatus({ type: "pending", message: "Withdrawing FLR..." })
+      setTxStatus({ type: "pending", message: `Withdrawing ${network.currency}...` })
 
       try {
         // Small delay to help avoid rate limiting
         await new Promise(resolve => setTimeout(resolve, 500))
         
-        const tx = await withdrawFromContract(signer, to, amount)
+        const tx = await withdrawFromContract(signer, to, amount, contractAddress)
         setTxStatus({ type: "pending", message: `Transaction sent: ${tx.hash}` })
 
-        // Wait for transaction with timeout
-        const receipt = await Promise.race([
-          tx.wait(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error("Transaction timeout. Please check your wallet.")), 60000)
-          )
-        ])
+        // Keep tracking it across reloads; stop waiting here after a timeout
+        trackTransaction(tx, { kind: "withdraw", amount: `${amount} ${network.currency}`, recipient: to })
+        const receipt = await waitForTransaction(tx.hash)
+        const queued = getQueuedWithdrawalFromReceipt(receipt)
         setTxStatus({
           type: "success",
-          message: `Successfully withdrew ${amount} FLR to ${to.slice(0, 6)}...${to.slice(-4)}`,
+          message: queued
+            ? `Withdrawal of ${amount} ${network.currency} exceeds today's limit and was queued until ${new Date(queued.unlockTime).toLocaleString()}`
+            : `Successfully withdrew ${amount} ${network.currency} to ${to.slice(0, 6)}...${to.slice(-4)}`,
         })
 
         // Wait a bit before refreshing to avoid rate limits
@@ -218,7 +322,7 @@ export function useContract(signer, isConnected) {
           console.warn("Failed to refresh contract state, but transaction succeeded:", refreshError)
           setTxStatus({
             type: "success",
-            message: `Successfully withdrew ${amount} FLR (refresh pending)`,
+            message: `Successfully withdrew ${amount} ${network.currency} (refresh pending)`,
           })
         }
 
@@ -227,25 +331,15 @@ export function useContract(signer, isConnected) {
 
         return receipt
       } catch (err) {
-        let errorMessage = err.message || "Failed to withdraw"
-        
-        // Handle rate limiting with user-friendly message
-        if (err?.code === -32005 || err?.data?.httpStatus === 429) {
-          errorMessage = "Network is busy. Please wait a moment and try again."
-        } else if (err?.message?.includes("user rejected") || err?.code === 4001) {
-          errorMessage = "Transaction was cancelled"
-        } else if (err?.message?.includes("insufficient funds")) {
-          errorMessage = "Insufficient funds for this transaction"
-        }
-        
-        setError(errorMessage)
-        setTxStatus({ type: "error", message: errorMessage })
-        throw err
+        const walletError = toWalletError(err, "Failed to withdraw")
+        setError(walletError.message)
+        setTxStatus({ type: "error", message: walletError.message, kind: walletError.kind })
+        throw walletError
       } finally {
         setIsLoading(false)
       }
     },
-    [signer, isConnected, refresh]
+    [signer, isConnected, contractAddress, network, refresh]
   )
 
   /**
@@ -254,30 +348,29 @@ export function useContract(signer, isConnected) {
   const withdrawAll = useCallback(
     async (to) => {
       if (!signer || !isConnected) {
-        throw new Error("Wallet not connected")
+        throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Wallet not connected")
       }
 
       setIsLoading(true)
       setError(null)
-      setTxStatus({ type: "pending", message: "Withdrawing all FLR..." })
+      setTxStatus({ type: "pending", message: `Withdrawing all ${network.currency}...` })
 
       try {
         // Small delay to help avoid rate limiting
         await new Promise(resolve => setTimeout(resolve, 500))
         
-        const tx = await withdrawAllFromContract(signer, to)
+        const tx = await withdrawAllFromContract(signer, to, contractAddress)
         setTxStatus({ type: "pending", message: `Transaction sent: ${tx.hash}` })
 
-        // Wait for transaction with timeout
-        const receipt = await Promise.race([
-          tx.wait(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error("Transaction timeout. Please check your wallet.")), 60000)
-          )
-        ])
+        // Keep tracking it across reloads; stop waiting here after a timeout
+        trackTransaction(tx, { kind: "withdrawAll", recipient: to })
+        const receipt = await waitForTransaction(tx.hash)
+        const queued = getQueuedWithdrawalFromReceipt(receipt)
         setTxStatus({
           type: "success",
-          message: `Successfully withdrew all FLR to ${to.slice(0, 6)}...${to.slice(-4)}`,
+          message: queued
+            ? `Withdrawal exceeds today's limit and was queued until ${new Date(queued.unlockTime).toLocaleString()}`
+            : `Successfully withdrew all ${network.currency} to ${to.slice(0, 6)}...${to.slice(-4)}`,
         })
 
         // Wait a bit before refreshing to avoid rate limits
@@ -291,7 +384,7 @@ export function useContract(signer, isConnected) {
           console.warn("Failed to refresh contract state, but transaction succeeded:", refreshError)
           setTxStatus({
             type: "success",
-            message: `Successfully withdrew all FLR (refresh pending)`,
+            message: `Successfully withdrew all ${network.currency} (refresh pending)`,
           })
         }
 
@@ -300,37 +393,320 @@ export function useContract(signer, isConnected) {
 
         return receipt
       } catch (err) {
-        let errorMessage = err.message || "Failed to withdraw all"
-        
-        // Handle rate limiting with user-friendly message
-        if (err?.code === -32005 || err?.data?.httpStatus === 429) {
-          errorMessage = "Network is busy. Please wait a moment and try again."
-        } else if (err?.message?.includes("user rejected") || err?.code === 4001) {
-          errorMessage = "Transaction was cancelled"
-        } else if (err?.message?.includes("insufficient funds")) {
-          errorMessage = "Insufficient funds for this transaction"
-        }
-        
-        setError(errorMessage)
-        setTxStatus({ type: "error", message: errorMessage })
-        throw err
+        const walletError = toWalletError(err, "Failed to withdraw all")
+        setError(walletError.message)
+        setTxStatus({ type: "error", message: walletError.message, kind: walletError.kind })
+        throw walletError
       } finally {
         setIsLoading(false)
       }
     },
-    [signer, isConnected, refresh]
+    [signer, isConnected, contractAddress, network, refresh]
+  )
+
+  /**
+   * Send a contract transaction with the shared status flow (see useTxRunner), then refresh contract state
+   */
+  const runContractTx = useCallback(
+    (send, options) => run(send, { ...options, refresh }),
+    [run, refresh]
+  )
+
+  /**
+   * Pay several recipients in one transaction
+   * Payments above today's remaining allowance are queued; the success message counts both.
+   * @param {import('@/lib/payouts').Payout[]} payouts - Valid rows from parsePayoutCsv
+   */
+  const batchWithdraw = useCallback(
+    (payouts) => {
+      const total = formatEther(payouts.reduce((sum, p) => sum + parseEther(p.amount), 0n))
+      return runContractTx(() => batchWithdrawFromContract(signer, payouts, contractAddress), {
+        pendingMessage: `Paying ${payouts.length} recipients...`,
+        successMessage: (receipt) => {
+          const queued = getQueuedWithdrawalsFromReceipt(receipt).length
+          return queued
+            ? `Paid ${payouts.length - queued} of ${payouts.length} recipients; ${queued} exceeded today's limit and were queued`
+            : `Successfully paid ${total} ${network.currency} to ${payouts.length} recipients`
+        },
+        fallbackError: "Batch payout failed",
+        track: { kind: "batchWithdraw", amount: `${total} ${network.currency}` },
+      })
+    },
+    [signer, contractAddress, network, runContractTx]
+  )
+
+  /**
+   * Withdraw ERC-20 tokens held by the contract
+   * @param {import('@/lib/contract').TokenInfo} token - Token from tokenBalances
+   * @param {string} to - Recipient address
+   * @param {string} amount - Amount in whole tokens
+   */
+  const withdrawToken = useCallback(
+    (token, to, amount) =>
+      runContractTx(() => withdrawTokenFromContract(signer, token.address, to, amount, contractAddress), {
+        pendingMessage: `Withdrawing ${amount} ${token.symbol}...`,
+        successMessage: `Successfully sent ${amount} ${token.symbol} to ${to.slice(0, 6)}...${to.slice(-4)}`,
+        fallbackError: "Token withdrawal failed",
+        track: { kind: "withdrawToken", amount: `${amount} ${token.symbol}`, recipient: to },
+      }),
+    [signer, contractAddress, runContractTx]
+  )
+
+  /**
+   * Wrap contract FLR into WNat (WFLR)
+   */
+  const wrap = useCallback(
+    (amount) =>
+      runContractTx(() => wrapFlr(signer, amount, contractAddress), {
+        pendingMessage: `Wrapping ${amount} ${network.currency}...`,
+        successMessage: `Wrapped ${amount} ${network.currency}`,
+        fallbackError: "Wrapping failed",
+        track: { kind: "wrap", amount: `${amount} ${network.currency}` },
+      }),
+    [signer, contractAddress, network, runContractTx]
+  )
+
+  /**
+   * Unwrap contract WNat (WFLR) back into FLR
+   */
+  const unwrap = useCallback(
+    (amount) =>
+      runContractTx(() => unwrapFlr(signer, amount, contractAddress), {
+        pendingMessage: `Unwrapping ${amount} ${wrapped?.symbol ?? "WFLR"}...`,
+        successMessage: `Unwrapped ${amount} ${wrapped?.symbol ?? "WFLR"}`,
+        fallbackError: "Unwrapping failed",
+        track: { kind: "unwrap", amount: `${amount} ${wrapped?.symbol ?? "WFLR"}` },
+      }),
+    [signer, contractAddress, wrapped, runContractTx]
+  )
+
+  /**
+   * Verify a token contract and add it to the token list of the selected network
+   */
+  const addToken = useCallback(
+    async (tokenAddress) => {
+      setError(null)
+      try {
+        await addCustomToken(tokenAddress)
+      } catch (err) {
+        const walletError = toWalletError(err, "Failed to add token")
+        setError(walletError.message)
+        throw walletError
+      }
+      await refresh()
+    },
+    [refresh]
+  )
+
+  /**
+   * Remove a user-added token from the token list
+   */
+  const removeToken = useCallback(
+    (tokenAddress) => {
+      removeCustomToken(tokenAddress)
+      setTokenBalances((prev) => prev.filter((t) => t.address !== tokenAddress))
+    },
+    []
+  )
+
+  /**
+   * Propose a new owner for the contract
+   * Wallets without two-step transfers hand over ownership immediately (see twoStepOwnership).
+   */
+  const changeOwner = useCallback(
+    (newOwner) => {
+      const short = `${newOwner.slice(0, 6)}...${newOwner.slice(-4)}`
+      return runContractTx(() => changeOwnerOfContract(signer, newOwner, contractAddress), {
+        pendingMessage: twoStepOwnership ? "Proposing new owner..." : "Transferring ownership...",
+        successMessage: twoStepOwnership
+          ? `Proposed ${short} as new owner. They must accept to complete the transfer.`
+          : `Ownership transferred to ${short}`,
+        fallbackError: twoStepOwnership ? "Failed to propose new owner" : "Failed to transfer ownership",
+        track: { kind: "changeOwner", recipient: newOwner },
+      })
+    },
+    [signer, contractAddress, twoStepOwnership, runContractTx]
+  )
+
+  /**
+   * Accept a pending ownership transfer as the proposed owner
+   */
+  const acceptOwnership = useCallback(
+    () =>
+      runContractTx(() => acceptOwnershipOfContract(signer, contractAddress), {
+        pendingMessage: "Accepting ownership...",
+        successMessage: "You are now the owner of this wallet",
+        fallbackError: "Failed to accept ownership",
+        track: { kind: "acceptOwnership" },
+      }),
+    [signer, contractAddress, runContractTx]
+  )
+
+  /**
+   * Cancel a pending ownership transfer
+   */
+  const cancelOwnershipTransfer = useCallback(
+    () =>
+      runContractTx(() => cancelOwnershipTransferOfContract(signer, contractAddress), {
+        pendingMessage: "Cancelling ownership transfer...",
+        successMessage: "Ownership transfer cancelled",
+        fallbackError: "Failed to cancel ownership transfer",
+        track: { kind: "cancelOwnershipTransfer" },
+      }),
+    [signer, contractAddress, runContractTx]
+  )
+
+  /**
+   * Update the daily spending limit and timelock delay
+   * @param {string} dailyLimit - Limit in FLR ("0" = unlimited)
+   * @param {number} timelockDelay - Delay in seconds
+   */
+  const updateSpendingLimits = useCallback(
+    (dailyLimit, timelockDelay) =>
+      runContractTx(() => setSpendingLimitsOfContract(signer, dailyLimit, timelockDelay, contractAddress), {
+        pendingMessage: "Updating spending limits...",
+        successMessage: "Spending limits updated (loosening changes apply after the current timelock)",
+        fallbackError: "Failed to update spending limits",
+        track: { kind: "setSpendingLimits", amount: `${dailyLimit} ${network.currency}` },
+      }),
+    [signer, contractAddress, network, runContractTx]
+  )
+
+  /**
+   * Apply a queued limit change after its delay
+   */
+  const applyPendingLimits = useCallback(
+    () =>
+      runContractTx(() => applyPendingLimitsOfContract(signer, contractAddress), {
+        pendingMessage: "Applying new spending limits...",
+        successMessage: "New spending limits applied",
+        fallbackError: "Failed to apply spending limits",
+        track: { kind: "applyPendingLimits" },
+      }),
+    [signer, contractAddress, runContractTx]
+  )
+
+  /**
+   * Cancel a queued limit change
+   */
+  const cancelPendingLimits = useCallback(
+    () =>
+      runContractTx(() => cancelPendingLimitsOfContract(signer, contractAddress), {
+        pendingMessage: "Cancelling limit change...",
+        successMessage: "Limit change cancelled",
+        fallbackError: "Failed to cancel limit change",
+        track: { kind: "cancelPendingLimits" },
+      }),
+    [signer, contractAddress, runContractTx]
   )
 
+  /**
+   * Execute a queued withdrawal whose timelock has passed
+   */
+  const executeQueuedWithdrawal = useCallback(
+    (id) =>
+      runContractTx(() => executeQueuedWithdrawalOfContract(signer, id, contractAddress), {
+        pendingMessage: `Executing queued withdrawal #${id}...`,
+        successMessage: `Queued withdrawal #${id} sent`,
+        fallbackError: "Failed to execute queued withdrawal",
+        track: { kind: "executeQueuedWithdrawal" },
+      }),
+    [signer, contractAddress, runContractTx]
+  )
+
+  /**
+   * Cancel a queued withdrawal
+   */
+  const cancelQueuedWithdrawal = useCallback(
+    (id) =>
+      runContractTx(() => cancelQueuedWithdrawalOfContract(signer, id, contractAddress), {
+        pendingMessage: `Cancelling queued withdrawal #${id}...`,
+        successMessage: `Queued withdrawal #${id} cancelled`,
+        fallbackError: "Failed to cancel queued withdrawal",
+        track: { kind: "cancelQueuedWithdrawal" },
+      }),
+    [signer, contractAddress, runContractTx]
+  )
+
+  /**
+   * Deploy a new wallet contract owned by the connected account
+   * @returns {Promise<string>} Address of the deployed contract
+   */
+  const deployWallet = useCallback(async () => {
+    if (!signer || !isConnected) {
+      throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Wallet not connected")
+    }
+
+    setIsLoading(true)
+    setError(null)
+    setTxStatus({ type: "pending", message: "Deploying your wallet contract..." })
+
+    try {
+      const contract = await deployWalletContract(signer)
+      const tx = contract.deploymentTransaction()
+      setTxStatus({ type: "pending", message: `Transaction sent: ${tx.hash}` })
+
+      // Keep tracking it across reloads; stop waiting here after a timeout
+      trackTransaction(tx, { kind: "deploy" })
+      const receipt = await waitForTransaction(tx.hash)
+
+      const newAddress = receipt?.contractAddress || (await contract.getAddress())
+
+      setTxStatus({
+        type: "success",
+        message: `Wallet deployed at ${newAddress.slice(0, 6)}...${newAddress.slice(-4)}`,
+      })
+
+      // Clear success message after 5 seconds
+      setTimeout(() => setTxStatus(null), 5000)
+
+      return newAddress
+    } catch (err) {
+      const walletError = toWalletError(err, "Failed to deploy wallet")
+      setError(walletError.message)
+      setTxStatus({ type: "error", message: walletError.message, kind: walletError.kind })
+      throw walletError
+    } finally {
+      setIsLoading(false)
+    }
+  }, [signer, isConnected])
+
   return {
     contractBalance,
     owner,
+    pendingOwner,
+    twoStepOwnership,
+    walletKind,
+    spendingLimits,
+    queuedWithdrawals,
+    tokenBalances,
+    wrapped,
     isLoading,
     error,
     txStatus,
     refresh,
+    previewDeposit,
+    previewWithdraw,
+    previewWithdrawAll,
+    previewBatchWithdraw,
     deposit,
     withdraw,
     withdrawAll,
+    batchWithdraw,
+    changeOwner,
+    acceptOwnership,
+    cancelOwnershipTransfer,
+    updateSpendingLimits,
+    applyPendingLimits,
+    cancelPendingLimits,
+    executeQueuedWithdrawal,
+    cancelQueuedWithdrawal,
+    withdrawToken,
+    addToken,
+    removeToken,
+    wrap,
+    unwrap,
+    deployWallet,
   }
 }
 
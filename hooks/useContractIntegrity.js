@@ -0,0 +1,48 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import { checkContractIntegrity } from "@/lib/integrity"
+import { ERROR_KINDS, toWalletError } from "@/lib/errors"
+import { useNetwork } from "@/hooks/useNetwork"
+
+/**
+ * Hook comparing the active wallet contract's code with the locally compiled sources
+ * The deployed code cannot change, so it is checked once per address and network.
+ * @param {string | null} contractAddress - Wallet contract
+ * @param {boolean} enabled - Whether to check (e.g. only while the Account window is open)
+ */
+export function useContractIntegrity(contractAddress, enabled) {
+  const { network } = useNetwork()
+  const [result, setResult] = useState(/** @type {import('@/lib/integrity').IntegrityResult | null} */ (null))
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(/** @type {string | null} */ (null))
+
+  /**
+   * Check the contract's code against the artifacts
+   */
+  const refresh = useCallback(async () => {
+    if (!contractAddress) return
+    try {
+      setIsLoading(true)
+      setError(null)
+      setResult(await checkContractIntegrity(contractAddress))
+    } catch (err) {
+      const walletError = toWalletError(err, "Failed to check contract code")
+      if (walletError.kind === ERROR_KINDS.RATE_LIMITED) {
+        console.warn("Rate limited after retries, will retry later")
+        return
+      }
+      console.error("Error checking contract integrity:", err)
+      setError(walletError.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [contractAddress, network])
+
+  useEffect(() => {
+    setResult(null)
+    if (enabled) refresh()
+  }, [enabled, refresh])
+
+  return { result, status: result?.status ?? null, isLoading, error, refresh }
+}
@@ -0,0 +1,90 @@
+"use client"
+
+import { useState, useEffect, useCallback, useRef } from "react"
+import { getContractHistory } from "@/lib/contract"
+import { getDeploymentBlock } from "@/lib/rpc"
+import { toWalletError } from "@/lib/errors"
+
+/**
+ * Hook for paging through contract event history
+ */
+export function useHistory(contractAddress, isConnected, pageSize = 20) {
+  const [entries, setEntries] = useState([])
+  const [cursor, setCursor] = useState(null)
+  const [hasMore, setHasMore] = useState(false)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const loadingRef = useRef(false)
+  // Incremented by every load; results of superseded loads (e.g. for a previous contract) are dropped
+  const requestRef = useRef(0)
+
+  /**
+   * Load a page of history, either from the chain head or from the given cursor
+   * Reloading from the chain head supersedes a load that is still running.
+   */
+  const loadPage = useCallback(
+    async (beforeBlock) => {
+      if (beforeBlock !== undefined && loadingRef.current) return
+      const request = ++requestRef.current
+      loadingRef.current = true
+      setIsLoading(true)
+      setError(null)
+
+      try {
+        // Paging stops at the deployment block instead of scanning back to genesis
+        const startBlock = contractAddress ? await getDeploymentBlock(contractAddress) : 0
+        const page = await getContractHistory({ contractAddress, beforeBlock, pageSize, startBlock })
+        if (request !== requestRef.current) return
+        setEntries((prev) => (beforeBlock === undefined ? page.entries : [...prev, ...page.entries]))
+        setCursor(page.nextCursor)
+        setHasMore(page.nextCursor !== null)
+      } catch (err) {
+        if (request !== requestRef.current) return
+        setError(toWalletError(err, "Failed to load history").message)
+      } finally {
+        if (request === requestRef.current) {
+          loadingRef.current = false
+          setIsLoading(false)
+        }
+      }
+    },
+    [contractAddress, pageSize]
+  )
+
+  /**
+   * Reload history from the latest block
+   */
+  const refresh = useCallback(() => loadPage(undefined), [loadPage])
+
+  /**
+   * Load the next (older) page
+   */
+  const loadMore = useCallback(() => {
+    if (cursor === null) return
+    return loadPage(cursor)
+  }, [cursor, loadPage])
+
+  // Load the first page when connected or when the contract changes; entries of the previous contract are cleared
+  useEffect(() => {
+    setEntries([])
+    setCursor(null)
+    setHasMore(false)
+    if (!isConnected) {
+      // Drop a load that is still running
+      requestRef.current++
+      loadingRef.current = false
+      setIsLoading(false)
+      return
+    }
+    refresh()
+  }, [isConnected, refresh])
+
+  return {
+    entries,
+    hasMore,
+    isLoading,
+    error,
+    refresh,
+    loadMore,
+  }
+}
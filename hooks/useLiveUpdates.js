@@ -0,0 +1,37 @@
+"use client"
+
+import { useEffect, useRef } from "react"
+import { subscribeBalance, subscribeContractEvents } from "@/lib/live"
+import { useNetwork } from "@/hooks/useNetwork"
+
+/**
+ * Call `onEvents` whenever a contract emits logs (paused while the tab is hidden)
+ * @param {string | null | undefined} address - Contract to watch (nothing is watched when falsy)
+ * @param {import('@/lib/live').ContractEventsListener} onEvents - Receives null when a full reload is needed
+ */
+export function useContractEvents(address, onEvents) {
+  const { network } = useNetwork()
+  const listenerRef = useRef(onEvents)
+  listenerRef.current = onEvents
+
+  useEffect(() => {
+    if (!address) return
+    return subscribeContractEvents(address, (logs) => listenerRef.current(logs), network)
+  }, [address, network])
+}
+
+/**
+ * Call `onChange` with the native balance of an address, then on every change
+ * @param {string | null | undefined} address - Address to watch (nothing is watched when falsy)
+ * @param {import('@/lib/live').BalanceListener} onChange - Receives the balance in wei
+ */
+export function useBalanceWatch(address, onChange) {
+  const { network } = useNetwork()
+  const listenerRef = useRef(onChange)
+  listenerRef.current = onChange
+
+  useEffect(() => {
+    if (!address) return
+    return subscribeBalance(address, (balance) => listenerRef.current(balance), network)
+  }, [address, network])
+}
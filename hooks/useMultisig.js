@@ -0,0 +1,151 @@
+"use client"
+
+import { useState, useEffect, useCallback, useMemo } from "react"
+import {
+  getMultisigState,
+  submitMultisigTransaction,
+  confirmMultisigTransaction,
+  revokeMultisigConfirmation,
+  executeMultisigTransaction,
+} from "@/lib/contract"
+import { ERROR_KINDS, toWalletError } from "@/lib/errors"
+import { useNetwork } from "@/hooks/useNetwork"
+import { useContractEvents } from "@/hooks/useLiveUpdates"
+import { useTxRunner } from "@/hooks/useTxRunner"
+
+/**
+ * Hook for multisig wallet proposals, extending useContract for MultiSigFlareWallet contracts
+ * @param {import('ethers').Signer | null} signer - The signer from MetaMask
+ * @param {string | null} account - Connected account
+ * @param {string} [contractAddress] - Active wallet contract
+ * @param {boolean} enabled - Whether the active wallet is a multisig (see useContract().walletKind)
+ */
+export function useMultisig(signer, account, contractAddress, enabled) {
+  const { network } = useNetwork()
+  const [owners, setOwners] = useState(/** @type {string[]} */ ([]))
+  const [threshold, setThreshold] = useState(0)
+  const [proposals, setProposals] = useState(/** @type {import('@/lib/contract').MultisigProposal[]} */ ([]))
+  const { isLoading, error, setError, txStatus, run: runTx } = useTxRunner(signer, enabled)
+
+  /**
+   * Refresh owners, threshold and proposals
+   */
+  const refresh = useCallback(async () => {
+    if (!enabled) {
+      setOwners([])
+      setThreshold(0)
+      setProposals([])
+      return
+    }
+
+    try {
+      setError(null)
+      const state = await getMultisigState(contractAddress)
+      setOwners(state.owners)
+      setThreshold(state.threshold)
+      setProposals(state.proposals)
+    } catch (err) {
+      const walletError = toWalletError(err, "Failed to load multisig proposals")
+      // Keep last known values when rate limited
+      if (walletError.kind === ERROR_KINDS.RATE_LIMITED) {
+        console.warn("Rate limited after retries, will retry later")
+        return
+      }
+      setError(walletError.message)
+    }
+  }, [enabled, contractAddress])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  // Proposals, confirmations and executions all emit events
+  useContractEvents(enabled ? contractAddress : null, () => refresh())
+
+  /**
+   * Send a multisig transaction (see useTxRunner), then reload owners and proposals
+   */
+  const run = useCallback(
+    (send, options) => runTx(send, { ...options, refresh }),
+    [runTx, refresh]
+  )
+
+  /**
+   * Propose a FLR transfer
+   */
+  const submit = useCallback(
+    (to, amount) =>
+      run(() => submitMultisigTransaction(signer, to, amount, contractAddress), {
+        pendingMessage: "Submitting proposal...",
+        successMessage: `Proposed sending ${amount} ${network.currency} to ${to.slice(0, 6)}...${to.slice(-4)}`,
+        fallbackError: "Failed to submit proposal",
+        track: { kind: "submitProposal", amount: `${amount} ${network.currency}`, recipient: to },
+      }),
+    [signer, contractAddress, network, run]
+  )
+
+  /**
+   * Confirm a proposal
+   */
+  const confirm = useCallback(
+    (nonce) =>
+      run(() => confirmMultisigTransaction(signer, nonce, contractAddress), {
+        pendingMessage: `Confirming proposal #${nonce}...`,
+        successMessage: `Confirmed proposal #${nonce}`,
+        fallbackError: "Failed to confirm proposal",
+        track: { kind: "confirmProposal" },
+      }),
+    [signer, contractAddress, run]
+  )
+
+  /**
+   * Revoke a confirmation
+   */
+  const revoke = useCallback(
+    (nonce) =>
+      run(() => revokeMultisigConfirmation(signer, nonce, contractAddress), {
+        pendingMessage: `Revoking confirmation of proposal #${nonce}...`,
+        successMessage: `Revoked confirmation of proposal #${nonce}`,
+        fallbackError: "Failed to revoke confirmation",
+        track: { kind: "revokeConfirmation" },
+      }),
+    [signer, contractAddress, run]
+  )
+
+  /**
+   * Execute a proposal that reached the threshold
+   */
+  const execute = useCallback(
+    (nonce) =>
+      run(() => executeMultisigTransaction(signer, nonce, contractAddress), {
+        pendingMessage: `Executing proposal #${nonce}...`,
+        successMessage: `Executed proposal #${nonce}`,
+        fallbackError: "Failed to execute proposal",
+        track: { kind: "executeProposal" },
+      }),
+    [signer, contractAddress, run]
+  )
+
+  const pendingProposals = useMemo(() => proposals.filter((p) => !p.executed), [proposals])
+
+  const isOwner = useMemo(
+    () => !!account && owners.some((o) => o.toLowerCase() === account.toLowerCase()),
+    [owners, account]
+  )
+
+  return {
+    owners,
+    threshold,
+    proposals,
+    pendingProposals,
+    isOwner,
+    isLoading,
+    error,
+    txStatus,
+    refresh,
+    submit,
+    confirm,
+    revoke,
+    execute,
+  }
+}
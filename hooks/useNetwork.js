@@ -0,0 +1,32 @@
+"use client"
+
+import { useCallback, useSyncExternalStore } from "react"
+import {
+  NETWORKS,
+  DEFAULT_NETWORK_KEY,
+  getSelectedNetworkKey,
+  setSelectedNetwork,
+  subscribeNetwork,
+} from "@/lib/flare"
+
+/**
+ * Hook for reading and changing the selected network
+ */
+export function useNetwork() {
+  const networkKey = useSyncExternalStore(
+    subscribeNetwork,
+    getSelectedNetworkKey,
+    () => DEFAULT_NETWORK_KEY
+  )
+
+  const selectNetwork = useCallback((key) => {
+    setSelectedNetwork(key)
+  }, [])
+
+  return {
+    network: NETWORKS[networkKey],
+    networkKey,
+    networks: Object.values(NETWORKS),
+    selectNetwork,
+  }
+}
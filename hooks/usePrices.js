@@ -0,0 +1,80 @@
+"use client"
+
+import { useState, useEffect, useCallback, useMemo } from "react"
+import { getPrices, formatFiat, PRICE_CACHE_TTL } from "@/lib/prices"
+import { ERROR_KINDS, toWalletError } from "@/lib/errors"
+import { useNetwork } from "@/hooks/useNetwork"
+
+/**
+ * Hook for FTSO prices of the selected network
+ * @param {string[]} [pairs] - Feed names (defaults to the network's `priceFeeds`)
+ */
+export function usePrices(pairs) {
+  const { network } = useNetwork()
+  const [prices, setPrices] = useState(/** @type {Record<string, import('@/lib/prices').PriceQuote>} */ ({}))
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(/** @type {string | null} */ (null))
+
+  // Stable dependency for callers passing a new array each render
+  const pairsKey = (pairs ?? network.priceFeeds ?? []).join(",")
+
+  /**
+   * Refresh prices (served from the module cache while fresh)
+   */
+  const refresh = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      setError(null)
+      setPrices(await getPrices(pairsKey ? pairsKey.split(",") : [], { network }))
+    } catch (err) {
+      const walletError = toWalletError(err, "Failed to load prices")
+      // Keep last known prices when rate limited
+      if (walletError.kind === ERROR_KINDS.RATE_LIMITED) {
+        console.warn("Rate limited after retries, will retry later")
+        return
+      }
+      console.error("Error loading prices:", err)
+      setError(walletError.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [network, pairsKey])
+
+  useEffect(() => {
+    setPrices({})
+    refresh()
+    const interval = setInterval(refresh, PRICE_CACHE_TTL)
+    return () => clearInterval(interval)
+  }, [refresh])
+
+  /**
+   * Fiat value of an amount, formatted for display
+   * @param {string | number} amount - Amount in the base currency of the pair
+   * @param {string} [pair] - Feed name (defaults to the network's native currency feed)
+   * @returns {string | null} null while the price is unknown
+   */
+  const toFiat = useCallback(
+    (amount, pair = network.nativePriceFeed) => {
+      const quote = pair && prices[pair]
+      const value = Number(amount)
+      if (!quote || !Number.isFinite(value)) return null
+      return formatFiat(value * quote.value, pair.split("/")[1])
+    },
+    [prices, network]
+  )
+
+  const lastUpdated = useMemo(() => {
+    const timestamps = Object.values(prices).map((q) => q.timestamp)
+    return timestamps.length > 0 ? Math.max(...timestamps) : null
+  }, [prices])
+
+  return {
+    prices,
+    nativePrice: network.nativePriceFeed ? prices[network.nativePriceFeed] ?? null : null,
+    lastUpdated,
+    isLoading,
+    error,
+    refresh,
+    toFiat,
+  }
+}
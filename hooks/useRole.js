@@ -0,0 +1,60 @@
+"use client"
+
+import { useMemo } from "react"
+
+/**
+ * Roles of the connected account on the active wallet contract
+ */
+export const ROLES = {
+  /** Can send, withdraw and change settings */
+  OWNER: "owner",
+  /** Any other account on the right network; can only deposit */
+  DEPOSITOR: "depositor",
+  /** No signer on the selected network (or watch-only); read-only */
+  VIEWER: "viewer",
+}
+
+/**
+ * Whether two addresses are equal, ignoring checksum case
+ */
+function sameAddress(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase()
+}
+
+/**
+ * Hook for the role of the connected account on the active wallet
+ * Derived from the connected address and the on-chain owner(s), so it is re-evaluated
+ * on accountsChanged (useWallet) and on OwnerChanged (useContract reloads on contract events).
+ * @param {Object} params
+ * @param {string | null} params.address - Connected account
+ * @param {boolean} params.isConnected - Whether a wallet is connected
+ * @param {boolean} params.isCorrectNetwork - Whether the wallet is on the selected network
+ * @param {boolean} [params.isWatchOnly] - Whether an address is watched without a signer (see useWallet)
+ * @param {string} params.walletKind - "simple" or "multisig" (see useContract)
+ * @param {string | null} params.owner - Owner of a simple wallet
+ * @param {string | null} params.pendingOwner - Proposed owner of a simple wallet
+ * @param {string[]} params.owners - Owners of a multisig wallet
+ */
+export function useRole({ address, isConnected, isCorrectNetwork, isWatchOnly = false, walletKind, owner, pendingOwner, owners }) {
+  return useMemo(() => {
+    const isOwner = walletKind === "multisig"
+      ? owners.some((o) => sameAddress(o, address))
+      : sameAddress(owner, address)
+
+    const role = !isConnected || !isCorrectNetwork || isWatchOnly
+      ? ROLES.VIEWER
+      : isOwner
+        ? ROLES.OWNER
+        : ROLES.DEPOSITOR
+
+    return {
+      role,
+      isOwner: role === ROLES.OWNER,
+      // The proposed owner must be able to accept before it becomes the owner
+      isPendingOwner: role !== ROLES.VIEWER && walletKind !== "multisig" && sameAddress(pendingOwner, address),
+      canDeposit: role !== ROLES.VIEWER,
+      // Balances and history only; owner-only actions are hidden
+      isWatchMode: role !== ROLES.OWNER,
+    }
+  }, [address, isConnected, isCorrectNetwork, isWatchOnly, walletKind, owner, pendingOwner, owners])
+}
@@ -0,0 +1,125 @@
+"use client"
+
+import { useState, useEffect, useCallback, useMemo } from "react"
+import {
+  getSchedules,
+  createSchedule,
+  cancelSchedule,
+  executeSchedule,
+} from "@/lib/contract"
+import { ERROR_KINDS, toWalletError } from "@/lib/errors"
+import { useNetwork } from "@/hooks/useNetwork"
+import { useContractEvents } from "@/hooks/useLiveUpdates"
+import { useTxRunner } from "@/hooks/useTxRunner"
+
+/**
+ * Hook for the recurring payment schedules of a SimpleFlareWallet
+ * @param {import('ethers').Signer | null} signer - The signer from MetaMask
+ * @param {string} [contractAddress] - Active wallet contract
+ * @param {boolean} enabled - Whether the active wallet is a simple wallet (see useContract().walletKind)
+ */
+export function useSchedules(signer, contractAddress, enabled) {
+  const { network } = useNetwork()
+  const [schedules, setSchedules] = useState(/** @type {import('@/lib/contract').PaymentSchedule[]} */ ([]))
+  const { isLoading, error, setError, txStatus, run: runTx } = useTxRunner(signer, enabled)
+
+  /**
+   * Refresh the schedules
+   */
+  const refresh = useCallback(async () => {
+    if (!enabled || !contractAddress) {
+      setSchedules([])
+      return
+    }
+
+    try {
+      setError(null)
+      setSchedules(await getSchedules(contractAddress))
+    } catch (err) {
+      const walletError = toWalletError(err, "Failed to load schedules")
+      // Keep last known values when rate limited
+      if (walletError.kind === ERROR_KINDS.RATE_LIMITED) {
+        console.warn("Rate limited after retries, will retry later")
+        return
+      }
+      setError(walletError.message)
+    }
+  }, [enabled, contractAddress])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  // Creations, cancellations and executions all emit events
+  useContractEvents(enabled ? contractAddress : null, () => refresh())
+
+  /**
+   * Send a schedule transaction (see useTxRunner), then reload the schedules
+   */
+  const run = useCallback(
+    (send, options) => runTx(send, { ...options, refresh }),
+    [runTx, refresh]
+  )
+
+  /**
+   * Create a recurring payment (see lib/contract.js createSchedule)
+   */
+  const create = useCallback(
+    (schedule) =>
+      run(() => createSchedule(signer, schedule, contractAddress), {
+        pendingMessage: "Creating schedule...",
+        successMessage: `Scheduled ${schedule.amount} ${network.currency} to ${schedule.to.slice(0, 6)}...${schedule.to.slice(-4)}`,
+        fallbackError: "Failed to create schedule",
+        track: { kind: "createSchedule", amount: `${schedule.amount} ${network.currency}`, recipient: schedule.to },
+      }),
+    [signer, contractAddress, network, run]
+  )
+
+  /**
+   * Cancel a schedule
+   */
+  const cancel = useCallback(
+    (id) =>
+      run(() => cancelSchedule(signer, id, contractAddress), {
+        pendingMessage: `Cancelling schedule #${id}...`,
+        successMessage: `Schedule #${id} cancelled`,
+        fallbackError: "Failed to cancel schedule",
+        track: { kind: "cancelSchedule" },
+      }),
+    [signer, contractAddress, run]
+  )
+
+  /**
+   * Make the next due payment of a schedule
+   */
+  const execute = useCallback(
+    (id) => {
+      const schedule = schedules.find((s) => s.id === id)
+      return run(() => executeSchedule(signer, id, contractAddress), {
+        pendingMessage: `Paying schedule #${id}...`,
+        successMessage: `Scheduled payment #${id} sent`,
+        fallbackError: "Failed to execute schedule",
+        track: {
+          kind: "executeSchedule",
+          amount: schedule ? `${schedule.amount} ${network.currency}` : undefined,
+          recipient: schedule?.to,
+        },
+      })
+    },
+    [signer, contractAddress, schedules, network, run]
+  )
+
+  const activeSchedules = useMemo(() => schedules.filter((s) => s.active), [schedules])
+
+  return {
+    schedules,
+    activeSchedules,
+    isLoading,
+    error,
+    txStatus,
+    refresh,
+    create,
+    cancel,
+    execute,
+  }
+}
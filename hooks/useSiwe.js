@@ -0,0 +1,64 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import { clearSiweSession, loadSiweSession, saveSiweSession, signInWithEthereum } from "@/lib/siwe"
+import { ERROR_KINDS, toWalletError } from "@/lib/errors"
+
+/**
+ * Hook for the optional Sign-In with Ethereum identity in the plaza
+ * The signed message is shared through multiplayer presence so that other players can verify it.
+ * @param {import('ethers').Signer | null} signer - Connected wallet
+ * @param {string | null} address - Connected account
+ * @param {string} sessionId - Plaza presence id the sign-in is bound to
+ */
+export function useSiwe(signer, address, sessionId) {
+  const [identity, setIdentity] = useState(
+    /** @type {(import('@/lib/siwe').SiweProof & { address: string, expiresAt: number }) | null} */ (null)
+  )
+  const [isSigningIn, setIsSigningIn] = useState(false)
+  const [error, setError] = useState(/** @type {string | null} */ (null))
+
+  useEffect(() => {
+    if (sessionId) setIdentity(loadSiweSession(sessionId))
+  }, [sessionId])
+
+  const signOut = useCallback(() => {
+    clearSiweSession()
+    setIdentity(null)
+    setError(null)
+  }, [])
+
+  // A sign-in for another account than the connected one would be misleading
+  useEffect(() => {
+    if (identity && address && identity.address.toLowerCase() !== address.toLowerCase()) signOut()
+  }, [identity, address, signOut])
+
+  // Drop the identity once other players would stop accepting it
+  useEffect(() => {
+    if (!identity) return
+    const timeout = setTimeout(signOut, Math.max(0, identity.expiresAt - Date.now()))
+    return () => clearTimeout(timeout)
+  }, [identity, signOut])
+
+  /**
+   * Sign a fresh SIWE message with the connected wallet
+   */
+  const signIn = useCallback(async () => {
+    try {
+      setIsSigningIn(true)
+      setError(null)
+      const result = await signInWithEthereum(signer, sessionId)
+      saveSiweSession(result)
+      setIdentity(result)
+      return result
+    } catch (err) {
+      const walletError = toWalletError(err, "Failed to sign in")
+      if (walletError.kind !== ERROR_KINDS.USER_REJECTED) setError(walletError.message)
+      return null
+    } finally {
+      setIsSigningIn(false)
+    }
+  }, [signer, sessionId])
+
+  return { identity, isSigningIn, error, signIn, signOut }
+}
@@ -0,0 +1,89 @@
+"use client"
+
+import { useState, useCallback } from "react"
+import { estimateTip, sendTip } from "@/lib/tips"
+import { trackTransaction, waitForTransaction } from "@/lib/transactions"
+import { ERROR_KINDS, WalletError, toWalletError } from "@/lib/errors"
+import { useNetwork } from "@/hooks/useNetwork"
+
+/**
+ * Hook for tipping other plaza players from the connected account
+ * @param {import('ethers').Signer | null} signer - The signer from MetaMask
+ * @param {boolean} enabled - Whether a wallet is connected on the selected network
+ */
+export function useTips(signer, enabled) {
+  const { network } = useNetwork()
+  const [isSending, setIsSending] = useState(false)
+  const [txStatus, setTxStatus] = useState(/** @type {{ type: 'success' | 'error' | 'pending', message: string, kind?: string } | null} */ (null))
+
+  /**
+   * Estimate a tip before asking for confirmation
+   * @param {string} to - Recipient's verified address
+   * @param {string} amount - Amount in the native currency
+   * @returns {Promise<import('@/lib/tips').TipEstimate | null>} null if the tip would fail (see txStatus)
+   */
+  const preview = useCallback(
+    async (to, amount) => {
+      if (!signer || !enabled) {
+        setTxStatus({ type: "error", message: "Connect your wallet on the selected network to tip", kind: ERROR_KINDS.WALLET_UNAVAILABLE })
+        return null
+      }
+      try {
+        setTxStatus(null)
+        return await estimateTip(signer, to, amount)
+      } catch (err) {
+        const walletError = toWalletError(err, "Failed to estimate tip")
+        setTxStatus({ type: "error", message: walletError.message, kind: walletError.kind })
+        return null
+      }
+    },
+    [signer, enabled]
+  )
+
+  /**
+   * Send a tip and wait until it is mined
+   * @param {string} to - Recipient's verified address
+   * @param {string} amount - Amount in the native currency
+   * @param {string} name - Recipient's player name, for the status message
+   * @param {{ onMined?: (receipt: import('ethers').TransactionReceipt) => void }} [options]
+   * `onMined` is called once the transaction tracker sees the tip mined, even if that is after this call timed out
+   * @returns {Promise<import('ethers').TransactionReceipt>}
+   */
+  const tip = useCallback(
+    async (to, amount, name, { onMined } = {}) => {
+      if (!signer || !enabled) {
+        throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Wallet not connected")
+      }
+
+      setIsSending(true)
+      setTxStatus({ type: "pending", message: `Tipping ${name}...` })
+
+      try {
+        const tx = await sendTip(signer, to, amount)
+        setTxStatus({ type: "pending", message: `Transaction sent: ${tx.hash}` })
+
+        // Keep tracking it across reloads; stop waiting here after a timeout
+        trackTransaction(tx, { kind: "tip", amount: `${amount} ${network.currency}`, recipient: to })
+        if (onMined) waitForTransaction(tx.hash, { timeout: null }).then(onMined, () => {})
+        const receipt = await waitForTransaction(tx.hash)
+        setTxStatus({ type: "success", message: `Tipped ${name} ${amount} ${network.currency}` })
+
+        // Clear success message after 5 seconds
+        setTimeout(() => setTxStatus(null), 5000)
+
+        return receipt
+      } catch (err) {
+        const walletError = toWalletError(err, "Failed to send tip")
+        setTxStatus({ type: "error", message: walletError.message, kind: walletError.kind })
+        throw walletError
+      } finally {
+        setIsSending(false)
+      }
+    },
+    [signer, enabled, network]
+  )
+
+  const clearStatus = useCallback(() => setTxStatus(null), [])
+
+  return { isSending, txStatus, preview, tip, clearStatus }
+}
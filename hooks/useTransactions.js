@@ -0,0 +1,44 @@
+"use client"
+
+import { useCallback, useEffect, useMemo, useSyncExternalStore } from "react"
+import { NETWORKS } from "@/lib/flare"
+import {
+  getTransactions,
+  getServerTransactions,
+  subscribeTransactions,
+  resumePendingTransactions,
+  removeTransaction,
+  clearFinishedTransactions,
+  getExplorerTxUrl,
+} from "@/lib/transactions"
+
+/**
+ * Hook for transactions sent from this browser, persisted across reloads and network switches
+ */
+export function useTransactions() {
+  const transactions = useSyncExternalStore(subscribeTransactions, getTransactions, getServerTransactions)
+
+  // Pick up transactions left pending by an earlier session
+  useEffect(() => {
+    resumePendingTransactions()
+  }, [])
+
+  const pending = useMemo(() => transactions.filter((t) => t.status === "pending"), [transactions])
+
+  /**
+   * Explorer link of a tracked transaction, on the network it was sent on
+   * @param {import('@/lib/transactions').TrackedTransaction} tx
+   */
+  const explorerUrl = useCallback(
+    (tx) => (NETWORKS[tx.network] ? getExplorerTxUrl(tx.replacedBy ?? tx.hash, NETWORKS[tx.network]) : null),
+    []
+  )
+
+  return {
+    transactions,
+    pending,
+    explorerUrl,
+    remove: removeTransaction,
+    clearFinished: clearFinishedTransactions,
+  }
+}
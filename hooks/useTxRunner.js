@@ -0,0 +1,77 @@
+"use client"
+
+import { useState, useCallback } from "react"
+import { ERROR_KINDS, WalletError, toWalletError } from "@/lib/errors"
+import { trackTransaction, waitForTransaction } from "@/lib/transactions"
+
+/**
+ * Shared loading, error and txStatus state for hooks that send wallet contract transactions,
+ * with the pending/success/error flow used by useContract, useMultisig and useSchedules
+ * @param {import('ethers').Signer | null} signer - The signer from MetaMask
+ * @param {boolean} enabled - Whether transactions can be sent (wallet connected, matching wallet kind)
+ */
+export function useTxRunner(signer, enabled) {
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [txStatus, setTxStatus] = useState(/** @type {{ type: 'success' | 'error' | 'pending', message: string, kind?: string } | null} */ (null))
+
+  /**
+   * Send a transaction, wait until it is mined and report each step in txStatus
+   * `track` describes the transaction in the persistent pending list (see lib/transactions.js)
+   * `successMessage` may be a function of the receipt, for results only known once mined.
+   * `refresh` reloads state afterwards; if it fails the transaction still counts as successful.
+   * @param {() => Promise<import('ethers').TransactionResponse>} send
+   * @param {{ pendingMessage: string, successMessage: string | ((receipt: import('ethers').TransactionReceipt) => string), fallbackError: string, track: Object, refresh?: () => Promise<void> }} options
+   * @returns {Promise<import('ethers').TransactionReceipt>}
+   */
+  const run = useCallback(
+    async (send, { pendingMessage, successMessage, fallbackError, track, refresh }) => {
+      if (!signer || !enabled) {
+        throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Wallet not connected")
+      }
+
+      setIsLoading(true)
+      setError(null)
+      setTxStatus({ type: "pending", message: pendingMessage })
+
+      try {
+        const tx = await send()
+        setTxStatus({ type: "pending", message: `Transaction sent: ${tx.hash}` })
+
+        // Keep tracking it across reloads; stop waiting here after a timeout
+        trackTransaction(tx, track)
+        const receipt = await waitForTransaction(tx.hash)
+        const message = typeof successMessage === "function" ? successMessage(receipt) : successMessage
+        setTxStatus({ type: "success", message })
+
+        if (refresh) {
+          // Wait a bit before refreshing to avoid rate limits
+          await new Promise(resolve => setTimeout(resolve, 2000))
+
+          try {
+            await refresh()
+          } catch (refreshError) {
+            // If refresh fails, don't fail the whole transaction
+            console.warn("Failed to refresh contract state, but transaction succeeded:", refreshError)
+            setTxStatus({ type: "success", message: `${message} (refresh pending)` })
+          }
+        }
+
+        // Clear success message after 5 seconds
+        setTimeout(() => setTxStatus(null), 5000)
+
+        return receipt
+      } catch (err) {
+        const walletError = toWalletError(err, fallbackError)
+        setError(walletError.message)
+        setTxStatus({ type: "error", message: walletError.message, kind: walletError.kind })
+        throw walletError
+      } finally {
+        setIsLoading(false)
+      }
+    },
+    [signer, enabled]
+  )
+
+  return { isLoading, setIsLoading, error, setError, txStatus, setTxStatus, run }
+}
@@ -1,223 +1,397 @@
 "use client"
 
-import { useState, useEffect, useCallback } from "react"
-import { BrowserProvider } from "ethers"
-import { FLARE_NETWORK, FLARE_METAMASK_CONFIG } from "@/lib/flare"
+import { useState, useEffect, useCallback, useMemo, useRef, useSyncExternalStore } from "react"
+import { BrowserProvider, getAddress, isAddress } from "ethers"
+import { getFlareMetaMaskConfig } from "@/lib/flare"
+import {
+  discoverConnectors,
+  getConnectors,
+  getServerConnectors,
+  subscribeConnectors,
+  getConnector,
+  getStoredConnectorId,
+  setStoredConnectorId,
+  getStoredWatchAddress,
+  setStoredWatchAddress,
+  LEDGER_CONNECTOR_ID,
+  WATCH_CONNECTOR_ID,
+} from "@/lib/connectors"
+import { connectLedger as openLedger, reconnectLedger, isLedgerSupported } from "@/lib/ledger"
+import { getProvider } from "@/lib/rpc"
+import { ERROR_KINDS, WalletError, toWalletError } from "@/lib/errors"
+import { useNetwork } from "@/hooks/useNetwork"
 
 /**
- * Hook for managing MetaMask wallet connection
+ * Switch an EIP-1193 wallet to a network, adding the network first if the wallet does not know it
+ * @param {import('@/lib/connectors').EIP1193Provider} ethereum
+ * @param {typeof import('@/lib/flare').NETWORKS[string]} network
+ */
+async function switchChain(ethereum, network) {
+  const config = getFlareMetaMaskConfig(network)
+
+  try {
+    await ethereum.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: config.chainId }],
+    })
+  } catch (switchError) {
+    const walletError = toWalletError(switchError, `Failed to switch to ${network.name}`)
+    // The chain has not been added to the wallet yet
+    if (walletError.kind !== ERROR_KINDS.WRONG_NETWORK) throw walletError
+    try {
+      await ethereum.request({
+        method: "wallet_addEthereumChain",
+        params: [config],
+      })
+    } catch (addError) {
+      const addWalletError = toWalletError(addError)
+      if (addWalletError.kind === ERROR_KINDS.USER_REJECTED) throw addWalletError
+      throw new WalletError(ERROR_KINDS.WRONG_NETWORK, `Failed to add ${network.name} network to your wallet`, { cause: addError })
+    }
+  }
+}
+
+/**
+ * Hook for managing the wallet connection
+ * Works the same for every connector: injected wallets discovered via EIP-6963
+ * (MetaMask, Rabby, Bifrost, ...), legacy window.ethereum and WalletConnect.
+ * A Ledger (WebHID) fills the same `signer` slot; watch-only mode has an address but no signer.
  */
 export function useWallet() {
-  const [address, setAddress] = useState(null)
+  const { network } = useNetwork()
+  const connectors = useSyncExternalStore(subscribeConnectors, getConnectors, getServerConnectors)
+  const [connectorId, setConnectorId] = useState(/** @type {string | null} */ (null))
+  const [ethereum, setEthereum] = useState(/** @type {import('@/lib/connectors').EIP1193Provider | null} */ (null))
+  const [address, setAddress] = useState(/** @type {string | null} */ (null))
   const [isConnected, setIsConnected] = useState(false)
   const [isConnecting, setIsConnecting] = useState(false)
   const [chainId, setChainId] = useState(null)
-  const [isCorrectNetwork, setIsCorrectNetwork] = useState(false)
   const [provider, setProvider] = useState(null)
   const [signer, setSigner] = useState(null)
-  const [isMetaMaskInstalled, setIsMetaMaskInstalled] = useState(false)
+  const [isLedgerAvailable, setIsLedgerAvailable] = useState(false)
+  const [ledgerSigner, setLedgerSigner] = useState(/** @type {import('@/lib/ledger').LedgerSigner | null} */ (null))
+  const restoreAttempted = useRef(false)
 
-  // Check if MetaMask is installed (client-side only to avoid hydration mismatch)
+  const isLedger = connectorId === LEDGER_CONNECTOR_ID
+  const isWatchOnly = connectorId === WATCH_CONNECTOR_ID
+
+  // Discover wallets client-side only to avoid hydration mismatch
   useEffect(() => {
-    setIsMetaMaskInstalled(typeof window !== "undefined" && typeof window.ethereum !== "undefined")
+    discoverConnectors()
+    setIsLedgerAvailable(isLedgerSupported())
+  }, [])
+
+  /**
+   * Clear the connection state (the connector choice is kept)
+   */
+  const reset = useCallback(() => {
+    setAddress(null)
+    setIsConnected(false)
+    setSigner(null)
+    setProvider(null)
+    setChainId(null)
+  }, [])
+
+  /**
+   * Read account, signer and chain from a connected wallet
+   * @returns {Promise<number | null>} Chain id, or null if no account is connected
+   */
+  const load = useCallback(
+    async (ethereum) => {
+      const provider = new BrowserProvider(ethereum)
+      const accounts = await provider.listAccounts()
+      if (accounts.length === 0) {
+        reset()
+        return null
+      }
+
+      const signer = await provider.getSigner()
+      const walletNetwork = await provider.getNetwork()
+      const currentChainId = Number(walletNetwork.chainId.toString())
+
+      setProvider(provider)
+      setAddress(await signer.getAddress())
+      setIsConnected(true)
+      setSigner(signer)
+      setChainId(currentChainId)
+      return currentChainId
+    },
+    [reset]
+  )
+
+  /**
+   * Use a Ledger account as the connected account
+   * Ledger and watch-only connections have no wallet chain; they follow the selected network.
+   */
+  const setLedgerAccount = useCallback((ledger) => {
+    setEthereum(null)
+    setConnectorId(LEDGER_CONNECTOR_ID)
+    setLedgerSigner(ledger)
+    setSigner(null)
+    setAddress(ledger.address)
+    setIsConnected(true)
   }, [])
 
-  // Initialize provider and check connection on mount
+  /**
+   * Follow an address without a signer
+   */
+  const setWatchedAccount = useCallback((watched) => {
+    setEthereum(null)
+    setConnectorId(WATCH_CONNECTOR_ID)
+    setLedgerSigner(null)
+    setSigner(null)
+    setAddress(watched)
+    setIsConnected(true)
+  }, [])
+
+  // Reconnect silently to the wallet chosen last time once it has been discovered
   useEffect(() => {
-    if (!isMetaMaskInstalled) return
+    if (restoreAttempted.current) return
+    const storedId = getStoredConnectorId()
+
+    if (storedId === WATCH_CONNECTOR_ID) {
+      restoreAttempted.current = true
+      const watched = getStoredWatchAddress()
+      if (watched && isAddress(watched)) setWatchedAccount(getAddress(watched))
+      return
+    }
+
+    if (storedId === LEDGER_CONNECTOR_ID) {
+      restoreAttempted.current = true
+      if (!isLedgerSupported()) return
+      // Only reopens a Ledger that is plugged in, unlocked and already permitted
+      reconnectLedger(getProvider(network))
+        .then((ledger) => ledger && setLedgerAccount(ledger))
+        .catch((error) => console.error("Error initializing Ledger:", error))
+      return
+    }
 
-    const init = async () => {
+    const connector = storedId && connectors.find((c) => c.id === storedId)
+    if (!connector) return
+    restoreAttempted.current = true
+
+    const restore = async () => {
       try {
-        const provider = new BrowserProvider(window.ethereum)
-        setProvider(provider)
-
-        // Check if already connected
-        const accounts = await provider.listAccounts()
-        if (accounts.length > 0) {
-          const signer = await provider.getSigner()
-          const network = await provider.getNetwork()
-          const address = await signer.getAddress()
-          const currentChainId = Number(network.chainId.toString())
-
-          setAddress(address)
-          setIsConnected(true)
-          setSigner(signer)
-          setChainId(currentChainId)
-          setIsCorrectNetwork(currentChainId === FLARE_NETWORK.chainId)
-        }
+        const ethereum = await connector.getProvider()
+        const accounts = await connector.getAccounts(ethereum)
+        if (accounts.length === 0) return
+        setEthereum(ethereum)
+        setConnectorId(connector.id)
+        await load(ethereum)
       } catch (error) {
         console.error("Error initializing wallet:", error)
       }
     }
 
-    init()
+    restore()
+  }, [connectors, network, load, setLedgerAccount, setWatchedAccount])
+
+  // Follow account, chain and session changes of the connected wallet
+  useEffect(() => {
+    if (!ethereum) return
 
-    // Listen for account changes
     const handleAccountsChanged = (accounts) => {
       if (accounts.length === 0) {
-        setAddress(null)
-        setIsConnected(false)
-        setSigner(null)
+        reset()
       } else {
-        init()
+        load(ethereum).catch((error) => console.error("Error reading wallet account:", error))
       }
     }
 
-    // Listen for chain changes
+    // Re-read signer and chain instead of reloading, so in-flight transactions keep being tracked in the UI
     const handleChainChanged = () => {
-      window.location.reload()
+      load(ethereum).catch((error) => console.error("Error reading wallet network:", error))
     }
 
-    if (window.ethereum) {
-      window.ethereum.on("accountsChanged", handleAccountsChanged)
-      window.ethereum.on("chainChanged", handleChainChanged)
+    // WalletConnect sessions can be ended from the phone
+    const handleDisconnect = () => {
+      reset()
     }
 
+    ethereum.on("accountsChanged", handleAccountsChanged)
+    ethereum.on("chainChanged", handleChainChanged)
+    ethereum.on("disconnect", handleDisconnect)
+
     return () => {
-      if (window.ethereum) {
-        window.ethereum.removeListener("accountsChanged", handleAccountsChanged)
-        window.ethereum.removeListener("chainChanged", handleChainChanged)
-      }
+      ethereum.removeListener("accountsChanged", handleAccountsChanged)
+      ethereum.removeListener("chainChanged", handleChainChanged)
+      ethereum.removeListener("disconnect", handleDisconnect)
+    }
+  }, [ethereum, load, reset])
+
+  // Unplugging the Ledger ends the connection
+  useEffect(() => {
+    if (!ledgerSigner) return
+    const handleDisconnect = () => {
+      setLedgerSigner(null)
+      reset()
     }
-  }, [isMetaMaskInstalled])
+    ledgerSigner.transport.on("disconnect", handleDisconnect)
+    return () => ledgerSigner.transport.off("disconnect", handleDisconnect)
+  }, [ledgerSigner, reset])
+
+  // The Ledger signs for whichever network is selected and reads/broadcasts through its shared provider
+  const activeSigner = useMemo(
+    () => (ledgerSigner ? ledgerSigner.connect(getProvider(network)) : signer),
+    [ledgerSigner, signer, network]
+  )
+
+  // Whether the wallet is on the selected network (always true without a wallet chain)
+  const isCorrectNetwork = isLedger || isWatchOnly || (chainId !== null && chainId === network.chainId)
 
   /**
-   * Switch to Flare Coston2 network
+   * Switch the connected wallet to the selected network
    */
   const switchNetwork = useCallback(async () => {
-    if (!isMetaMaskInstalled) {
-      throw new Error("MetaMask is not installed")
+    if (isLedger || isWatchOnly) return
+    if (!ethereum) {
+      throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE)
     }
+    // The chainChanged listener picks up the new chain
+    await switchChain(ethereum, network)
+  }, [ethereum, network, isLedger, isWatchOnly])
 
-    try {
-      await window.ethereum.request({
-        method: "wallet_switchEthereumChain",
-        params: [{ chainId: FLARE_METAMASK_CONFIG.chainId }],
-      })
-    } catch (switchError) {
-      // This error code indicates that the chain has not been added to MetaMask
-      if (switchError.code === 4902) {
-        try {
-          await window.ethereum.request({
-            method: "wallet_addEthereumChain",
-            params: [FLARE_METAMASK_CONFIG],
-          })
-        } catch (addError) {
-          throw new Error("Failed to add Flare Coston2 network to MetaMask")
+  /**
+   * Connect a wallet
+   * @param {string} [id] - Connector to use (defaults to the last used one, then the first available)
+   */
+  const connect = useCallback(
+    async (id) => {
+      if (connectors.length === 0) {
+        throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "No wallet found. Please install a browser wallet to continue.")
+      }
+      const storedId = getStoredConnectorId()
+      const connector = getConnector(id ?? (connectors.some((c) => c.id === storedId) ? storedId : connectors[0].id))
+
+      setIsConnecting(true)
+      try {
+        const ethereum = await connector.getProvider()
+
+        // Request account access
+        await connector.requestAccounts(ethereum)
+        if (ledgerSigner) await ledgerSigner.close().catch(() => {})
+        setLedgerSigner(null)
+        setStoredWatchAddress(null)
+        const currentChainId = await load(ethereum)
+
+        setEthereum(ethereum)
+        setConnectorId(connector.id)
+        setStoredConnectorId(connector.id)
+
+        // If wrong network, prompt to switch
+        if (currentChainId !== null && currentChainId !== network.chainId) {
+          await switchChain(ethereum, network)
         }
-      } else {
-        throw switchError
+      } catch (error) {
+        const walletError = toWalletError(error, "Failed to connect wallet")
+        if (walletError.kind !== ERROR_KINDS.USER_REJECTED) console.error("Error connecting wallet:", error)
+        throw walletError
+      } finally {
+        setIsConnecting(false)
       }
-    }
-  }, [isMetaMaskInstalled])
+    },
+    [connectors, network, load, ledgerSigner]
+  )
 
   /**
-   * Connect wallet
+   * Connect a Ledger over WebHID (Ethereum app open, first account of Ledger Live)
+   * Must be called from a click: the browser asks which device to allow.
    */
-  const connect = useCallback(async () => {
-    if (!isMetaMaskInstalled) {
-      throw new Error("MetaMask is not installed. Please install MetaMask to continue.")
+  const connectLedger = useCallback(async () => {
+    if (!isLedgerSupported()) {
+      throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "This browser cannot connect to a Ledger. Please use Chrome, Edge or Brave.")
     }
 
     setIsConnecting(true)
     try {
-      const provider = new BrowserProvider(window.ethereum)
-      setProvider(provider)
-
-      // Request account access
-      await provider.send("eth_requestAccounts", [])
-
-      const signer = await provider.getSigner()
-      const network = await provider.getNetwork()
-      const address = await signer.getAddress()
-      const currentChainId = Number(network.chainId.toString())
-
-      setAddress(address)
-      setIsConnected(true)
-      setSigner(signer)
-      setChainId(currentChainId)
-      setIsCorrectNetwork(currentChainId === FLARE_NETWORK.chainId)
-
-      // If wrong network, prompt to switch
-      if (currentChainId !== FLARE_NETWORK.chainId) {
-        await switchNetwork()
-        // Reload after switch
-        window.location.reload()
-      }
+      const ledger = await openLedger(getProvider(network))
+      if (ledgerSigner) await ledgerSigner.close().catch(() => {})
+      setStoredConnectorId(LEDGER_CONNECTOR_ID)
+      setStoredWatchAddress(null)
+      setLedgerAccount(ledger)
     } catch (error) {
-      console.error("Error connecting wallet:", error)
-      throw error
+      const walletError = toWalletError(error, "Failed to connect Ledger")
+      if (walletError.kind !== ERROR_KINDS.USER_REJECTED) console.error("Error connecting Ledger:", error)
+      throw walletError
     } finally {
       setIsConnecting(false)
     }
-  }, [isMetaMaskInstalled, switchNetwork])
+  }, [network, ledgerSigner, setLedgerAccount])
 
   /**
-   * Disconnect wallet
+   * Watch an address read-only: live balances and history, no transactions
+   * @param {string} watched - Any account or contract address
    */
-  const disconnect = useCallback(() => {
-    setAddress(null)
-    setIsConnected(false)
-    setSigner(null)
-    setProvider(null)
-    setChainId(null)
-    setIsCorrectNetwork(false)
-  }, [])
+  const watch = useCallback(
+    async (watched) => {
+      if (!isAddress(watched?.trim())) {
+        throw new WalletError(ERROR_KINDS.INVALID_INPUT, "Please enter a valid 0x address to watch")
+      }
+      if (ledgerSigner) await ledgerSigner.close().catch(() => {})
+      const checksummed = getAddress(watched.trim())
+      setStoredConnectorId(WATCH_CONNECTOR_ID)
+      setStoredWatchAddress(checksummed)
+      setWatchedAccount(checksummed)
+    },
+    [ledgerSigner, setWatchedAccount]
+  )
 
   /**
-   * Retry helper with exponential backoff
+   * Disconnect wallet
    */
-  const retryWithBackoff = useCallback(async (fn, maxRetries = 3, baseDelay = 2000) => {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        return await fn()
-      } catch (error) {
-        const isRateLimited = error?.code === -32005 || error?.data?.httpStatus === 429
-        
-        if (isRateLimited && i < maxRetries - 1) {
-          const delay = baseDelay * Math.pow(2, i)
-          console.warn(`Rate limited, retrying in ${delay}ms... (attempt ${i + 1}/${maxRetries})`)
-          await new Promise(resolve => setTimeout(resolve, delay))
-          continue
-        }
-        
-        throw error
-      }
+  const disconnect = useCallback(async () => {
+    const connector = connectors.find((c) => c.id === connectorId)
+    if (connector && ethereum) {
+      await connector.disconnect(ethereum).catch((error) => console.warn("Failed to end wallet session:", error))
     }
-  }, [])
+    if (ledgerSigner) {
+      await ledgerSigner.close().catch((error) => console.warn("Failed to close Ledger connection:", error))
+    }
+    setStoredConnectorId(null)
+    setStoredWatchAddress(null)
+    setEthereum(null)
+    setConnectorId(null)
+    setLedgerSigner(null)
+    reset()
+  }, [connectors, connectorId, ethereum, ledgerSigner, reset])
 
   /**
-   * Get wallet balance in FLR with retry logic
+   * Get wallet balance in FLR on the selected network (read through the shared RPC provider)
    */
   const getBalance = useCallback(async () => {
-    if (!provider || !address) return "0"
+    if (!address) return "0"
 
     try {
-      const balance = await retryWithBackoff(async () => {
-        return await provider.getBalance(address)
-      })
+      const balance = await getProvider(network).getBalance(address)
       return (Number(balance) / 1e18).toFixed(4)
     } catch (error) {
       // Handle rate limiting and other errors gracefully
-      if (error?.code === -32005 || error?.data?.httpStatus === 429) {
+      if (toWalletError(error).kind === ERROR_KINDS.RATE_LIMITED) {
         console.warn("Rate limited after retries, will try again later")
         return null // Return null to indicate we should keep the last known balance
       }
       console.error("Error getting balance:", error)
       return null
     }
-  }, [provider, address, retryWithBackoff])
+  }, [network, address])
 
   return {
     address,
     isConnected,
     isConnecting,
-    chainId,
+    chainId: isLedger || isWatchOnly ? network.chainId : chainId,
     isCorrectNetwork,
-    provider,
-    signer,
-    isMetaMaskInstalled,
+    provider: isLedger || isWatchOnly ? getProvider(network) : provider,
+    signer: activeSigner,
+    connectors,
+    connector: connectors.find((c) => c.id === connectorId) ?? null,
+    isWalletAvailable: connectors.length > 0,
+    isLedger,
+    isLedgerSupported: isLedgerAvailable,
+    isWatchOnly,
     connect,
+    connectLedger,
+    watch,
     disconnect,
     switchNetwork,
     getBalance,
@@ -0,0 +1,183 @@
+"use client"
+
+import { useState, useEffect, useCallback, useMemo } from "react"
+import { formatEther, parseEther } from "ethers"
+import {
+  getContractBalance,
+  getDeployedWallet,
+  saveDeployedWallet,
+  verifyWalletContract,
+} from "@/lib/contract"
+import {
+  getTrackedWallets,
+  addTrackedWallet,
+  renameTrackedWallet,
+  removeTrackedWallet,
+  getActiveWallet,
+  setActiveWallet,
+} from "@/lib/wallet-book"
+import { subscribeBalance } from "@/lib/live"
+import { toWalletError } from "@/lib/errors"
+import { useNetwork } from "@/hooks/useNetwork"
+
+/**
+ * Wallet in the address book: a tracked wallet, or the default or own wallet (built in, never stored)
+ * @typedef {Omit<import('@/lib/wallet-book').TrackedWallet, "addedAt"> & { addedAt?: number, builtIn: boolean }} WalletBookEntry
+ */
+
+/**
+ * Hook for the address book of wallet contracts on the selected network
+ * The list always contains the network's default contract and the account's
+ * own deployment (if any), followed by user-added wallets.
+ */
+export function useWalletBook(account) {
+  const { network } = useNetwork()
+  const [tracked, setTracked] = useState(/** @type {import('@/lib/wallet-book').TrackedWallet[]} */ ([]))
+  const [selected, setSelected] = useState(null)
+  const [deployedAddress, setDeployedAddress] = useState(null)
+  const [balances, setBalances] = useState({})
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Load persisted state for the selected network and account
+  useEffect(() => {
+    setTracked(getTrackedWallets(network.key))
+    setSelected(getActiveWallet(network.key))
+    setDeployedAddress(getDeployedWallet(account))
+    setBalances({})
+  }, [network, account])
+
+  const wallets = useMemo(() => {
+    const list = /** @type {WalletBookEntry[]} */ ([])
+    const seen = new Set()
+    const push = (wallet) => {
+      const key = wallet.address.toLowerCase()
+      if (seen.has(key)) return
+      seen.add(key)
+      list.push(wallet)
+    }
+    if (deployedAddress) push({ address: deployedAddress, label: "My wallet", builtIn: true })
+    if (network.contractAddress) push({ address: network.contractAddress, label: "Default", builtIn: true })
+    tracked.forEach((w) => push({ ...w, builtIn: false }))
+    return list
+  }, [tracked, deployedAddress, network])
+
+  // Fall back to the first wallet when the selection is gone (removed or other network)
+  const activeAddress = useMemo(() => {
+    const match = selected && wallets.find((w) => w.address.toLowerCase() === selected.toLowerCase())
+    return match ? match.address : wallets[0]?.address
+  }, [selected, wallets])
+
+  /**
+   * Select the wallet contract the rest of the app operates on
+   */
+  const selectWallet = useCallback(
+    (address) => {
+      setActiveWallet(network.key, address)
+      setSelected(address)
+    },
+    [network]
+  )
+
+  /**
+   * Verify and add a wallet contract to the address book
+   */
+  const addWallet = useCallback(
+    async (address, label) => {
+      setIsLoading(true)
+      setError(null)
+      try {
+        await verifyWalletContract(address)
+        setTracked(addTrackedWallet(network.key, address, label))
+      } catch (err) {
+        const walletError = toWalletError(err, "Failed to add wallet")
+        setError(walletError.message)
+        throw walletError
+      } finally {
+        setIsLoading(false)
+      }
+    },
+    [network]
+  )
+
+  /**
+   * Change the label of a tracked wallet contract
+   */
+  const renameWallet = useCallback(
+    (address, label) => {
+      setTracked(renameTrackedWallet(network.key, address, label))
+    },
+    [network]
+  )
+
+  /**
+   * Remove a wallet contract from the address book
+   */
+  const removeWallet = useCallback(
+    (address) => {
+      setTracked(removeTrackedWallet(network.key, address))
+    },
+    [network]
+  )
+
+  /**
+   * Record a wallet the account just deployed and make it active
+   */
+  const addDeployedWallet = useCallback(
+    (address) => {
+      if (!account) return
+      saveDeployedWallet(account, address)
+      setDeployedAddress(address)
+      selectWallet(address)
+    },
+    [account, selectWallet]
+  )
+
+  /**
+   * Fetch balances of every wallet in the list
+   */
+  const refreshBalances = useCallback(async () => {
+    const results = await Promise.allSettled(wallets.map((w) => getContractBalance(w.address)))
+    setBalances((prev) => {
+      const next = { ...prev }
+      results.forEach((result, i) => {
+        // Keep the last known value when a read fails (e.g. rate limited)
+        if (result.status === "fulfilled") next[wallets[i].address] = result.value
+      })
+      return next
+    })
+  }, [wallets])
+
+  // Keep every wallet's balance current; the watcher reports the current value first
+  useEffect(() => {
+    if (!account) return
+    const unsubscribes = wallets.map((w) =>
+      subscribeBalance(
+        w.address,
+        (balance) => setBalances((prev) => ({ ...prev, [w.address]: formatEther(balance) })),
+        network
+      )
+    )
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe())
+  }, [account, wallets, network])
+
+  const totalBalance = useMemo(
+    () => formatEther(wallets.reduce((sum, w) => sum + parseEther(balances[w.address] || "0"), BigInt(0))),
+    [wallets, balances]
+  )
+
+  return {
+    wallets,
+    activeAddress,
+    balances,
+    totalBalance,
+    isLoading,
+    error,
+    selectWallet,
+    addWallet,
+    renameWallet,
+    removeWallet,
+    addDeployedWallet,
+    refreshBalances,
+  }
+}
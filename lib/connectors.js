@@ -0,0 +1,230 @@
+import { NETWORKS } from "./flare"
+import { ERROR_KINDS, WalletError } from "./errors"
+
+const STORAGE_KEY = "flare_wallet_connector"
+const WATCH_STORAGE_KEY = "flare_watch_address"
+const WALLETCONNECT_PROJECT_ID = process.env.NEXT_PUBLIC_WALLETCONNECT_PROJECT_ID || null
+
+/**
+ * Stored connector ids of the connection modes that are not EIP-1193 connectors
+ */
+export const LEDGER_CONNECTOR_ID = "ledger"
+export const WATCH_CONNECTOR_ID = "watch"
+
+/**
+ * @typedef {Object} EIP1193Provider
+ * @property {(args: { method: string, params?: unknown[] | object }) => Promise<any>} request
+ * @property {(event: string, listener: (...args: any[]) => void) => void} on
+ * @property {(event: string, listener: (...args: any[]) => void) => void} removeListener
+ */
+
+/**
+ * @typedef {Object} Connector
+ * @property {string} id - Stable id: the EIP-6963 rdns, "injected" or "walletconnect"
+ * @property {string} name - Wallet name shown in the picker
+ * @property {string | null} icon - Data URI of the wallet icon
+ * @property {"injected" | "walletconnect"} type
+ * @property {() => Promise<EIP1193Provider>} getProvider - Resolve the EIP-1193 provider
+ * @property {(provider: EIP1193Provider) => Promise<string[]>} requestAccounts - Ask the user to connect
+ * @property {(provider: EIP1193Provider) => Promise<string[]>} getAccounts - Accounts already connected, without prompting
+ * @property {(provider: EIP1193Provider) => Promise<void>} disconnect - End the session (no-op for injected wallets)
+ */
+
+/** @type {Map<string, Connector>} Injected wallets announced via EIP-6963, keyed by rdns */
+const announced = new Map()
+/** @type {Connector[]} */
+let snapshot = []
+const SERVER_SNAPSHOT = []
+const listeners = new Set()
+let discovering = false
+
+/**
+ * Connector methods shared by all injected (browser extension) wallets
+ * @param {Pick<Connector, "id" | "name" | "icon">} info
+ * @param {EIP1193Provider} provider
+ * @returns {Connector}
+ */
+function injectedConnector({ id, name, icon }, provider) {
+  return {
+    id,
+    name,
+    icon,
+    type: "injected",
+    getProvider: async () => provider,
+    requestAccounts: (p) => p.request({ method: "eth_requestAccounts" }),
+    getAccounts: (p) => p.request({ method: "eth_accounts" }),
+    // Extensions keep the site connected; forgetting the connector is enough
+    disconnect: async () => {},
+  }
+}
+
+/**
+ * Legacy `window.ethereum`, for wallets that do not implement EIP-6963 yet
+ * @returns {Connector | null}
+ */
+function legacyInjectedConnector() {
+  const ethereum = typeof window !== "undefined" ? window.ethereum : undefined
+  if (!ethereum) return null
+  const name = ethereum.isRabby ? "Rabby" : ethereum.isMetaMask ? "MetaMask" : "Browser Wallet"
+  return injectedConnector({ id: "injected", name, icon: null }, ethereum)
+}
+
+let walletConnectProvider = null
+
+/**
+ * WalletConnect v2 (QR code / mobile wallets); only offered when a project id is configured
+ * The SDK is loaded on first use so it stays out of the main bundle.
+ * @returns {Connector | null}
+ */
+function walletConnectConnector() {
+  if (!WALLETCONNECT_PROJECT_ID) return null
+  return {
+    id: "walletconnect",
+    name: "WalletConnect",
+    icon: null,
+    type: "walletconnect",
+    getProvider: async () => {
+      if (walletConnectProvider) return walletConnectProvider
+      const { EthereumProvider } = await import("@walletconnect/ethereum-provider")
+      const networks = Object.values(NETWORKS)
+      walletConnectProvider = await EthereumProvider.init({
+        projectId: WALLETCONNECT_PROJECT_ID,
+        optionalChains: networks.map((n) => n.chainId),
+        rpcMap: Object.fromEntries(networks.map((n) => [n.chainId, n.rpcUrls[0]])),
+        showQrModal: true,
+        metadata: {
+          name: "Flare Wallet",
+          description: "A simple smart contract wallet on Flare",
+          url: window.location.origin,
+          icons: [],
+        },
+      })
+      return walletConnectProvider
+    },
+    requestAccounts: (p) => /** @type {any} */ (p).enable(),
+    // A session restored from the SDK's own storage is already connected
+    getAccounts: async (p) => (/** @type {any} */ (p).session ? /** @type {any} */ (p).accounts : []),
+    disconnect: async (p) => {
+      if (/** @type {any} */ (p).session) await /** @type {any} */ (p).disconnect()
+    },
+  }
+}
+
+/**
+ * Rebuild the connector list and notify subscribers
+ */
+function updateSnapshot() {
+  const injected = [...announced.values()]
+  const legacy = injected.length === 0 ? legacyInjectedConnector() : null
+  const walletConnect = walletConnectConnector()
+  snapshot = [...injected, ...(legacy ? [legacy] : []), ...(walletConnect ? [walletConnect] : [])]
+  listeners.forEach((listener) => listener(snapshot))
+}
+
+/**
+ * Record a wallet announced via EIP-6963
+ */
+function handleAnnounce(event) {
+  const { info, provider } = event.detail ?? {}
+  if (!info?.rdns || !provider) return
+  announced.set(info.rdns, injectedConnector({ id: info.rdns, name: info.name, icon: info.icon ?? null }, provider))
+  updateSnapshot()
+}
+
+/**
+ * Start listening for EIP-6963 announcements and ask installed wallets to announce themselves
+ * Safe to call more than once.
+ */
+export function discoverConnectors() {
+  if (typeof window === "undefined") return
+  if (!discovering) {
+    discovering = true
+    window.addEventListener("eip6963:announceProvider", handleAnnounce)
+    updateSnapshot()
+  }
+  window.dispatchEvent(new Event("eip6963:requestProvider"))
+}
+
+/**
+ * Get the available connectors (stable reference until the list changes)
+ * @returns {Connector[]}
+ */
+export function getConnectors() {
+  return snapshot
+}
+
+/**
+ * Server snapshot for useSyncExternalStore
+ * @returns {Connector[]}
+ */
+export function getServerConnectors() {
+  return SERVER_SNAPSHOT
+}
+
+/**
+ * Subscribe to changes of the connector list
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeConnectors(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Find a connector by id
+ * @param {string} id
+ * @returns {Connector}
+ */
+export function getConnector(id) {
+  const connector = snapshot.find((c) => c.id === id)
+  if (!connector) {
+    throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "That wallet is not available in this browser")
+  }
+  return connector
+}
+
+/**
+ * Id of the connector the user last connected with
+ * @returns {string | null}
+ */
+export function getStoredConnectorId() {
+  try {
+    return localStorage.getItem(STORAGE_KEY)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Remember (or forget, with null) the connector the user chose
+ * @param {string | null} id
+ */
+export function setStoredConnectorId(id) {
+  try {
+    if (id) localStorage.setItem(STORAGE_KEY, id)
+    else localStorage.removeItem(STORAGE_KEY)
+  } catch {}
+}
+
+/**
+ * Address last watched in watch-only mode
+ * @returns {string | null}
+ */
+export function getStoredWatchAddress() {
+  try {
+    return localStorage.getItem(WATCH_STORAGE_KEY)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Remember (or forget, with null) the watched address
+ * @param {string | null} address
+ */
+export function setStoredWatchAddress(address) {
+  try {
+    if (address) localStorage.setItem(WATCH_STORAGE_KEY, address)
+    else localStorage.removeItem(WATCH_STORAGE_KEY)
+  } catch {}
+}
@@ -1,39 +1,88 @@
-import { Contract, formatEther, parseEther } from "ethers"
-import { getFlareProvider } from "./flare"
+import { Contract, ContractFactory, MaxUint256, ZeroAddress, formatEther, formatUnits, getAddress, isAddress, isError, parseEther, parseUnits } from "ethers"
+import { getFlareNetwork } from "./flare"
+import { getBlockTimestamp, getCode, getProvider, withRetry } from "./rpc"
+import { ERROR_KINDS, WalletError, isRateLimitError, toWalletError } from "./errors"
 import contractABI from "../artifacts/contract-abi.json"
+import contractInfo from "../artifacts/contract-info.json"
+import multisigABI from "../artifacts/multisig-abi.json"
 
-const CONTRACT_ADDRESS = "0x735E060B08aB94905D50de4760c8f53594cc07F9"
+const DEPLOYMENTS_STORAGE_KEY = "flare_deployed_wallets"
+
+/**
+ * Get the default wallet contract address for the selected network
+ */
+export function getContractAddress() {
+  const network = getFlareNetwork()
+  if (!network.contractAddress) {
+    throw new WalletError(ERROR_KINDS.NO_CONTRACT, `No wallet contract configured for ${network.name}.`)
+  }
+  return network.contractAddress
+}
+
+/**
+ * Read the map of wallets deployed from this browser
+ * Keyed by `${networkKey}:${account}` (account lowercased)
+ */
+function readDeployments() {
+  try {
+    return JSON.parse(localStorage.getItem(DEPLOYMENTS_STORAGE_KEY) || "{}")
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Get the wallet contract an account deployed on the selected network
+ * @param {string} account - Deployer address
+ * @returns {string | null}
+ */
+export function getDeployedWallet(account) {
+  if (!account) return null
+  return readDeployments()[`${getFlareNetwork().key}:${account.toLowerCase()}`] || null
+}
+
+/**
+ * Remember the wallet contract an account deployed on the selected network
+ * @param {string} account - Deployer address
+ * @param {string} contractAddress - Deployed contract address
+ */
+export function saveDeployedWallet(account, contractAddress) {
+  const deployments = readDeployments()
+  deployments[`${getFlareNetwork().key}:${account.toLowerCase()}`] = contractAddress
+  try {
+    localStorage.setItem(DEPLOYMENTS_STORAGE_KEY, JSON.stringify(deployments))
+  } catch {}
+}
 
 /**
  * Creates a contract instance with a signer (for transactions)
+ * @returns {import('../artifacts/types').SimpleFlareWallet} Typed from the ABI by scripts/compile-contract.js
  */
-export function getContractWithSigner(signer) {
-  return new Contract(CONTRACT_ADDRESS, contractABI, signer)
+export function getContractWithSigner(signer, contractAddress = getContractAddress()) {
+  return /** @type {import('../artifacts/types').SimpleFlareWallet} */ (new Contract(contractAddress, contractABI, signer))
 }
 
 /**
  * Creates a contract instance with a provider (for read-only operations)
+ * @returns {import('../artifacts/types').SimpleFlareWallet}
  */
-export function getContractWithProvider() {
-  const provider = getFlareProvider()
-  return new Contract(CONTRACT_ADDRESS, contractABI, provider)
+export function getContractWithProvider(contractAddress = getContractAddress()) {
+  return /** @type {import('../artifacts/types').SimpleFlareWallet} */ (new Contract(contractAddress, contractABI, getProvider()))
 }
 
 /**
  * Get contract balance in FLR (as string)
  * Uses provider.getBalance() directly instead of contract function for reliability
  */
-export async function getContractBalance() {
+export async function getContractBalance(contractAddress = getContractAddress()) {
   try {
-    const provider = getFlareProvider()
-    
     // Check if contract is deployed
-    const code = await provider.getCode(CONTRACT_ADDRESS)
+    const code = await getCode(contractAddress)
     if (code === "0x") {
-      throw new Error(`Contract not deployed at address ${CONTRACT_ADDRESS}`)
+      throw new WalletError(ERROR_KINDS.NOT_DEPLOYED)
     }
     
-    const balance = await provider.getBalance(CONTRACT_ADDRESS)
+    const balance = await getProvider().getBalance(contractAddress)
     return formatEther(balance)
   } catch (error) {
     console.error("Error getting contract balance:", error)
@@ -45,17 +94,15 @@ export async function getContractBalance() {
  * Get contract owner address
  * Includes contract deployment check
  */
-export async function getContractOwner() {
+export async function getContractOwner(contractAddress = getContractAddress()) {
   try {
-    const provider = getFlareProvider()
-    
     // First check if contract is deployed
-    const code = await provider.getCode(CONTRACT_ADDRESS)
+    const code = await getCode(contractAddress)
     if (code === "0x") {
-      throw new Error(`Contract not deployed at address ${CONTRACT_ADDRESS}`)
+      throw new WalletError(ERROR_KINDS.NOT_DEPLOYED)
     }
     
-    const contract = getContractWithProvider()
+    const contract = getContractWithProvider(contractAddress)
     const owner = await contract.owner()
     return owner
   } catch (error) {
@@ -65,24 +112,44 @@ export async function getContractOwner() {
 }
 
 /**
- * Retry helper with exponential backoff for rate limiting
+ * Get the proposed owner of a pending ownership transfer
+ * Returns null when there is no pending transfer or the contract predates two-step transfers
  */
-async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await fn()
-    } catch (error) {
-      const isRateLimited = error?.code === -32005 || error?.data?.httpStatus === 429
-      
-      if (isRateLimited && i < maxRetries - 1) {
-        const delay = baseDelay * Math.pow(2, i)
-        console.warn(`Rate limited, retrying in ${delay}ms... (attempt ${i + 1}/${maxRetries})`)
-        await new Promise(resolve => setTimeout(resolve, delay))
-        continue
-      }
-      
-      throw error
-    }
+export async function getPendingOwner(contractAddress = getContractAddress()) {
+  try {
+    const contract = getContractWithProvider(contractAddress)
+    const pending = await contract.pendingOwner()
+    return pending === ZeroAddress ? null : pending
+  } catch (error) {
+    if (isRateLimitError(error)) throw error
+    // Older deployments have no pendingOwner()
+    return null
+  }
+}
+
+/**
+ * Verify that an address hosts a SimpleFlareWallet-compatible contract
+ * Checks that code is deployed and that `owner()` (or a multisig `threshold()`) responds
+ * @param {string} contractAddress - Address to verify
+ * @returns {Promise<string | null>} The contract owner (null for multisig wallets)
+ */
+export async function verifyWalletContract(contractAddress) {
+  if (!isAddress(contractAddress)) {
+    throw new WalletError(ERROR_KINDS.INVALID_INPUT, "Invalid contract address")
+  }
+
+  const code = await getCode(contractAddress)
+  if (code === "0x") {
+    throw new WalletError(ERROR_KINDS.NOT_DEPLOYED)
+  }
+
+  try {
+    const contract = getContractWithProvider(contractAddress)
+    return await contract.owner()
+  } catch (error) {
+    if (isRateLimitError(error)) throw error
+    if ((await getWalletKind(contractAddress)) === "multisig") return null
+    throw new WalletError(ERROR_KINDS.INVALID_INPUT, "Address is not a SimpleFlareWallet contract (owner() did not respond)", { cause: error })
   }
 }
 
@@ -90,27 +157,21 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
  * Deposit FLR to contract
  * @param {import('ethers').Signer} signer - The signer from MetaMask
  * @param {string} amount - Amount in FLR (will be converted to wei)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
  */
-export async function deposit(signer, amount) {
+export async function deposit(signer, amount, contractAddress = getContractAddress()) {
   try {
-    const contract = getContractWithSigner(signer)
+    const contract = getContractWithSigner(signer, contractAddress)
     
     // Retry with backoff for rate limiting
-    const tx = await retryWithBackoff(async () => {
+    const tx = await withRetry(async () => {
       return await contract.deposit({ value: parseEther(amount) })
     })
     
     return tx
   } catch (error) {
-    // Provide user-friendly error messages
-    if (error?.code === -32005 || error?.data?.httpStatus === 429) {
-      const friendlyError = new Error("Network is busy. Please wait a moment and try again.")
-      friendlyError.code = error.code
-      friendlyError.data = error.data
-      throw friendlyError
-    }
-    console.error("Error depositing:", error)
-    throw error
+    if (!isRateLimitError(error)) console.error("Error depositing:", error)
+    throw toWalletError(error)
   }
 }
 
@@ -119,27 +180,21 @@ export async function deposit(signer, amount) {
  * @param {import('ethers').Signer} signer - The signer from MetaMask
  * @param {string} to - Recipient address
  * @param {string} amount - Amount in FLR (will be converted to wei)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
  */
-export async function withdraw(signer, to, amount) {
+export async function withdraw(signer, to, amount, contractAddress = getContractAddress()) {
   try {
-    const contract = getContractWithSigner(signer)
+    const contract = getContractWithSigner(signer, contractAddress)
     
     // Retry with backoff for rate limiting
-    const tx = await retryWithBackoff(async () => {
+    const tx = await withRetry(async () => {
       return await contract.withdraw(to, parseEther(amount))
     })
     
     return tx
   } catch (error) {
-    // Provide user-friendly error messages
-    if (error?.code === -32005 || error?.data?.httpStatus === 429) {
-      const friendlyError = new Error("Network is busy. Please wait a moment and try again.")
-      friendlyError.code = error.code
-      friendlyError.data = error.data
-      throw friendlyError
-    }
-    console.error("Error withdrawing:", error)
-    throw error
+    if (!isRateLimitError(error)) console.error("Error withdrawing:", error)
+    throw toWalletError(error)
   }
 }
 
@@ -147,26 +202,1053 @@ export async function withdraw(signer, to, amount) {
  * Withdraw all FLR from contract
  * @param {import('ethers').Signer} signer - The signer from MetaMask
  * @param {string} to - Recipient address
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
  */
-export async function withdrawAll(signer, to) {
+export async function withdrawAll(signer, to, contractAddress = getContractAddress()) {
   try {
-    const contract = getContractWithSigner(signer)
+    const contract = getContractWithSigner(signer, contractAddress)
     
     // Retry with backoff for rate limiting
-    const tx = await retryWithBackoff(async () => {
+    const tx = await withRetry(async () => {
       return await contract.withdrawAll(to)
     })
     
     return tx
   } catch (error) {
-    // Provide user-friendly error messages
-    if (error?.code === -32005 || error?.data?.httpStatus === 429) {
-      const friendlyError = new Error("Network is busy. Please wait a moment and try again.")
-      friendlyError.code = error.code
-      friendlyError.data = error.data
-      throw friendlyError
+    if (!isRateLimitError(error)) console.error("Error withdrawing all:", error)
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Pay several recipients in one transaction (owner only)
+ * Each payment above today's remaining allowance is queued, like `withdraw`.
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {{ to: string, amount: string }[]} payouts - Recipients and amounts in FLR (see parsePayoutCsv)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function batchWithdraw(signer, payouts, contractAddress = getContractAddress()) {
+  try {
+    const contract = getContractWithSigner(signer, contractAddress)
+    const recipients = payouts.map((p) => p.to)
+    const amounts = payouts.map((p) => parseEther(p.amount))
+
+    // Retry with backoff for rate limiting
+    const tx = await withRetry(async () => {
+      return await contract.batchWithdraw(recipients, amounts)
+    })
+
+    return tx
+  } catch (error) {
+    if (!isRateLimitError(error)) console.error("Error sending batch payout:", error)
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Whether a wallet contract has `batchWithdraw` (wallets deployed before it was added do not)
+ * Checks the runtime code for the function selector used by the dispatcher.
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function supportsBatchWithdraw(contractAddress = getContractAddress()) {
+  const selector = getContractWithProvider(contractAddress).interface.getFunction("batchWithdraw").selector
+  const code = await getCode(contractAddress)
+  return code.toLowerCase().includes(selector.slice(2))
+}
+
+/**
+ * Result of simulating a transaction before it is sent
+ * @typedef {Object} TxEstimate
+ * @property {bigint} gasLimit - Estimated gas
+ * @property {string} fee - Estimated network fee in FLR (gas × current gas price)
+ * @property {string} value - FLR sent along with the transaction
+ * @property {string} total - FLR leaving the connected account (value + fee)
+ * @property {string} walletBalance - Connected account balance afterwards, in FLR
+ * @property {string} contractBalance - Wallet contract balance afterwards, in FLR
+ * @property {boolean} queued - Whether a withdrawal exceeds today's allowance and will be queued instead of sent
+ */
+
+/**
+ * Simulate a wallet contract call from the connected account with staticCall and
+ * estimateGas, and read the balances and gas price needed to preview it
+ * Throws a CONTRACT_REVERT WalletError with the decoded reason if the call would fail.
+ */
+async function simulateContractTx(signer, contractAddress, method, args, value = 0n) {
+  const from = await signer.getAddress()
+  const provider = getProvider()
+  const contract = getContractWithProvider(contractAddress)
+  const overrides = { from, value }
+
+  try {
+    // Issued together so the shared provider sends them as one batch
+    const [, gasLimit, feeData, walletBalance, contractBalance] = await Promise.all([
+      contract[method].staticCall(...args, overrides),
+      contract[method].estimateGas(...args, overrides),
+      provider.getFeeData(),
+      provider.getBalance(from),
+      provider.getBalance(contractAddress),
+    ])
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n
+    const fee = gasLimit * gasPrice
+
+    if (walletBalance < value + fee) {
+      throw new WalletError(ERROR_KINDS.INSUFFICIENT_FUNDS)
     }
-    console.error("Error withdrawing all:", error)
+    return { gasLimit, fee, walletBalance, contractBalance }
+  } catch (error) {
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Whether a withdrawal of `amount` would be queued by the daily limit
+ */
+async function isQueuedWithdrawal(amount, contractAddress) {
+  try {
+    const allowance = await getContractWithProvider(contractAddress).remainingDailyAllowance()
+    return amount > allowance
+  } catch (error) {
+    if (isRateLimitError(error)) throw error
+    // Older deployments have no daily limit, so nothing is queued
+    return false
+  }
+}
+
+/**
+ * Simulate a deposit and estimate its cost
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} amount - Amount in FLR
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<TxEstimate>}
+ */
+export async function estimateDeposit(signer, amount, contractAddress = getContractAddress()) {
+  const value = parseEther(amount)
+  const { gasLimit, fee, walletBalance, contractBalance } = await simulateContractTx(signer, contractAddress, "deposit", [], value)
+  return {
+    gasLimit,
+    fee: formatEther(fee),
+    value: formatEther(value),
+    total: formatEther(value + fee),
+    walletBalance: formatEther(walletBalance - value - fee),
+    contractBalance: formatEther(contractBalance + value),
+    queued: false,
+  }
+}
+
+/**
+ * Simulate a withdrawal and estimate its cost
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} to - Recipient address
+ * @param {string} amount - Amount in FLR
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<TxEstimate>}
+ */
+export async function estimateWithdraw(signer, to, amount, contractAddress = getContractAddress()) {
+  const wei = parseEther(amount)
+  const [{ gasLimit, fee, walletBalance, contractBalance }, queued] = await Promise.all([
+    simulateContractTx(signer, contractAddress, "withdraw", [to, wei]),
+    isQueuedWithdrawal(wei, contractAddress),
+  ])
+  return {
+    gasLimit,
+    fee: formatEther(fee),
+    value: "0.0",
+    total: formatEther(fee),
+    walletBalance: formatEther(walletBalance - fee),
+    contractBalance: formatEther(queued ? contractBalance : contractBalance - wei),
+    queued,
+  }
+}
+
+/**
+ * Simulate withdrawing the whole contract balance and estimate its cost
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} to - Recipient address
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<TxEstimate>}
+ */
+export async function estimateWithdrawAll(signer, to, contractAddress = getContractAddress()) {
+  const { gasLimit, fee, walletBalance, contractBalance } = await simulateContractTx(signer, contractAddress, "withdrawAll", [to])
+  const queued = await isQueuedWithdrawal(contractBalance, contractAddress)
+  return {
+    gasLimit,
+    fee: formatEther(fee),
+    value: "0.0",
+    total: formatEther(fee),
+    walletBalance: formatEther(walletBalance - fee),
+    contractBalance: formatEther(queued ? contractBalance : 0n),
+    queued,
+  }
+}
+
+/**
+ * Simulate a batch payout and estimate its cost
+ * `queued` is set when the total is above today's remaining allowance, in which case
+ * some payments (at least the last ones) are queued behind the timelock.
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {{ to: string, amount: string }[]} payouts - Recipients and amounts in FLR
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<TxEstimate>}
+ */
+export async function estimateBatchWithdraw(signer, payouts, contractAddress = getContractAddress()) {
+  if (!(await supportsBatchWithdraw(contractAddress))) {
+    throw new WalletError(ERROR_KINDS.CONTRACT_REVERT, "This wallet was deployed before batch payouts were added. Deploy a new wallet to use them.")
+  }
+  const amounts = payouts.map((p) => parseEther(p.amount))
+  const total = amounts.reduce((sum, amount) => sum + amount, 0n)
+  const [{ gasLimit, fee, walletBalance, contractBalance }, queued] = await Promise.all([
+    simulateContractTx(signer, contractAddress, "batchWithdraw", [payouts.map((p) => p.to), amounts]),
+    isQueuedWithdrawal(total, contractAddress),
+  ])
+  return {
+    gasLimit,
+    fee: formatEther(fee),
+    value: "0.0",
+    total: formatEther(fee),
+    walletBalance: formatEther(walletBalance - fee),
+    // As if every payment is sent; queued payments stay in the contract until executed
+    contractBalance: formatEther(contractBalance - total),
+    queued,
+  }
+}
+
+/**
+ * Whether a wallet contract has two-step ownership transfers (wallets deployed before them do not)
+ * On older wallets `changeOwner` hands over ownership immediately, so a mistyped address loses the wallet.
+ * Checks the runtime code for the `acceptOwnership` selector, like supportsBatchWithdraw.
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function supportsTwoStepOwnership(contractAddress = getContractAddress()) {
+  const selector = getContractWithProvider(contractAddress).interface.getFunction("acceptOwnership").selector
+  const code = await getCode(contractAddress)
+  return code.toLowerCase().includes(selector.slice(2))
+}
+
+/**
+ * Propose a new owner (two-step transfer; the new owner must accept)
+ * On wallets without two-step transfers (see supportsTwoStepOwnership) ownership moves immediately.
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} newOwner - Proposed owner address
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function changeOwner(signer, newOwner, contractAddress = getContractAddress()) {
+  try {
+    const contract = getContractWithSigner(signer, contractAddress)
+    
+    // Retry with backoff for rate limiting
+    const tx = await withRetry(async () => {
+      return await contract.changeOwner(newOwner)
+    })
+    
+    return tx
+  } catch (error) {
+    if (!isRateLimitError(error)) console.error("Error changing owner:", error)
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Accept a pending ownership transfer (must be signed by the proposed owner)
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function acceptOwnership(signer, contractAddress = getContractAddress()) {
+  try {
+    const contract = getContractWithSigner(signer, contractAddress)
+    
+    // Retry with backoff for rate limiting
+    const tx = await withRetry(async () => {
+      return await contract.acceptOwnership()
+    })
+    
+    return tx
+  } catch (error) {
+    if (!isRateLimitError(error)) console.error("Error accepting ownership:", error)
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Cancel a pending ownership transfer
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function cancelOwnershipTransfer(signer, contractAddress = getContractAddress()) {
+  try {
+    const contract = getContractWithSigner(signer, contractAddress)
+    
+    // Retry with backoff for rate limiting
+    const tx = await withRetry(async () => {
+      return await contract.cancelOwnershipTransfer()
+    })
+    
+    return tx
+  } catch (error) {
+    if (!isRateLimitError(error)) console.error("Error cancelling ownership transfer:", error)
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * @typedef {Object} SpendingLimits
+ * @property {string | null} dailyLimit - Limit in FLR (null = unlimited)
+ * @property {string | null} remainingToday - Allowance left today in FLR (null = unlimited)
+ * @property {number} timelockDelay - Delay in seconds for withdrawals above the limit
+ * @property {{ dailyLimit: string | null, timelockDelay: number, effectiveAt: number } | null} pendingLimits
+ * Queued limit change (effectiveAt in milliseconds)
+ */
+
+/**
+ * Get the spending limit configuration of a wallet
+ * Returns null for contracts deployed before spending limits existed
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<SpendingLimits | null>}
+ */
+export async function getSpendingLimits(contractAddress = getContractAddress()) {
+  const contract = getContractWithProvider(contractAddress)
+  try {
+    const [dailyLimit, remaining, timelockDelay, pending] = await Promise.all([
+      contract.dailyLimit(),
+      contract.remainingDailyAllowance(),
+      contract.timelockDelay(),
+      contract.pendingLimits(),
+    ])
+
+    return {
+      dailyLimit: dailyLimit === 0n ? null : formatEther(dailyLimit),
+      remainingToday: remaining === MaxUint256 ? null : formatEther(remaining),
+      timelockDelay: Number(timelockDelay),
+      pendingLimits: pending.effectiveAt === 0n ? null : {
+        dailyLimit: pending.dailyLimit === 0n ? null : formatEther(pending.dailyLimit),
+        timelockDelay: Number(pending.timelockDelay),
+        effectiveAt: Number(pending.effectiveAt) * 1000,
+      },
+    }
+  } catch (error) {
+    if (isRateLimitError(error)) throw error
+    // Older deployments have no spending limits
+    return null
+  }
+}
+
+/**
+ * @typedef {Object} QueuedWithdrawal
+ * @property {number} id - Index in the contract's queue
+ * @property {string} to - Recipient
+ * @property {string} amount - Amount in FLR
+ * @property {number} unlockTime - Earliest execution time in milliseconds
+ * @property {boolean} executed
+ * @property {boolean} cancelled
+ */
+
+/**
+ * Get withdrawals queued behind the timelock that are neither executed nor cancelled
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<QueuedWithdrawal[]>}
+ */
+export async function getPendingQueuedWithdrawals(contractAddress = getContractAddress()) {
+  const contract = getContractWithProvider(contractAddress)
+  try {
+    const count = Number(await contract.getQueuedWithdrawalCount())
+    // Issued together so the shared provider sends them as one batch
+    const entries = await Promise.all(Array.from({ length: count }, (_, id) => contract.queuedWithdrawals(id)))
+    return entries
+      .map((entry, id) => ({
+        id,
+        to: entry.to,
+        amount: formatEther(entry.amount),
+        unlockTime: Number(entry.unlockTime) * 1000,
+        executed: entry.executed,
+        cancelled: entry.cancelled,
+      }))
+      .filter((entry) => !entry.executed && !entry.cancelled)
+  } catch (error) {
+    if (isRateLimitError(error)) throw error
+    // Older deployments have no withdrawal queue
+    return []
+  }
+}
+
+/**
+ * Find the withdrawal a transaction queued instead of sending (amount above today's limit)
+ * @param {import('ethers').TransactionReceipt} receipt
+ * @returns {{ id: number, unlockTime: number } | null} unlockTime in milliseconds
+ */
+export function getQueuedWithdrawalFromReceipt(receipt) {
+  return getQueuedWithdrawalsFromReceipt(receipt)[0] ?? null
+}
+
+/**
+ * Find every withdrawal a transaction queued (a batch payout can queue several)
+ * @param {import('ethers').TransactionReceipt} receipt
+ * @returns {{ id: number, unlockTime: number }[]} unlockTime in milliseconds
+ */
+export function getQueuedWithdrawalsFromReceipt(receipt) {
+  const iface = new Contract(ZeroAddress, contractABI).interface
+  const queued = []
+  for (const log of receipt?.logs || []) {
+    try {
+      const parsed = iface.parseLog(log)
+      if (parsed?.name === "WithdrawalQueued") {
+        queued.push({ id: Number(parsed.args.id), unlockTime: Number(parsed.args.unlockTime) * 1000 })
+      }
+    } catch {}
+  }
+  return queued
+}
+
+/**
+ * Update the daily limit and timelock delay (loosening changes are queued on-chain)
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} dailyLimit - Limit in FLR ("0" = unlimited)
+ * @param {number} timelockDelay - Delay in seconds
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function setSpendingLimits(signer, dailyLimit, timelockDelay, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.setLimits(parseEther(dailyLimit), timelockDelay), "setting limits")
+}
+
+/**
+ * Apply a queued limit change after its delay
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function applyPendingLimits(signer, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.applyPendingLimits(), "applying limits")
+}
+
+/**
+ * Cancel a queued limit change
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function cancelPendingLimits(signer, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.cancelPendingLimits(), "cancelling limit change")
+}
+
+/**
+ * Execute a queued withdrawal whose timelock has passed
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {number} id - Queue id
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function executeQueuedWithdrawal(signer, id, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.executeQueuedWithdrawal(id), "executing queued withdrawal")
+}
+
+/**
+ * Cancel a queued withdrawal
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {number} id - Queue id
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function cancelQueuedWithdrawal(signer, id, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.cancelQueuedWithdrawal(id), "cancelling queued withdrawal")
+}
+
+/**
+ * @typedef {Object} PaymentSchedule
+ * @property {number} id - Index in the contract's schedules
+ * @property {string} to - Recipient
+ * @property {string} amount - Amount per payment in FLR
+ * @property {number} interval - Seconds between payments
+ * @property {number} nextDue - Time of the next payment in milliseconds
+ * @property {number | null} end - Time after which no payment is due in milliseconds (null = no end)
+ * @property {boolean} active - False once cancelled or past its end
+ */
+
+/**
+ * Get all payment schedules of a wallet, including cancelled and finished ones
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<PaymentSchedule[]>}
+ */
+export async function getSchedules(contractAddress = getContractAddress()) {
+  const contract = getContractWithProvider(contractAddress)
+  try {
+    const count = Number(await contract.getScheduleCount())
+    // Issued together so the shared provider sends them as one batch
+    const entries = await Promise.all(Array.from({ length: count }, (_, id) => contract.schedules(id)))
+    return entries.map((entry, id) => ({
+      id,
+      to: entry.to,
+      amount: formatEther(entry.amount),
+      interval: Number(entry.interval),
+      nextDue: Number(entry.nextDue) * 1000,
+      end: entry.end === 0n ? null : Number(entry.end) * 1000,
+      active: entry.active,
+    }))
+  } catch (error) {
+    if (isRateLimitError(error)) throw error
+    // Older deployments have no schedules
+    return []
+  }
+}
+
+/**
+ * Create a recurring payment (owner only); anyone can execute it once due
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {Object} schedule
+ * @param {string} schedule.to - Recipient address
+ * @param {string} schedule.amount - Amount per payment in FLR
+ * @param {number} schedule.interval - Seconds between payments
+ * @param {number | null} [schedule.start] - First payment in milliseconds (null = now)
+ * @param {number | null} [schedule.end] - Last possible payment in milliseconds (null = no end)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function createSchedule(signer, { to, amount, interval, start = null, end = null }, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  const toSeconds = (ms) => (ms ? Math.floor(ms / 1000) : 0)
+  return sendContractTx(
+    () => contract.createSchedule(to, parseEther(amount), interval, toSeconds(start), toSeconds(end)),
+    "creating schedule"
+  )
+}
+
+/**
+ * Stop a recurring payment (owner only)
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {number} id - Schedule id
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function cancelSchedule(signer, id, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.cancelSchedule(id), "cancelling schedule")
+}
+
+/**
+ * Make the next due payment of a schedule (any account can call this)
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {number} id - Schedule id
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function executeSchedule(signer, id, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.executeSchedule(id), "executing schedule")
+}
+
+const CUSTOM_TOKENS_STORAGE_KEY = "flare_custom_tokens"
+
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+]
+
+/**
+ * @typedef {Object} TokenInfo
+ * @property {string} address - Checksummed token address
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {string} [priceFeed] - FTSO pair used to value the token (see lib/prices.js)
+ * @property {boolean} [custom] - Added by the user rather than built in
+ */
+
+/**
+ * Well-known tokens per network key (wrapped native tokens)
+ * FAsset and other tokens can be added at runtime with addCustomToken
+ * @type {Record<string, TokenInfo[]>}
+ */
+export const TOKEN_REGISTRY = {
+  flare: [{ address: "0x1D80c49BbBCd1C0911346656B529DF9E5c2F783d", symbol: "WFLR", decimals: 18, priceFeed: "FLR/USD" }],
+  songbird: [{ address: "0x02f0826ef6aD107Cfc861152B32B52fD11BaB9ED", symbol: "WSGB", decimals: 18, priceFeed: "SGB/USD" }],
+  coston: [{ address: "0x767b25A658E8FC8ab6eBbd52043495dB61b4ea91", symbol: "WCFLR", decimals: 18, priceFeed: "SGB/USD" }],
+  coston2: [{ address: "0xC67DCE33D7A8efA5FfEB961899C73fe01bCe9273", symbol: "WC2FLR", decimals: 18, priceFeed: "FLR/USD" }],
+}
+
+/**
+ * Read the map of user-added tokens, keyed by network key
+ */
+function readCustomTokens() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_TOKENS_STORAGE_KEY) || "{}")
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Replace the user-added tokens of a network
+ * @param {string} networkKey - Key in NETWORKS
+ * @param {TokenInfo[]} tokens
+ */
+function saveCustomTokens(networkKey, tokens) {
+  const all = readCustomTokens()
+  all[networkKey] = tokens
+  try {
+    localStorage.setItem(CUSTOM_TOKENS_STORAGE_KEY, JSON.stringify(all))
+  } catch {}
+}
+
+/**
+ * Creates an ERC-20 contract instance
+ * @param {string} tokenAddress - Token contract
+ * @param {import('ethers').ContractRunner} [runner] - Signer or provider (defaults to the network provider)
+ */
+export function getTokenContract(tokenAddress, runner = getProvider()) {
+  return new Contract(tokenAddress, ERC20_ABI, runner)
+}
+
+/**
+ * Get the built-in and user-added tokens of a network
+ * @param {string} [networkKey] - Key in NETWORKS (defaults to the selected network)
+ * @returns {TokenInfo[]}
+ */
+export function getTokenList(networkKey = getFlareNetwork().key) {
+  const custom = readCustomTokens()[networkKey]
+  return [
+    ...(TOKEN_REGISTRY[networkKey] || []),
+    ...(Array.isArray(custom) ? custom.map((t) => ({ ...t, custom: true })) : []),
+  ]
+}
+
+/**
+ * Read the symbol and decimals of a token
+ * Known tokens are answered from the registry without an RPC call
+ * @param {string} tokenAddress - Token contract
+ * @returns {Promise<TokenInfo>}
+ */
+export async function getTokenMetadata(tokenAddress) {
+  if (!isAddress(tokenAddress)) {
+    throw new WalletError(ERROR_KINDS.INVALID_INPUT, "Invalid token address")
+  }
+  const address = getAddress(tokenAddress)
+  const known = getTokenList().find((t) => t.address === address)
+  if (known) return known
+
+  const code = await getCode(address)
+  if (code === "0x") {
+    throw new WalletError(ERROR_KINDS.NOT_DEPLOYED, `No contract deployed at ${address}`)
+  }
+
+  const token = getTokenContract(address)
+  try {
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()])
+    return { address, symbol, decimals: Number(decimals) }
+  } catch (error) {
+    if (isRateLimitError(error)) throw error
+    throw new WalletError(ERROR_KINDS.INVALID_INPUT, "This contract does not look like an ERC-20 token", { cause: error })
+  }
+}
+
+/**
+ * Verify a token and add it to the selected network's token list
+ * @param {string} tokenAddress - Token contract
+ * @returns {Promise<TokenInfo[]>} Updated list
+ */
+export async function addCustomToken(tokenAddress) {
+  const networkKey = getFlareNetwork().key
+  const metadata = await getTokenMetadata(tokenAddress)
+  if (getTokenList(networkKey).some((t) => t.address === metadata.address)) {
+    throw new WalletError(ERROR_KINDS.INVALID_INPUT, `${metadata.symbol} is already in your token list`)
+  }
+  const custom = getTokenList(networkKey).filter((t) => t.custom)
+  saveCustomTokens(networkKey, [...custom, metadata].map(({ custom: _, ...t }) => t))
+  return getTokenList(networkKey)
+}
+
+/**
+ * Remove a user-added token from the selected network's token list
+ * @param {string} tokenAddress - Token contract
+ * @returns {TokenInfo[]} Updated list
+ */
+export function removeCustomToken(tokenAddress) {
+  const networkKey = getFlareNetwork().key
+  const remaining = getTokenList(networkKey)
+    .filter((t) => t.custom && t.address !== tokenAddress)
+    .map(({ custom: _, ...t }) => t)
+  saveCustomTokens(networkKey, remaining)
+  return getTokenList(networkKey)
+}
+
+/**
+ * Get the wallet contract's balance of every token in the list
+ * Tokens whose balance cannot be read are left out
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<Array<TokenInfo & { balance: string }>>} Balances formatted with each token's decimals
+ */
+export async function getTokenBalances(contractAddress = getContractAddress()) {
+  const tokens = getTokenList()
+  const results = await Promise.allSettled(tokens.map((t) => getTokenContract(t.address).balanceOf(contractAddress)))
+  return tokens.flatMap((t, i) => {
+    const result = results[i]
+    if (result.status !== "fulfilled") {
+      console.warn(`Error getting ${t.symbol} balance:`, result.reason)
+      return []
+    }
+    return [{ ...t, balance: formatUnits(result.value, t.decimals) }]
+  })
+}
+
+/**
+ * Withdraw ERC-20 tokens held by the wallet contract
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} tokenAddress - Token contract
+ * @param {string} to - Recipient address
+ * @param {string} amount - Amount in whole tokens (converted with the token's decimals)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function withdrawToken(signer, tokenAddress, to, amount, contractAddress = getContractAddress()) {
+  const { decimals } = await getTokenMetadata(tokenAddress)
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.withdrawToken(tokenAddress, to, parseUnits(amount, decimals)), "withdrawing token")
+}
+
+/**
+ * @typedef {Object} WrappedBalance
+ * @property {string} address - WNat contract resolved by the wallet
+ * @property {string} symbol - e.g. WFLR
+ * @property {string} balance - Wrapped balance of the wallet contract
+ */
+
+/**
+ * Get the wallet contract's WNat (WFLR) balance
+ * Returns null where wrapping is unavailable (older deployments, local networks without the Flare registry)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<WrappedBalance | null>}
+ */
+export async function getWrappedBalance(contractAddress = getContractAddress()) {
+  const contract = getContractWithProvider(contractAddress)
+  let wNatAddress
+  try {
+    wNatAddress = await contract.wNat()
+  } catch (error) {
+    if (isRateLimitError(error)) throw error
+    return null
+  }
+  if (wNatAddress === ZeroAddress) return null
+
+  const balance = await getTokenContract(wNatAddress).balanceOf(contractAddress)
+  const known = getTokenList().find((t) => t.address === getAddress(wNatAddress))
+  return {
+    address: wNatAddress,
+    symbol: known?.symbol ?? `W${getFlareNetwork().currency}`,
+    balance: formatEther(balance),
+  }
+}
+
+/**
+ * Wrap FLR held by the wallet contract into WNat
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} amount - Amount in FLR (will be converted to wei)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function wrapFlr(signer, amount, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.wrap(parseEther(amount)), "wrapping FLR")
+}
+
+/**
+ * Unwrap WNat held by the wallet contract back into FLR
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} amount - Amount in WFLR (will be converted to wei)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function unwrapFlr(signer, amount, contractAddress = getContractAddress()) {
+  const contract = getContractWithSigner(signer, contractAddress)
+  return sendContractTx(() => contract.unwrap(parseEther(amount)), "unwrapping WFLR")
+}
+
+/**
+ * Maximum block span per eth_getLogs request (Flare public RPCs reject larger ranges)
+ */
+const LOG_BLOCK_RANGE = 30
+
+/**
+ * Block ranges requested together; the shared provider sends them as one batch
+ */
+const LOG_RANGES_PER_BATCH = 20
+
+/**
+ * Maximum number of block ranges scanned for a single history page
+ */
+const MAX_RANGES_PER_PAGE = 1000
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique id (`${txHash}-${logIndex}`)
+ * @property {"deposit" | "withdrawal" | "ownerChange"} type
+ * @property {string | null} from - Depositor or previous owner
+ * @property {string | null} to - Withdrawal recipient or new owner
+ * @property {string | null} amount - Amount in FLR (null for owner changes)
+ * @property {number} blockNumber
+ * @property {string} txHash
+ * @property {number | null} timestamp - Block timestamp in milliseconds
+ */
+
+/**
+ * Decodes a raw SimpleFlareWallet log into a history entry
+ * @param {import('ethers').Interface} iface - Contract interface
+ * @param {import('ethers').Log} log - Raw log
+ * @returns {HistoryEntry | null}
+ */
+function decodeHistoryLog(iface, log) {
+  const parsed = iface.parseLog(log)
+  if (!parsed) return null
+
+  const base = {
+    id: `${log.transactionHash}-${log.index}`,
+    blockNumber: log.blockNumber,
+    txHash: log.transactionHash,
+    timestamp: null,
+  }
+
+  switch (parsed.name) {
+    case "Deposited":
+      return { ...base, type: "deposit", from: parsed.args.from, to: null, amount: formatEther(parsed.args.amount) }
+    case "Withdrawn":
+      return { ...base, type: "withdrawal", from: null, to: parsed.args.to, amount: formatEther(parsed.args.amount) }
+    case "OwnerChanged":
+      return { ...base, type: "ownerChange", from: parsed.args.oldOwner, to: parsed.args.newOwner, amount: null }
+    default:
+      return null
+  }
+}
+
+/**
+ * Get a page of contract history (Deposited, Withdrawn and OwnerChanged events)
+ * Scans backwards from `beforeBlock` in chunked block ranges, requested in batches,
+ * until `pageSize` entries are found or the per-page scan budget is used up.
+ * Pass the deployment block (see getDeploymentBlock in lib/rpc.js) as `startBlock` so paging stops there.
+ * @param {Object} [options]
+ * @param {string} [options.contractAddress] - Wallet contract (defaults to the network's contract)
+ * @param {number} [options.beforeBlock] - Cursor from a previous page (exclusive); defaults to the latest block
+ * @param {number} [options.pageSize] - Number of entries to collect before stopping
+ * @param {number} [options.startBlock] - Lowest block to scan (e.g. the deployment block)
+ * @returns {Promise<{ entries: HistoryEntry[], nextCursor: number | null }>}
+ * `nextCursor` is null once `startBlock` has been reached
+ */
+export async function getContractHistory({
+  contractAddress = getContractAddress(),
+  beforeBlock,
+  pageSize = 20,
+  startBlock = 0,
+} = {}) {
+  try {
+    const provider = getProvider()
+    const contract = getContractWithProvider(contractAddress)
+    const iface = contract.interface
+
+    const topics = [[
+      iface.getEvent("Deposited").topicHash,
+      iface.getEvent("Withdrawn").topicHash,
+      iface.getEvent("OwnerChanged").topicHash,
+    ]]
+
+    let toBlock = beforeBlock !== undefined
+      ? beforeBlock - 1
+      : await provider.getBlockNumber()
+
+    const entries = []
+    let ranges = 0
+
+    while (toBlock >= startBlock && entries.length < pageSize && ranges < MAX_RANGES_PER_PAGE) {
+      const batch = []
+      while (batch.length < LOG_RANGES_PER_BATCH && toBlock >= startBlock && ranges < MAX_RANGES_PER_PAGE) {
+        const fromBlock = Math.max(startBlock, toBlock - LOG_BLOCK_RANGE + 1)
+        batch.push(provider.getLogs({ address: contract.target, topics, fromBlock, toBlock }))
+        toBlock = fromBlock - 1
+        ranges++
+      }
+
+      // Ranges are newest first; so are the entries within each range
+      for (const logs of await Promise.all(batch)) {
+        for (const log of [...logs].reverse()) {
+          const entry = decodeHistoryLog(iface, log)
+          if (entry) entries.push(entry)
+        }
+      }
+    }
+
+    // Resolve timestamps once per block (cached across pages)
+    const blockNumbers = Array.from(new Set(entries.map((e) => e.blockNumber)))
+    const timestamps = new Map(
+      await Promise.all(blockNumbers.map(async (blockNumber) => [blockNumber, await getBlockTimestamp(blockNumber)]))
+    )
+
+    return {
+      entries: entries.map((e) => ({ ...e, timestamp: timestamps.get(e.blockNumber) ?? null })),
+      nextCursor: toBlock >= startBlock ? toBlock + 1 : null,
+    }
+  } catch (error) {
+    console.error("Error getting contract history:", error)
+    throw error
+  }
+}
+
+/**
+ * Deploy a new SimpleFlareWallet owned by the signer
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @returns {Promise<import('ethers').BaseContract>} Contract with a pending deployment transaction
+ */
+export async function deployWallet(signer) {
+  try {
+    const factory = new ContractFactory(contractABI, contractInfo.bytecode, signer)
+
+    // Retry with backoff for rate limiting
+    const contract = await withRetry(async () => {
+      return await factory.deploy()
+    })
+
+    return contract
+  } catch (error) {
+    if (!isRateLimitError(error)) console.error("Error deploying wallet:", error)
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Number of most recent multisig transactions loaded by getMultisigState
+ */
+const MULTISIG_PROPOSAL_WINDOW = 25
+
+const walletKinds = new Map()
+
+/**
+ * Creates a multisig contract instance with a signer or provider
+ * @returns {import('../artifacts/types').MultiSigFlareWallet}
+ */
+export function getMultisigContract(runner, contractAddress = getContractAddress()) {
+  return /** @type {import('../artifacts/types').MultiSigFlareWallet} */ (new Contract(contractAddress, multisigABI, runner))
+}
+
+/**
+ * Detect whether a wallet contract is a SimpleFlareWallet or a MultiSigFlareWallet
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<"simple" | "multisig">}
+ */
+export async function getWalletKind(contractAddress = getContractAddress()) {
+  const cacheKey = `${getFlareNetwork().key}:${contractAddress.toLowerCase()}`
+  if (walletKinds.has(cacheKey)) return walletKinds.get(cacheKey)
+
+  let kind = "simple"
+  try {
+    const contract = getMultisigContract(getProvider(), contractAddress)
+    await contract.threshold()
+    kind = "multisig"
+  } catch (error) {
+    // Only a definite answer is cached: threshold() reverts or returns nothing on simple wallets.
+    // Rate limits, timeouts and network failures say nothing about the contract.
+    if (!isError(error, "CALL_EXCEPTION") && !isError(error, "BAD_DATA")) throw error
+  }
+
+  walletKinds.set(cacheKey, kind)
+  return kind
+}
+
+/**
+ * @typedef {Object} MultisigProposal
+ * @property {number} nonce - Transaction index
+ * @property {string} to - Recipient
+ * @property {string} amount - Amount in FLR
+ * @property {boolean} executed
+ * @property {string[]} confirmations - Owners who confirmed
+ */
+
+/**
+ * Get owners, threshold and the most recent proposals of a multisig wallet
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<{ owners: string[], threshold: number, proposals: MultisigProposal[] }>}
+ */
+export async function getMultisigState(contractAddress = getContractAddress()) {
+  try {
+    const contract = getMultisigContract(getProvider(), contractAddress)
+
+    const [owners, threshold, count] = await Promise.all([
+      contract.getOwners(),
+      contract.threshold(),
+      contract.getTransactionCount(),
+    ])
+
+    const total = Number(count)
+    // Newest first; all reads are issued together so the shared provider batches them
+    const nonces = []
+    for (let nonce = total - 1; nonce >= Math.max(0, total - MULTISIG_PROPOSAL_WINDOW); nonce--) {
+      nonces.push(nonce)
+    }
+    const proposals = await Promise.all(
+      nonces.map(async (nonce) => {
+        const [tx, confirmed] = await Promise.all([
+          contract.transactions(nonce),
+          Promise.all(owners.map((o) => contract.isConfirmed(nonce, o))),
+        ])
+        return {
+          nonce,
+          to: tx.to,
+          amount: formatEther(tx.value),
+          executed: tx.executed,
+          confirmations: owners.filter((_, i) => confirmed[i]),
+        }
+      })
+    )
+
+    return { owners: [...owners], threshold: Number(threshold), proposals }
+  } catch (error) {
+    console.error("Error getting multisig state:", error)
     throw error
   }
 }
+
+/**
+ * Send a contract transaction with rate-limit retry; failures are thrown as WalletError
+ * @param {() => Promise<import('ethers').TransactionResponse>} send
+ * @param {string} action - Description used in the error log
+ */
+async function sendContractTx(send, action) {
+  try {
+    // Retry with backoff for rate limiting
+    return await withRetry(send)
+  } catch (error) {
+    if (!isRateLimitError(error)) console.error(`Error ${action}:`, error)
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Propose a FLR transfer from a multisig wallet (counts as the submitter's confirmation)
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} to - Recipient address
+ * @param {string} amount - Amount in FLR (will be converted to wei)
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function submitMultisigTransaction(signer, to, amount, contractAddress = getContractAddress()) {
+  const contract = getMultisigContract(signer, contractAddress)
+  return sendContractTx(() => contract.submitTransaction(to, parseEther(amount), "0x"), "submitting proposal")
+}
+
+/**
+ * Confirm a pending multisig transaction
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {number} nonce - Transaction index
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function confirmMultisigTransaction(signer, nonce, contractAddress = getContractAddress()) {
+  const contract = getMultisigContract(signer, contractAddress)
+  return sendContractTx(() => contract.confirmTransaction(nonce), "confirming proposal")
+}
+
+/**
+ * Revoke a confirmation of a pending multisig transaction
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {number} nonce - Transaction index
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function revokeMultisigConfirmation(signer, nonce, contractAddress = getContractAddress()) {
+  const contract = getMultisigContract(signer, contractAddress)
+  return sendContractTx(() => contract.revokeConfirmation(nonce), "revoking confirmation")
+}
+
+/**
+ * Execute a multisig transaction that reached the threshold
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {number} nonce - Transaction index
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ */
+export async function executeMultisigTransaction(signer, nonce, contractAddress = getContractAddress()) {
+  const contract = getMultisigContract(signer, contractAddress)
+  return sendContractTx(() => contract.executeTransaction(nonce), "executing proposal")
+}
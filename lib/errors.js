@@ -0,0 +1,253 @@
+import { Interface, isError } from "ethers"
+import contractABI from "../artifacts/contract-abi.json"
+import multisigABI from "../artifacts/multisig-abi.json"
+
+/**
+ * Kinds of WalletError; the UI branches on these instead of on message text
+ */
+export const ERROR_KINDS = {
+  RATE_LIMITED: "rateLimited",
+  NETWORK: "network",
+  USER_REJECTED: "userRejected",
+  INSUFFICIENT_FUNDS: "insufficientFunds",
+  CONTRACT_REVERT: "contractRevert",
+  NOT_DEPLOYED: "notDeployed",
+  NO_CONTRACT: "noContract",
+  WRONG_NETWORK: "wrongNetwork",
+  WALLET_UNAVAILABLE: "walletUnavailable",
+  INVALID_INPUT: "invalidInput",
+  TX_REPLACED: "txReplaced",
+  TX_DROPPED: "txDropped",
+  TIMEOUT: "timeout",
+  UNKNOWN: "unknown",
+}
+
+/**
+ * Default user message per kind
+ */
+const DEFAULT_MESSAGES = {
+  [ERROR_KINDS.RATE_LIMITED]: "Network is busy. Please wait a moment and try again.",
+  [ERROR_KINDS.NETWORK]: "Could not reach the network. Please check your connection and try again.",
+  [ERROR_KINDS.USER_REJECTED]: "Transaction was cancelled",
+  [ERROR_KINDS.INSUFFICIENT_FUNDS]: "Insufficient funds for this transaction",
+  [ERROR_KINDS.CONTRACT_REVERT]: "Transaction failed on-chain",
+  [ERROR_KINDS.NOT_DEPLOYED]: "Contract not found. Please verify the contract address.",
+  [ERROR_KINDS.NO_CONTRACT]: "No wallet contract configured for this network.",
+  [ERROR_KINDS.WRONG_NETWORK]: "Please switch MetaMask to the selected network",
+  [ERROR_KINDS.WALLET_UNAVAILABLE]: "Please connect your wallet",
+  [ERROR_KINDS.INVALID_INPUT]: "Please check the address and amount",
+  [ERROR_KINDS.TX_REPLACED]: "Transaction was replaced by another transaction from your wallet",
+  [ERROR_KINDS.TX_DROPPED]: "Transaction was dropped by the network. Please try again.",
+  [ERROR_KINDS.TIMEOUT]: "Transaction is taking longer than expected. It stays in your pending transactions.",
+  [ERROR_KINDS.UNKNOWN]: "Something went wrong",
+}
+
+/**
+ * Kinds worth retrying as-is after a short wait
+ */
+const RETRYABLE_KINDS = new Set([ERROR_KINDS.RATE_LIMITED, ERROR_KINDS.NETWORK, ERROR_KINDS.TIMEOUT, ERROR_KINDS.TX_DROPPED])
+
+/**
+ * Friendly messages for the revert reasons of contracts/contract.sol and contracts/multisig.sol
+ */
+const REVERT_MESSAGES = {
+  "Not owner": "Only the wallet owner can do this",
+  "Zero address": "Please enter a recipient address",
+  "Already owner": "That address already owns this wallet",
+  "Not pending owner": "Only the proposed owner can accept ownership",
+  "No pending transfer": "There is no ownership transfer to cancel",
+  "No FLR sent": "Please enter an amount greater than zero",
+  "Insufficient balance": "The wallet contract does not hold enough FLR",
+  "No balance": "The wallet contract has no FLR to withdraw",
+  "Transfer failed": "The recipient rejected the FLR transfer",
+  "Not a token": "That address is not a token contract",
+  "Above daily limit": "Amount is above today's remaining spending limit",
+  "Length mismatch": "Every recipient needs an amount",
+  "No recipients": "Please add at least one recipient",
+  "Batch too large": "Too many recipients for one batch",
+  "Zero amount": "Every amount must be greater than zero",
+  "Zero interval": "Please enter how often the payment repeats",
+  "Invalid end": "The end date must be after the start date",
+  "Unknown schedule": "That schedule does not exist",
+  "Schedule inactive": "That schedule was cancelled or has ended",
+  "Not due": "That payment is not due yet",
+  "Token transfer failed": "The token contract rejected the transfer",
+  "WNat unavailable": "Wrapped FLR is not available on this network",
+  "Timelock active": "The timelock has not passed yet",
+  "No pending limits": "There is no limit change to apply",
+  "Unknown withdrawal": "That queued withdrawal does not exist",
+  "Not pending": "That queued withdrawal was already executed or cancelled",
+  "Unknown transaction": "That proposal does not exist",
+  "Already executed": "That proposal was already executed",
+  "Already confirmed": "You already confirmed this proposal",
+  "Not confirmed": "You have not confirmed this proposal",
+  "Not enough confirmations": "This proposal does not have enough confirmations yet",
+}
+
+/**
+ * Error surfaced by lib/ and hooks/ for every wallet and contract operation
+ * `message` is the user-facing message; the original error is kept in `cause`.
+ */
+export class WalletError extends Error {
+  /**
+   * @param {string} kind - One of ERROR_KINDS
+   * @param {string} [message] - Message for the user (defaults to the kind's message)
+   * @param {{ cause?: unknown, retryable?: boolean, reason?: string | null }} [options]
+   */
+  constructor(kind, message = DEFAULT_MESSAGES[kind], { cause, retryable = RETRYABLE_KINDS.has(kind), reason = null } = {}) {
+    super(message)
+    this.name = "WalletError"
+    this.kind = kind
+    this.retryable = retryable
+    this.userMessage = message
+    /** Revert reason or custom error name, for CONTRACT_REVERT */
+    this.reason = reason
+    this.cause = cause
+  }
+}
+
+/**
+ * Whether an error is a WalletError, optionally of the given kind
+ * @param {unknown} error
+ * @param {string} [kind] - One of ERROR_KINDS
+ * @returns {error is WalletError}
+ */
+export function isWalletError(error, kind) {
+  return error instanceof WalletError && (kind === undefined || error.kind === kind)
+}
+
+/**
+ * Whether an error means the RPC rate limited us (-32005 / HTTP 429)
+ */
+export function isRateLimitError(error) {
+  return (
+    error?.kind === ERROR_KINDS.RATE_LIMITED ||
+    error?.code === -32005 ||
+    error?.data?.httpStatus === 429 ||
+    error?.response?.statusCode === 429 ||
+    error?.info?.error?.code === -32005
+  )
+}
+
+const walletInterface = new Interface([
+  ...contractABI.filter((item) => item.type === "error"),
+  ...multisigABI.filter((item) => item.type === "error"),
+])
+
+/**
+ * Decode the revert reason of a failed call, simulation or transaction
+ * Returns the require() message, or the name of a custom Solidity error.
+ * @param {any} error - Error thrown by ethers or the wallet
+ * @returns {string | null}
+ */
+export function getRevertReason(error) {
+  if (error?.reason) return error.reason
+  if (error?.revert) {
+    return error.revert.name === "Error" ? String(error.revert.args[0]) : error.revert.name
+  }
+
+  // Wallets and some RPCs only return the raw revert data
+  const data = error?.data ?? error?.info?.error?.data ?? error?.error?.data
+  const raw = typeof data === "string" ? data : data?.data
+  if (typeof raw === "string" && raw.startsWith("0x") && raw.length > 10) {
+    try {
+      const parsed = walletInterface.parseError(raw)
+      if (parsed) return parsed.name === "Error" ? String(parsed.args[0]) : parsed.name
+    } catch {}
+  }
+  return null
+}
+
+/**
+ * EIP-1193 / JSON-RPC code of an error, wherever ethers or the wallet nested it
+ */
+function getProviderCode(error) {
+  for (const candidate of [error, error?.info?.error, error?.error, error?.cause]) {
+    if (typeof candidate?.code === "number") return candidate.code
+  }
+  return null
+}
+
+/**
+ * Friendly messages for Ledger Ethereum app status words
+ */
+const LEDGER_STATUS_MESSAGES = {
+  0x5515: "Please unlock your Ledger",
+  0x6511: "Please open the Ethereum app on your Ledger",
+  0x6d00: "Please open the Ethereum app on your Ledger",
+  0x6e00: "Please open the Ethereum app on your Ledger",
+  0x6a80: "Please enable Blind signing in the Ethereum app settings on your Ledger",
+  0x6a83: "Please enable Blind signing in the Ethereum app settings on your Ledger",
+}
+
+/**
+ * Classify any error thrown by ethers, the wallet (MetaMask, WalletConnect, Ledger), the RPC or this app into a WalletError
+ * @param {unknown} error
+ * @param {string} [fallbackMessage] - Message for errors that cannot be classified
+ * @returns {WalletError}
+ */
+export function toWalletError(error, fallbackMessage = DEFAULT_MESSAGES[ERROR_KINDS.UNKNOWN]) {
+  if (error instanceof WalletError) return error
+  const err = /** @type {any} */ (error)
+  const options = { cause: error }
+
+  if (isRateLimitError(err)) {
+    return new WalletError(ERROR_KINDS.RATE_LIMITED, undefined, options)
+  }
+
+  // EIP-1193 provider errors
+  const code = getProviderCode(err)
+  if (isError(err, "ACTION_REJECTED") || code === 4001) {
+    return new WalletError(ERROR_KINDS.USER_REJECTED, undefined, options)
+  }
+  if (code === -32002) {
+    return new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "MetaMask already has a pending request. Please open MetaMask to continue.", options)
+  }
+  if (code === 4100) {
+    return new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Please connect this account in MetaMask", options)
+  }
+  if (code === 4900 || code === 4901) {
+    return new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "MetaMask is disconnected from the network", options)
+  }
+  if (code === 4902) {
+    return new WalletError(ERROR_KINDS.WRONG_NETWORK, "This network has not been added to MetaMask", options)
+  }
+  // Ledger (WebHID transport and Ethereum app)
+  if (err?.statusCode === 0x6985 || err?.name === "TransportOpenUserCancelled") {
+    return new WalletError(ERROR_KINDS.USER_REJECTED, undefined, options)
+  }
+  if (LEDGER_STATUS_MESSAGES[err?.statusCode]) {
+    return new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, LEDGER_STATUS_MESSAGES[err.statusCode], options)
+  }
+  if (err?.name === "TransportInterfaceNotAvailable" || err?.name === "DisconnectedDevice" || err?.name === "DisconnectedDeviceDuringOperation") {
+    return new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE, "Please connect your Ledger and try again", options)
+  }
+  if (isError(err, "NETWORK_ERROR")) {
+    return new WalletError(ERROR_KINDS.WRONG_NETWORK, "The network changed. Please try again.", options)
+  }
+
+  if (isError(err, "INSUFFICIENT_FUNDS") || /insufficient funds/i.test(err?.message ?? "")) {
+    return new WalletError(ERROR_KINDS.INSUFFICIENT_FUNDS, undefined, options)
+  }
+
+  // Reverts (simulations report the reason; mined reverts may not have one)
+  const reason = getRevertReason(err)
+  if (reason || isError(err, "CALL_EXCEPTION")) {
+    const message = reason
+      ? REVERT_MESSAGES[reason] ?? `Transaction would fail: ${reason}`
+      : DEFAULT_MESSAGES[ERROR_KINDS.CONTRACT_REVERT]
+    return new WalletError(ERROR_KINDS.CONTRACT_REVERT, message, { ...options, reason })
+  }
+
+  if (isError(err, "INVALID_ARGUMENT") || isError(err, "NUMERIC_FAULT")) {
+    return new WalletError(ERROR_KINDS.INVALID_INPUT, undefined, options)
+  }
+  if (isError(err, "UNSUPPORTED_OPERATION") && err.operation === "getEnsAddress") {
+    return new WalletError(ERROR_KINDS.INVALID_INPUT, "Please enter a 0x address", options)
+  }
+  if (isError(err, "TIMEOUT") || isError(err, "SERVER_ERROR") || (err?.name === "TypeError" && /fetch/i.test(err?.message ?? ""))) {
+    return new WalletError(ERROR_KINDS.NETWORK, undefined, options)
+  }
+
+  return new WalletError(ERROR_KINDS.UNKNOWN, err?.shortMessage || err?.message || fallbackMessage, options)
+}
@@ -1,34 +1,149 @@
-import { JsonRpcProvider } from "ethers"
+/**
+ * Primary RPC URL followed by the comma-separated backup URLs of an env var
+ */
+function withBackupRpcUrls(primary, backups) {
+  return [primary, ...(backups || "").split(",").map((url) => url.trim()).filter(Boolean)]
+}
 
 /**
- * Flare Coston2 Testnet Configuration
+ * Supported networks
+ * `contractAddress` is the SimpleFlareWallet instance used on that network (null if none is deployed)
+ * `rpcUrls` are tried in order by the shared provider in lib/rpc.js (later entries are backups)
+ * `wsUrl` is used for live updates in lib/live.js (null = poll over HTTP)
+ * `priceFeeds` are the FTSO pairs read by lib/prices.js; `nativePriceFeed` values the native currency
  */
-export const FLARE_NETWORK = {
-  chainId: 114,
-  name: "Flare Coston2",
-  currency: "FLR",
-  rpcUrl: "https://coston2-api.flare.network/ext/C/rpc",
+export const NETWORKS = {
+  flare: {
+    key: "flare",
+    chainId: 14,
+    name: "Flare Mainnet",
+    currency: "FLR",
+    rpcUrls: withBackupRpcUrls("https://flare-api.flare.network/ext/C/rpc", process.env.NEXT_PUBLIC_FLARE_BACKUP_RPC_URLS),
+    wsUrl: process.env.NEXT_PUBLIC_FLARE_WS_URL || "wss://flare-api.flare.network/ext/bc/C/ws",
+    explorerUrl: "https://flare-explorer.flare.network",
+    contractAddress: process.env.NEXT_PUBLIC_FLARE_CONTRACT_ADDRESS || null,
+    nativePriceFeed: "FLR/USD",
+    priceFeeds: ["FLR/USD", "XRP/USD", "BTC/USD", "ETH/USD"],
+  },
+  songbird: {
+    key: "songbird",
+    chainId: 19,
+    name: "Songbird",
+    currency: "SGB",
+    rpcUrls: withBackupRpcUrls("https://songbird-api.flare.network/ext/C/rpc", process.env.NEXT_PUBLIC_SONGBIRD_BACKUP_RPC_URLS),
+    wsUrl: process.env.NEXT_PUBLIC_SONGBIRD_WS_URL || "wss://songbird-api.flare.network/ext/bc/C/ws",
+    explorerUrl: "https://songbird-explorer.flare.network",
+    contractAddress: process.env.NEXT_PUBLIC_SONGBIRD_CONTRACT_ADDRESS || null,
+    nativePriceFeed: "SGB/USD",
+    priceFeeds: ["SGB/USD", "XRP/USD", "BTC/USD", "ETH/USD"],
+  },
+  coston: {
+    key: "coston",
+    chainId: 16,
+    name: "Flare Coston",
+    currency: "CFLR",
+    rpcUrls: withBackupRpcUrls("https://coston-api.flare.network/ext/C/rpc", process.env.NEXT_PUBLIC_COSTON_BACKUP_RPC_URLS),
+    wsUrl: process.env.NEXT_PUBLIC_COSTON_WS_URL || "wss://coston-api.flare.network/ext/bc/C/ws",
+    explorerUrl: "https://coston-explorer.flare.network",
+    contractAddress: process.env.NEXT_PUBLIC_COSTON_CONTRACT_ADDRESS || null,
+    nativePriceFeed: "SGB/USD",
+    priceFeeds: ["SGB/USD", "XRP/USD", "BTC/USD"],
+  },
+  coston2: {
+    key: "coston2",
+    chainId: 114,
+    name: "Flare Coston2",
+    currency: "FLR",
+    rpcUrls: withBackupRpcUrls("https://coston2-api.flare.network/ext/C/rpc", process.env.NEXT_PUBLIC_COSTON2_BACKUP_RPC_URLS),
+    wsUrl: process.env.NEXT_PUBLIC_COSTON2_WS_URL || "wss://coston2-api.flare.network/ext/bc/C/ws",
+    explorerUrl: "https://coston2-explorer.flare.network",
+    contractAddress: process.env.NEXT_PUBLIC_COSTON2_CONTRACT_ADDRESS || "0x735E060B08aB94905D50de4760c8f53594cc07F9",
+    nativePriceFeed: "FLR/USD",
+    priceFeeds: ["FLR/USD", "XRP/USD", "BTC/USD", "ETH/USD"],
+  },
+  local: {
+    key: "local",
+    chainId: 31337,
+    name: "Local Node",
+    currency: "ETH",
+    rpcUrls: [process.env.NEXT_PUBLIC_LOCAL_RPC_URL || "http://127.0.0.1:8545"],
+    wsUrl: process.env.NEXT_PUBLIC_LOCAL_WS_URL || null,
+    explorerUrl: null,
+    contractAddress: process.env.NEXT_PUBLIC_LOCAL_CONTRACT_ADDRESS || null,
+    nativePriceFeed: "FLR/USD",
+    priceFeeds: ["FLR/USD"],
+    // No Flare contract registry on a local node: point at a mock FtsoV2 deployment,
+    // or use fixed prices, e.g. "FLR/USD=0.02,XRP/USD=0.5"
+    ftsoAddress: process.env.NEXT_PUBLIC_LOCAL_FTSO_ADDRESS || null,
+    mockPrices: process.env.NEXT_PUBLIC_LOCAL_MOCK_PRICES || null,
+  },
 }
 
+export const DEFAULT_NETWORK_KEY = "coston2"
+
+const STORAGE_KEY = "flare_network"
+
+let selectedKey = null
+const listeners = new Set()
+
 /**
- * Creates and returns a JSON-RPC provider for Flare Coston2
+ * Get the key of the currently selected network (persisted in localStorage)
  */
-export function getFlareProvider() {
-  return new JsonRpcProvider(FLARE_NETWORK.rpcUrl)
+export function getSelectedNetworkKey() {
+  if (selectedKey) return selectedKey
+  selectedKey = DEFAULT_NETWORK_KEY
+  try {
+    const stored = typeof window !== "undefined" ? localStorage.getItem(STORAGE_KEY) : null
+    if (stored && NETWORKS[stored]) selectedKey = stored
+  } catch {}
+  return selectedKey
 }
 
 /**
- * Network configuration for MetaMask
+ * Get the currently selected network entry
  */
-export const FLARE_METAMASK_CONFIG = {
-  chainId: `0x${FLARE_NETWORK.chainId.toString(16)}`,
-  chainName: FLARE_NETWORK.name,
-  nativeCurrency: {
-    name: FLARE_NETWORK.currency,
-    symbol: FLARE_NETWORK.currency,
-    decimals: 18,
-  },
-  rpcUrls: [FLARE_NETWORK.rpcUrl],
-  blockExplorerUrls: ["https://coston2-explorer.flare.network"],
+export function getFlareNetwork() {
+  return NETWORKS[getSelectedNetworkKey()]
 }
 
+/**
+ * Select the active network and notify subscribers
+ * @param {string} key - Key in NETWORKS
+ */
+export function setSelectedNetwork(key) {
+  if (!NETWORKS[key]) {
+    throw new Error(`Unknown network: ${key}`)
+  }
+  if (key === getSelectedNetworkKey()) return
+  selectedKey = key
+  try {
+    localStorage.setItem(STORAGE_KEY, key)
+  } catch {}
+  listeners.forEach((listener) => listener(key))
+}
+
+/**
+ * Subscribe to network selection changes
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeNetwork(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Network configuration for MetaMask (wallet_addEthereumChain params)
+ */
+export function getFlareMetaMaskConfig(network = getFlareNetwork()) {
+  return {
+    chainId: `0x${network.chainId.toString(16)}`,
+    chainName: network.name,
+    nativeCurrency: {
+      name: network.currency,
+      symbol: network.currency,
+      decimals: 18,
+    },
+    rpcUrls: network.rpcUrls,
+    blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : null,
+  }
+}
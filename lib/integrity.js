@@ -0,0 +1,75 @@
+import { getContractAddress } from "./contract"
+import { getCode } from "./rpc"
+import contractInfo from "../artifacts/contract-info.json"
+import multisigInfo from "../artifacts/multisig-info.json"
+
+/**
+ * Result of comparing a contract's on-chain code with the compiled artifacts
+ */
+export const INTEGRITY_STATUS = {
+  /** Runtime code matches contracts/ (apart from the metadata hash) */
+  VERIFIED: "verified",
+  /** Code is deployed but was not compiled from contracts/ with the pinned settings */
+  MISMATCH: "mismatch",
+  NOT_DEPLOYED: "notDeployed",
+}
+
+/**
+ * Locally compiled contracts a wallet address may run (see scripts/compile-contract.js)
+ */
+const ARTIFACTS = [contractInfo, multisigInfo]
+
+/**
+ * Runtime bytecode without the CBOR metadata solc appends
+ * The metadata embeds a hash of the sources including comments and whitespace, so it
+ * differs between otherwise identical builds; its length is in the last two bytes.
+ * @param {string} bytecode - 0x-prefixed runtime bytecode
+ * @returns {string} Lowercase hex without 0x
+ */
+export function stripMetadata(bytecode) {
+  const hex = bytecode.replace(/^0x/, "").toLowerCase()
+  if (hex.length < 4) return hex
+  const metadataLength = (parseInt(hex.slice(-4), 16) + 2) * 2
+  return metadataLength < hex.length ? hex.slice(0, -metadataLength) : hex
+}
+
+/**
+ * Replace the bytes of immutables, which are set per deployment, with zeros
+ * @param {string} hex - Runtime bytecode without 0x
+ * @param {Record<string, { start: number, length: number }[]>} [immutableReferences]
+ */
+function maskImmutables(hex, immutableReferences = {}) {
+  let masked = hex
+  for (const { start, length } of Object.values(immutableReferences).flat()) {
+    masked = masked.slice(0, start * 2) + "0".repeat(length * 2) + masked.slice((start + length) * 2)
+  }
+  return masked
+}
+
+/**
+ * @typedef {Object} IntegrityResult
+ * @property {string} status - One of INTEGRITY_STATUS
+ * @property {string | null} contractName - Matching contract (null unless verified)
+ * @property {string | null} compilerVersion - solc version of the matching artifact
+ */
+
+/**
+ * Compare the runtime code at an address with the locally compiled wallet contracts
+ * @param {string} [contractAddress] - Wallet contract (defaults to the network's contract)
+ * @returns {Promise<IntegrityResult>}
+ */
+export async function checkContractIntegrity(contractAddress = getContractAddress()) {
+  const code = await getCode(contractAddress)
+  if (code === "0x") {
+    return { status: INTEGRITY_STATUS.NOT_DEPLOYED, contractName: null, compilerVersion: null }
+  }
+
+  const onChain = stripMetadata(code)
+  for (const artifact of ARTIFACTS) {
+    const expected = maskImmutables(stripMetadata(artifact.deployedBytecode), artifact.immutableReferences)
+    if (maskImmutables(onChain, artifact.immutableReferences) === expected) {
+      return { status: INTEGRITY_STATUS.VERIFIED, contractName: artifact.contractName, compilerVersion: artifact.compiler.version }
+    }
+  }
+  return { status: INTEGRITY_STATUS.MISMATCH, contractName: null, compilerVersion: null }
+}
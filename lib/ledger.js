@@ -0,0 +1,156 @@
+import { AbstractSigner, Signature, Transaction, TypedDataEncoder, getAddress, hexlify, resolveAddress, toUtf8Bytes } from "ethers"
+
+/**
+ * Derivation path of the first Ledger Live Ethereum account
+ */
+export const DEFAULT_LEDGER_PATH = "44'/60'/0'/0/0"
+
+/**
+ * Hex string without the 0x prefix, as the Ledger Ethereum app expects
+ */
+function stripHexPrefix(hex) {
+  return hex.startsWith("0x") ? hex.slice(2) : hex
+}
+
+/**
+ * Signature returned by the Ledger Ethereum app ({ v, r, s } as hex strings or numbers)
+ */
+function toSignature({ v, r, s }) {
+  return Signature.from({
+    r: `0x${r}`,
+    s: `0x${s}`,
+    v: typeof v === "string" ? parseInt(v, 16) : v,
+  })
+}
+
+/**
+ * ethers v6 signer backed by a Ledger device over WebHID
+ * Reads and broadcasts go through `provider` (the shared RPC provider of the selected
+ * network), so it plugs into every helper that takes a MetaMask signer.
+ */
+export class LedgerSigner extends AbstractSigner {
+  /**
+   * @param {import('@ledgerhq/hw-transport').default} transport - Open WebHID transport
+   * @param {string} path - BIP-32 derivation path
+   * @param {import('ethers').Provider | null} [provider]
+   * @param {string} [address] - Address of `path`, if already known
+   */
+  constructor(transport, path, provider = null, address = undefined) {
+    super(provider)
+    this.transport = transport
+    this.path = path
+    this.address = address
+    this.eth = null
+  }
+
+  /**
+   * Ethereum app client, loaded on first use so the Ledger SDK stays out of the main bundle
+   */
+  async getApp() {
+    if (!this.eth) {
+      const { default: Eth } = await import("@ledgerhq/hw-app-eth")
+      this.eth = new Eth(this.transport)
+    }
+    return this.eth
+  }
+
+  connect(provider) {
+    return new LedgerSigner(this.transport, this.path, provider, this.address)
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const eth = await this.getApp()
+      const { address } = await eth.getAddress(this.path)
+      this.address = getAddress(address)
+    }
+    return this.address
+  }
+
+  async signTransaction(tx) {
+    const to = tx.to ? await resolveAddress(tx.to, this.provider) : null
+    const unsigned = Transaction.from({ ...tx, to, from: undefined })
+
+    // Flare contracts are not in Ledger's clear-signing registry, so no resolution is passed
+    // and the device shows the raw call data (requires "Blind signing" in the Ethereum app)
+    const eth = await this.getApp()
+    const signature = await eth.signTransaction(this.path, stripHexPrefix(unsigned.unsignedSerialized), null)
+
+    unsigned.signature = toSignature(signature)
+    return unsigned.serialized
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === "string" ? toUtf8Bytes(message) : message
+    const eth = await this.getApp()
+    const signature = await eth.signPersonalMessage(this.path, stripHexPrefix(hexlify(bytes)))
+    return toSignature(signature).serialized
+  }
+
+  async signTypedData(domain, types, value) {
+    // Resolve ENS names first, like the other ethers signers
+    const populated = await TypedDataEncoder.resolveNames(domain, types, value, (name) => resolveAddress(name, this.provider))
+    const eth = await this.getApp()
+    const signature = await eth.signEIP712HashedMessage(
+      this.path,
+      stripHexPrefix(TypedDataEncoder.hashDomain(populated.domain)),
+      stripHexPrefix(TypedDataEncoder.from(types).hash(populated.value))
+    )
+    return toSignature(signature).serialized
+  }
+
+  /**
+   * Close the WebHID connection
+   */
+  async close() {
+    await this.transport.close()
+  }
+}
+
+/**
+ * Whether the browser can talk to a Ledger (WebHID: Chrome, Edge, Brave, Opera)
+ */
+export function isLedgerSupported() {
+  return typeof navigator !== "undefined" && "hid" in navigator
+}
+
+/**
+ * Ask the user to pick their Ledger and read the account at `path`
+ * Must be called from a user gesture the first time (WebHID permission prompt).
+ * @param {import('ethers').Provider} provider - Provider used for reads and broadcasting
+ * @param {string} [path]
+ * @returns {Promise<LedgerSigner>}
+ */
+export async function connectLedger(provider, path = DEFAULT_LEDGER_PATH) {
+  const { default: TransportWebHID } = await import("@ledgerhq/hw-transport-webhid")
+  const transport = await TransportWebHID.create()
+  const signer = new LedgerSigner(transport, path, provider)
+  try {
+    await signer.getAddress()
+  } catch (error) {
+    await transport.close()
+    throw error
+  }
+  return signer
+}
+
+/**
+ * Reopen a Ledger the user already granted access to, without prompting
+ * @param {import('ethers').Provider} provider
+ * @param {string} [path]
+ * @returns {Promise<LedgerSigner | null>} null when no permitted Ledger is plugged in
+ */
+export async function reconnectLedger(provider, path = DEFAULT_LEDGER_PATH) {
+  const { default: TransportWebHID } = await import("@ledgerhq/hw-transport-webhid")
+  const transport = await TransportWebHID.openConnected()
+  if (!transport) return null
+  const signer = new LedgerSigner(transport, path, provider)
+  try {
+    await signer.getAddress()
+  } catch {
+    // Locked or the Ethereum app is not open; the user can connect again manually
+    await transport.close()
+    return null
+  }
+  return signer
+}
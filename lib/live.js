@@ -0,0 +1,387 @@
+import { WebSocketProvider } from "ethers"
+import { getFlareNetwork } from "./flare"
+import { getProvider } from "./rpc"
+
+/**
+ * How often to ask for the latest block when no WebSocket is available
+ */
+const BLOCK_POLL_INTERVAL = 5000
+
+/**
+ * Minimum time between two update passes (WebSocket block events arrive every ~2s on Flare)
+ */
+const MIN_UPDATE_INTERVAL = 5000
+
+/**
+ * Maximum block span per eth_getLogs request (Flare public RPCs reject larger ranges)
+ */
+const LOG_BLOCK_RANGE = 30
+
+/**
+ * Blocks missed (e.g. while the tab was hidden) beyond which listeners are told
+ * to resync instead of scanning every range
+ */
+const MAX_CATCHUP_BLOCKS = LOG_BLOCK_RANGE * 10
+
+/**
+ * Delay used to coalesce the logs of one transaction pushed over WebSocket
+ */
+const WS_LOG_DEBOUNCE = 250
+
+/**
+ * @callback ContractEventsListener
+ * @param {import('ethers').Log[] | null} logs - New logs of the contract, or null when
+ * logs may have been missed and the listener should reload everything
+ */
+
+/**
+ * @callback BalanceListener
+ * @param {bigint} balance - Native balance in wei
+ */
+
+/**
+ * @callback BlockListener
+ * @param {number} blockNumber - Newest block processed
+ */
+
+/**
+ * Per-network watcher state
+ * @typedef {Object} Watcher
+ * @property {Object} network - Entry in NETWORKS
+ * @property {Map<string, Set<ContractEventsListener>>} logListeners - Keyed by lowercased address
+ * @property {Map<string, Set<BalanceListener>>} balanceListeners - Keyed by lowercased address
+ * @property {Set<BlockListener>} blockListeners
+ * @property {Map<string, bigint>} balances - Last balance reported per address
+ * @property {number | null} lastBlock - Last block whose logs were delivered
+ * @property {number | null} pendingBlock - Newest block seen but not processed yet
+ * @property {number} lastUpdate - Time of the last update pass
+ * @property {boolean} updating
+ * @property {ReturnType<typeof setInterval> | null} pollTimer
+ * @property {ReturnType<typeof setTimeout> | null} updateTimer
+ * @property {WebSocketProvider | null} ws
+ * @property {Map<string, (log: import('ethers').Log) => void>} wsLogHandlers
+ * @property {boolean} running
+ */
+
+/** @type {Map<string, Watcher>} */
+const watchers = new Map()
+
+function isHidden() {
+  return typeof document !== "undefined" && document.hidden
+}
+
+function getWatcher(network) {
+  let watcher = watchers.get(network.key)
+  if (!watcher) {
+    watcher = {
+      network,
+      logListeners: new Map(),
+      balanceListeners: new Map(),
+      blockListeners: new Set(),
+      balances: new Map(),
+      lastBlock: null,
+      pendingBlock: null,
+      lastUpdate: 0,
+      updating: false,
+      pollTimer: null,
+      updateTimer: null,
+      ws: null,
+      wsLogHandlers: new Map(),
+      running: false,
+    }
+    watchers.set(network.key, watcher)
+  }
+  return watcher
+}
+
+function hasListeners(watcher) {
+  return watcher.logListeners.size > 0 || watcher.balanceListeners.size > 0 || watcher.blockListeners.size > 0
+}
+
+/**
+ * Deliver logs to the listeners of their contract
+ */
+function emitLogs(watcher, logs) {
+  const byAddress = new Map()
+  for (const log of logs) {
+    const key = log.address.toLowerCase()
+    if (!byAddress.has(key)) byAddress.set(key, [])
+    byAddress.get(key).push(log)
+  }
+  byAddress.forEach((addressLogs, key) => {
+    watcher.logListeners.get(key)?.forEach((listener) => listener(addressLogs))
+  })
+}
+
+/**
+ * Fetch logs of all watched contracts over a block range, in chunks
+ */
+async function scanLogs(watcher, fromBlock, toBlock) {
+  const addresses = Array.from(watcher.logListeners.keys())
+  if (addresses.length === 0 || fromBlock > toBlock) return
+
+  if (toBlock - fromBlock + 1 > MAX_CATCHUP_BLOCKS) {
+    watcher.logListeners.forEach((listeners) => listeners.forEach((listener) => listener(null)))
+    return
+  }
+
+  const provider = getProvider(watcher.network)
+  const ranges = []
+  for (let start = fromBlock; start <= toBlock; start += LOG_BLOCK_RANGE) {
+    ranges.push({ fromBlock: start, toBlock: Math.min(toBlock, start + LOG_BLOCK_RANGE - 1) })
+  }
+  const results = await Promise.all(ranges.map((range) => provider.getLogs({ address: addresses, ...range })))
+  const logs = results.flat()
+  if (logs.length > 0) emitLogs(watcher, logs)
+}
+
+/**
+ * Re-read watched balances at a block and report the ones that changed
+ */
+async function checkBalances(watcher, blockNumber) {
+  const provider = getProvider(watcher.network)
+  const addresses = Array.from(watcher.balanceListeners.keys())
+  const balances = await Promise.all(addresses.map((address) => provider.getBalance(address, blockNumber)))
+  addresses.forEach((address, i) => {
+    if (watcher.balances.get(address) === balances[i]) return
+    watcher.balances.set(address, balances[i])
+    watcher.balanceListeners.get(address)?.forEach((listener) => listener(balances[i]))
+  })
+}
+
+/**
+ * Process the newest known block: deliver logs since the last pass (unless they
+ * arrive over WebSocket) and report changed balances. Runs at most once per
+ * MIN_UPDATE_INTERVAL; blocks arriving in between are coalesced.
+ */
+async function update(watcher) {
+  if (watcher.updating || watcher.pendingBlock === null || !watcher.running) return
+
+  const wait = watcher.lastUpdate + MIN_UPDATE_INTERVAL - Date.now()
+  if (wait > 0) {
+    if (!watcher.updateTimer) {
+      watcher.updateTimer = setTimeout(() => {
+        watcher.updateTimer = null
+        update(watcher)
+      }, wait)
+    }
+    return
+  }
+
+  const blockNumber = watcher.pendingBlock
+  watcher.pendingBlock = null
+  watcher.updating = true
+  watcher.lastUpdate = Date.now()
+  try {
+    const fromBlock = watcher.lastBlock === null ? blockNumber + 1 : watcher.lastBlock + 1
+    await Promise.all([
+      watcher.ws ? Promise.resolve() : scanLogs(watcher, fromBlock, blockNumber),
+      checkBalances(watcher, blockNumber),
+    ])
+    watcher.lastBlock = blockNumber
+    watcher.blockListeners.forEach((listener) => listener(blockNumber))
+  } catch (error) {
+    // Retry the same range on the next block
+    watcher.pendingBlock = Math.max(watcher.pendingBlock ?? 0, blockNumber)
+    console.warn("Live update failed, will retry on the next block:", error)
+  } finally {
+    watcher.updating = false
+  }
+
+  if (watcher.pendingBlock !== null) update(watcher)
+}
+
+function onBlock(watcher, blockNumber) {
+  if (watcher.lastBlock !== null && blockNumber <= watcher.lastBlock) return
+  watcher.pendingBlock = Math.max(watcher.pendingBlock ?? 0, blockNumber)
+  update(watcher)
+}
+
+/**
+ * Subscribe a contract's logs on the WebSocket provider
+ */
+function addWsLogHandler(watcher, address) {
+  let buffered = []
+  let timer = null
+  const handler = (log) => {
+    buffered.push(log)
+    if (timer) return
+    timer = setTimeout(() => {
+      const logs = buffered
+      buffered = []
+      timer = null
+      emitLogs(watcher, logs)
+    }, WS_LOG_DEBOUNCE)
+  }
+  watcher.wsLogHandlers.set(address, handler)
+  watcher.ws?.on({ address }, handler)
+}
+
+function startPolling(watcher) {
+  const poll = async () => {
+    try {
+      onBlock(watcher, await getProvider(watcher.network).getBlockNumber())
+    } catch (error) {
+      console.warn("Failed to poll latest block:", error)
+    }
+  }
+  poll()
+  watcher.pollTimer = setInterval(poll, BLOCK_POLL_INTERVAL)
+}
+
+function startWebSocket(watcher) {
+  const ws = new WebSocketProvider(watcher.network.wsUrl, watcher.network.chainId)
+  watcher.ws = ws
+
+  // Fall back to polling when the socket fails
+  const fallBack = () => {
+    if (watcher.ws !== ws) return
+    console.warn(`WebSocket to ${watcher.network.wsUrl} closed, falling back to polling`)
+    stopWebSocket(watcher)
+    if (watcher.running) startPolling(watcher)
+  }
+  ws.websocket.onerror = fallBack
+  ws.websocket.onclose = fallBack
+
+  ws.on("block", (blockNumber) => onBlock(watcher, blockNumber))
+  watcher.logListeners.forEach((_, address) => addWsLogHandler(watcher, address))
+}
+
+function stopWebSocket(watcher) {
+  const ws = watcher.ws
+  if (!ws) return
+  watcher.ws = null
+  watcher.wsLogHandlers.clear()
+  ws.destroy().catch(() => {})
+}
+
+async function start(watcher) {
+  if (watcher.running || isHidden() || !hasListeners(watcher)) return
+  watcher.running = true
+
+  // Catch up on anything missed while stopped before switching to push updates
+  try {
+    onBlock(watcher, await getProvider(watcher.network).getBlockNumber())
+  } catch (error) {
+    console.warn("Failed to get latest block:", error)
+  }
+  if (!watcher.running) return
+
+  if (watcher.network.wsUrl) {
+    try {
+      startWebSocket(watcher)
+      return
+    } catch (error) {
+      console.warn("WebSocket unavailable, falling back to polling:", error)
+      stopWebSocket(watcher)
+    }
+  }
+  startPolling(watcher)
+}
+
+function stop(watcher) {
+  watcher.running = false
+  if (watcher.pollTimer) clearInterval(watcher.pollTimer)
+  if (watcher.updateTimer) clearTimeout(watcher.updateTimer)
+  watcher.pollTimer = null
+  watcher.updateTimer = null
+  watcher.pendingBlock = null
+  stopWebSocket(watcher)
+}
+
+// Pause every watcher while the tab is hidden
+if (typeof document !== "undefined") {
+  document.addEventListener("visibilitychange", () => {
+    watchers.forEach((watcher) => (document.hidden ? stop(watcher) : start(watcher)))
+  })
+}
+
+/**
+ * Add a listener to one of a watcher's listener maps
+ * @returns {() => void} Unsubscribe function
+ */
+function addListener(watcher, map, address, listener) {
+  const key = address.toLowerCase()
+  const isNew = !map.has(key)
+  if (isNew) map.set(key, new Set())
+  map.get(key).add(listener)
+  start(watcher)
+
+  return () => {
+    const listeners = map.get(key)
+    listeners?.delete(listener)
+    if (listeners?.size === 0) {
+      map.delete(key)
+      if (map === watcher.balanceListeners) watcher.balances.delete(key)
+      if (map === watcher.logListeners && watcher.wsLogHandlers.has(key)) {
+        watcher.ws?.off({ address: key }, watcher.wsLogHandlers.get(key))
+        watcher.wsLogHandlers.delete(key)
+      }
+    }
+    if (!hasListeners(watcher)) stop(watcher)
+  }
+}
+
+/**
+ * Subscribe to new logs emitted by a contract
+ * Logs arrive over WebSocket where the network has a `wsUrl`, otherwise by
+ * scanning eth_getLogs over the blocks mined since the last pass.
+ * @param {string} address - Contract address
+ * @param {ContractEventsListener} listener
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeContractEvents(address, listener, network = getFlareNetwork()) {
+  const watcher = getWatcher(network)
+  const key = address.toLowerCase()
+  const isNew = !watcher.logListeners.has(key)
+  const unsubscribe = addListener(watcher, watcher.logListeners, address, listener)
+  if (isNew && watcher.ws) addWsLogHandler(watcher, key)
+  return unsubscribe
+}
+
+/**
+ * Subscribe to changes of an address's native balance
+ * The listener is called with the current balance first, then only when it changes.
+ * @param {string} address - Account or contract address
+ * @param {BalanceListener} listener
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeBalance(address, listener, network = getFlareNetwork()) {
+  const watcher = getWatcher(network)
+  const key = address.toLowerCase()
+  const known = watcher.balances.get(key)
+  const unsubscribe = addListener(watcher, watcher.balanceListeners, address, listener)
+
+  if (known !== undefined) {
+    listener(known)
+  } else {
+    getProvider(network)
+      .getBalance(address)
+      .then((balance) => {
+        if (!watcher.balanceListeners.get(key)?.has(listener)) return
+        watcher.balances.set(key, balance)
+        listener(balance)
+      })
+      .catch((error) => console.warn("Failed to get balance:", error))
+  }
+  return unsubscribe
+}
+
+/**
+ * Subscribe to new blocks (coalesced like every other update, at most one call per pass)
+ * @param {BlockListener} listener
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeBlocks(listener, network = getFlareNetwork()) {
+  const watcher = getWatcher(network)
+  watcher.blockListeners.add(listener)
+  start(watcher)
+
+  return () => {
+    watcher.blockListeners.delete(listener)
+    if (!hasListeners(watcher)) stop(watcher)
+  }
+}
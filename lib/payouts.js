@@ -0,0 +1,77 @@
+import { formatEther, getAddress, isAddress, parseEther } from "ethers"
+
+/**
+ * Maximum recipients per batch (MAX_BATCH_SIZE in contracts/contract.sol)
+ */
+export const MAX_BATCH_SIZE = 100
+
+/**
+ * @typedef {Object} Payout
+ * @property {number} line - Line number in the CSV (1-based)
+ * @property {string} to - Checksummed recipient address
+ * @property {string} amount - Amount in FLR, as entered
+ */
+
+/**
+ * @typedef {Object} PayoutBatch
+ * @property {Payout[]} payouts - Valid rows
+ * @property {{ line: number, message: string }[]} errors - Rows that cannot be paid
+ * @property {string} total - Sum of the valid rows in FLR
+ */
+
+/**
+ * Parse a payout CSV with one `address,amount` row per recipient
+ * A header row, blank lines and `#` comments are skipped. Mixed-case addresses must
+ * have a valid EIP-55 checksum; all-lowercase addresses are accepted and checksummed.
+ * @param {string} text - CSV contents
+ * @param {string} [contractBalance] - Wallet balance in FLR to check the total against
+ * @returns {PayoutBatch}
+ */
+export function parsePayoutCsv(text, contractBalance) {
+  const payouts = []
+  const errors = []
+  let total = 0n
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1
+    const row = raw.trim()
+    if (!row || row.startsWith("#")) return
+
+    const [address = "", amount = "", ...rest] = row.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ""))
+    if (line === 1 && !address.startsWith("0x")) return // header
+
+    if (rest.some(Boolean)) {
+      errors.push({ line, message: "Expected two columns: address,amount" })
+      return
+    }
+    if (!isAddress(address)) {
+      const badChecksum = /^0x[0-9a-fA-F]{40}$/.test(address)
+      errors.push({ line, message: badChecksum ? `Invalid address checksum: ${address}` : `Invalid address: ${address}` })
+      return
+    }
+
+    let wei
+    try {
+      wei = parseEther(amount)
+    } catch {
+      errors.push({ line, message: `Invalid amount: ${amount}` })
+      return
+    }
+    if (wei <= 0n) {
+      errors.push({ line, message: "Amount must be greater than zero" })
+      return
+    }
+
+    payouts.push({ line, to: getAddress(address), amount })
+    total += wei
+  })
+
+  if (payouts.length > MAX_BATCH_SIZE) {
+    errors.push({ line: payouts[MAX_BATCH_SIZE].line, message: `At most ${MAX_BATCH_SIZE} recipients per batch` })
+  }
+  if (contractBalance !== undefined && total > parseEther(contractBalance)) {
+    errors.push({ line: 0, message: `Total ${formatEther(total)} is above the wallet balance of ${contractBalance}` })
+  }
+
+  return { payouts, errors, total: formatEther(total) }
+}
@@ -0,0 +1,178 @@
+import { Contract, concat, formatUnits, toUtf8Bytes, zeroPadBytes, ZeroAddress } from "ethers"
+import { getFlareNetwork } from "./flare"
+import { getProvider } from "./rpc"
+import { ERROR_KINDS, WalletError } from "./errors"
+
+/**
+ * Flare's on-chain registry of protocol contracts (same address on all Flare networks)
+ */
+const FLARE_CONTRACT_REGISTRY_ADDRESS = "0xaD67FE66660Fb8dFE9d6b1b4240d8650e30F6019"
+
+const FLARE_CONTRACT_REGISTRY_ABI = [
+  "function getContractAddressByName(string _name) view returns (address)",
+]
+
+/**
+ * FtsoV2 reads block-latency feeds published by the FastUpdater
+ */
+const FTSO_V2_ABI = [
+  "function getFeedsById(bytes21[] _feedIds) payable returns (uint256[] _values, int8[] _decimals, uint64 _timestamp)",
+]
+
+/**
+ * How long fetched prices are reused before hitting the chain again
+ */
+export const PRICE_CACHE_TTL = 60_000
+
+/**
+ * @typedef {Object} PriceQuote
+ * @property {string} pair - Feed name, e.g. "FLR/USD"
+ * @property {number} value - Price in the quote currency
+ * @property {number} timestamp - Time the price was published, in milliseconds
+ */
+
+/**
+ * @typedef {Object} PriceFeed
+ * @property {(pairs: string[]) => Promise<PriceQuote[]>} fetchPrices
+ */
+
+/** @type {PriceFeed | null} */
+let feedOverride = null
+
+/** @type {Map<string, PriceQuote & { fetchedAt: number }>} */
+const priceCache = new Map()
+
+/** @type {Map<string, string>} */
+const ftsoAddresses = new Map()
+
+/**
+ * Encode a feed name as an FTSOv2 crypto feed id (category 0x01 + ASCII name, right-padded to 21 bytes)
+ * @param {string} pair - Feed name, e.g. "FLR/USD"
+ */
+export function getFeedId(pair) {
+  return concat(["0x01", zeroPadBytes(toUtf8Bytes(pair), 20)])
+}
+
+/**
+ * Resolve the FtsoV2 contract of a network (explicit `ftsoAddress` or the Flare contract registry)
+ */
+async function getFtsoAddress(network) {
+  if (network.ftsoAddress) return network.ftsoAddress
+  if (ftsoAddresses.has(network.key)) return ftsoAddresses.get(network.key)
+
+  const registry = new Contract(FLARE_CONTRACT_REGISTRY_ADDRESS, FLARE_CONTRACT_REGISTRY_ABI, getProvider(network))
+  const address = await registry.getContractAddressByName("FtsoV2")
+  if (address === ZeroAddress) {
+    throw new WalletError(ERROR_KINDS.NOT_DEPLOYED, `FTSOv2 is not available on ${network.name}`)
+  }
+  ftsoAddresses.set(network.key, address)
+  return address
+}
+
+/**
+ * Price feed reading FtsoV2 on a network
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {PriceFeed}
+ */
+export function createFtsoPriceFeed(network = getFlareNetwork()) {
+  return {
+    async fetchPrices(pairs) {
+      const ftso = new Contract(await getFtsoAddress(network), FTSO_V2_ABI, getProvider(network))
+      // getFeedsById is payable for future fees; read it with eth_call
+      const [values, decimals, timestamp] = await ftso.getFeedsById.staticCall(pairs.map(getFeedId))
+      return pairs.map((pair, i) => ({
+        pair,
+        value: Number(formatUnits(values[i], Number(decimals[i]))),
+        timestamp: Number(timestamp) * 1000,
+      }))
+    },
+  }
+}
+
+/**
+ * Price feed returning fixed prices (local chains and tests)
+ * @param {Record<string, number> | string} prices - Map of pair to price, or "FLR/USD=0.02,XRP/USD=0.5"
+ * @returns {PriceFeed}
+ */
+export function createMockPriceFeed(prices) {
+  const table = typeof prices === "string"
+    ? Object.fromEntries(
+        prices.split(",").map((entry) => {
+          const [pair, value] = entry.split("=")
+          return [pair.trim(), Number(value)]
+        })
+      )
+    : prices
+
+  return {
+    async fetchPrices(pairs) {
+      const timestamp = Date.now()
+      return pairs
+        .filter((pair) => Number.isFinite(table[pair]))
+        .map((pair) => ({ pair, value: table[pair], timestamp }))
+    },
+  }
+}
+
+/**
+ * Replace the price feed for every network (pass null to go back to FTSOv2)
+ * @param {PriceFeed | null} feed
+ */
+export function setPriceFeed(feed) {
+  feedOverride = feed
+  priceCache.clear()
+}
+
+/**
+ * Get the price feed used for a network
+ */
+function getPriceFeed(network) {
+  if (feedOverride) return feedOverride
+  if (network.mockPrices) return createMockPriceFeed(network.mockPrices)
+  return createFtsoPriceFeed(network)
+}
+
+/**
+ * Get prices for the given pairs, served from cache while younger than `maxAge`
+ * @param {string[]} [pairs] - Feed names (defaults to the network's `priceFeeds`)
+ * @param {Object} [options]
+ * @param {Object} [options.network] - Entry in NETWORKS (defaults to the selected network)
+ * @param {number} [options.maxAge] - Maximum cache age in milliseconds
+ * @returns {Promise<Record<string, PriceQuote>>} Keyed by pair; pairs the feed does not know are left out
+ */
+export async function getPrices(pairs, { network = getFlareNetwork(), maxAge = PRICE_CACHE_TTL } = {}) {
+  const wanted = pairs ?? network.priceFeeds ?? []
+  const now = Date.now()
+  const cacheKey = (pair) => `${network.key}:${pair}`
+
+  const stale = wanted.filter((pair) => {
+    const cached = priceCache.get(cacheKey(pair))
+    return !cached || now - cached.fetchedAt > maxAge
+  })
+
+  if (stale.length > 0) {
+    const quotes = await getPriceFeed(network).fetchPrices(stale)
+    quotes.forEach((quote) => priceCache.set(cacheKey(quote.pair), { ...quote, fetchedAt: now }))
+  }
+
+  /** @type {Record<string, PriceQuote>} */
+  const result = {}
+  for (const pair of wanted) {
+    const cached = priceCache.get(cacheKey(pair))
+    if (cached) result[pair] = { pair, value: cached.value, timestamp: cached.timestamp }
+  }
+  return result
+}
+
+/**
+ * Format a fiat value for display
+ * @param {number} value
+ * @param {string} [currency] - ISO currency code of the quote side
+ */
+export function formatFiat(value, currency = "USD") {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+    maximumFractionDigits: value !== 0 && Math.abs(value) < 1 ? 4 : 2,
+  }).format(value)
+}
@@ -0,0 +1,227 @@
+import { FetchRequest, JsonRpcProvider, Network } from "ethers"
+import { getFlareNetwork } from "./flare"
+import { ERROR_KINDS, WalletError, isRateLimitError, toWalletError } from "./errors"
+
+/**
+ * Shared retry policy for rate-limited (-32005 / HTTP 429) requests
+ */
+export const RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelay: 1000,
+}
+
+/**
+ * Request budget shared by every provider: `capacity` requests in a burst,
+ * refilled at `refillPerSecond`. Batched JSON-RPC calls cost one token per HTTP request.
+ */
+const RATE_LIMIT = {
+  capacity: 10,
+  refillPerSecond: 5,
+}
+
+/**
+ * JSON-RPC calls queued within this window are sent as one batch
+ */
+const BATCH_STALL_TIME = 10
+const BATCH_MAX_COUNT = 20
+
+/**
+ * Per-request timeout before failing over to the next RPC URL
+ */
+const REQUEST_TIMEOUT = 15000
+
+/**
+ * Error thrown once a request is still rate limited after all retries
+ */
+function rateLimitedError(cause) {
+  return new WalletError(ERROR_KINDS.RATE_LIMITED, undefined, { cause })
+}
+
+/**
+ * Retry a function on rate limiting with exponential backoff
+ * Reads through getProvider() are already retried; use this for calls that go
+ * through other providers (e.g. transactions signed in MetaMask)
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {{ maxRetries?: number, baseDelay?: number }} [policy]
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, { maxRetries = RETRY_POLICY.maxRetries, baseDelay = RETRY_POLICY.baseDelay } = {}) {
+  for (let i = 0; ; i++) {
+    try {
+      return await fn()
+    } catch (error) {
+      if (isRateLimitError(error) && i < maxRetries - 1) {
+        const delay = baseDelay * Math.pow(2, i)
+        console.warn(`Rate limited, retrying in ${delay}ms... (attempt ${i + 1}/${maxRetries})`)
+        await new Promise((resolve) => setTimeout(resolve, delay))
+        continue
+      }
+      throw error
+    }
+  }
+}
+
+let tokens = RATE_LIMIT.capacity
+let lastRefill = Date.now()
+
+/**
+ * Wait for a token from the shared bucket
+ */
+async function takeToken() {
+  for (;;) {
+    const now = Date.now()
+    tokens = Math.min(RATE_LIMIT.capacity, tokens + ((now - lastRefill) / 1000) * RATE_LIMIT.refillPerSecond)
+    lastRefill = now
+    if (tokens >= 1) {
+      tokens -= 1
+      return
+    }
+    await new Promise((resolve) => setTimeout(resolve, ((1 - tokens) / RATE_LIMIT.refillPerSecond) * 1000))
+  }
+}
+
+/**
+ * JsonRpcProvider that sends every (batched) request through the shared
+ * limiter and retry policy, and fails over across the network's `rpcUrls`
+ */
+class FlareRpcProvider extends JsonRpcProvider {
+  constructor(network) {
+    super(network.rpcUrls[0], new Network(network.name, network.chainId), {
+      staticNetwork: true,
+      batchStallTime: BATCH_STALL_TIME,
+      batchMaxCount: BATCH_MAX_COUNT,
+    })
+    this.rpcUrls = network.rpcUrls
+    this.rpcIndex = 0
+  }
+
+  _getConnection() {
+    const request = new FetchRequest(this.rpcUrls[this.rpcIndex])
+    request.timeout = REQUEST_TIMEOUT
+    // 429s are retried by withRetry below instead of FetchRequest's own throttling
+    request.retryFunc = async () => false
+    return request
+  }
+
+  async _send(payload) {
+    let lastError
+    for (let attempt = 0; attempt < this.rpcUrls.length; attempt++) {
+      try {
+        return await withRetry(async () => {
+          await takeToken()
+          const results = await super._send(payload)
+          // A rate-limited call fails the batch so it is retried as a whole
+          const limited = results.find((r) => r.error && isRateLimitError({ code: r.error.code }))
+          if (limited) throw rateLimitedError(limited.error)
+          return results
+        })
+      } catch (error) {
+        // JSON-RPC errors come back inside `results`; anything thrown here means the
+        // endpoint is unreachable, broken or still rate limiting us, so try the next one
+        lastError = isRateLimitError(error) ? rateLimitedError(error) : new WalletError(ERROR_KINDS.NETWORK, undefined, { cause: error })
+        if (this.rpcUrls.length > 1) {
+          this.rpcIndex = (this.rpcIndex + 1) % this.rpcUrls.length
+          console.warn(`RPC request failed, switching to ${this.rpcUrls[this.rpcIndex]}`)
+        }
+      }
+    }
+    throw lastError
+  }
+}
+
+/** @type {Map<string, FlareRpcProvider>} */
+const providers = new Map()
+
+/**
+ * Get the shared provider of a network (one instance per network)
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {JsonRpcProvider}
+ */
+export function getProvider(network = getFlareNetwork()) {
+  let provider = providers.get(network.key)
+  if (!provider) {
+    provider = new FlareRpcProvider(network)
+    providers.set(network.key, provider)
+  }
+  return provider
+}
+
+/** @type {Map<string, string>} */
+const codeCache = new Map()
+
+/**
+ * Get the runtime code at an address, cached once a contract is found
+ * (an empty result is not cached since the contract may be deployed later)
+ * @param {string} address
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {Promise<string>} "0x" when nothing is deployed
+ */
+export async function getCode(address, network = getFlareNetwork()) {
+  const key = `${network.key}:${address.toLowerCase()}`
+  const cached = codeCache.get(key)
+  if (cached) return cached
+
+  const code = await getProvider(network).getCode(address)
+  if (code !== "0x") codeCache.set(key, code)
+  return code
+}
+
+/** @type {Map<string, number>} */
+const blockTimestampCache = new Map()
+
+/**
+ * Get the timestamp of a block in milliseconds (cached; mined blocks do not change)
+ * @param {number} blockNumber
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {Promise<number | null>}
+ */
+export async function getBlockTimestamp(blockNumber, network = getFlareNetwork()) {
+  const key = `${network.key}:${blockNumber}`
+  const cached = blockTimestampCache.get(key)
+  if (cached !== undefined) return cached
+
+  const block = await getProvider(network).getBlock(blockNumber)
+  const timestamp = block ? block.timestamp * 1000 : null
+  if (timestamp !== null) blockTimestampCache.set(key, timestamp)
+  return timestamp
+}
+
+/** @type {Map<string, number>} */
+const deploymentBlockCache = new Map()
+
+/**
+ * Find the block a contract was deployed in, by binary search over historical getCode calls (cached)
+ * Nodes that pruned old state reject those calls; such blocks count as deployed, so the result can
+ * be lower than the real deployment block but never higher.
+ * @param {string} address
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {Promise<number>} The latest block when nothing is deployed at the address yet
+ */
+export async function getDeploymentBlock(address, network = getFlareNetwork()) {
+  const key = `${network.key}:${address.toLowerCase()}`
+  const cached = deploymentBlockCache.get(key)
+  if (cached !== undefined) return cached
+
+  const provider = getProvider(network)
+  let high = await provider.getBlockNumber()
+  if ((await getCode(address, network)) === "0x") return high
+
+  let low = 0
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2)
+    let deployed
+    try {
+      deployed = (await provider.getCode(address, mid)) !== "0x"
+    } catch (error) {
+      // Rate limits and unreachable nodes say nothing about the contract
+      if (toWalletError(error).retryable) throw error
+      deployed = true
+    }
+    if (deployed) high = mid
+    else low = mid + 1
+  }
+
+  deploymentBlockCache.set(key, low)
+  return low
+}
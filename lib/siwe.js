@@ -0,0 +1,191 @@
+import { getAddress, verifyMessage } from "ethers"
+import { getFlareNetwork } from "./flare"
+import { ERROR_KINDS, WalletError, toWalletError } from "./errors"
+
+const STORAGE_KEY = "pp_siwe"
+
+export const SIWE_STATEMENT = "Sign in to the Flare Wallet plaza. This does not send a transaction or cost gas."
+
+/**
+ * How long a sign-in is accepted by other players
+ */
+export const SIWE_TTL = 24 * 60 * 60 * 1000
+
+/**
+ * Allowed clock difference between players when checking Issued At
+ */
+const CLOCK_SKEW = 5 * 60 * 1000
+
+/**
+ * @typedef {Object} SiweFields
+ * @property {string} domain - Host that requested the sign-in
+ * @property {string} address - Checksummed signing address
+ * @property {string} statement
+ * @property {string} uri - Origin of the page
+ * @property {string} version - Always "1"
+ * @property {number} chainId
+ * @property {string} nonce - At least 8 alphanumeric characters
+ * @property {string} issuedAt - ISO 8601 timestamp
+ * @property {string} expirationTime - ISO 8601 timestamp
+ * @property {string} requestId - Plaza session (presence) id the sign-in is bound to
+ */
+
+/**
+ * @typedef {Object} SiweProof
+ * @property {string} message - EIP-4361 message
+ * @property {string} signature - personal_sign signature of the message
+ */
+
+/**
+ * Random alphanumeric nonce (EIP-4361 requires at least 8 characters)
+ */
+export function generateNonce() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  return Array.from(bytes, (b) => (b % 36).toString(36)).join("")
+}
+
+/**
+ * Format an EIP-4361 (Sign-In with Ethereum) message
+ * @param {SiweFields} fields
+ * @returns {string}
+ */
+export function createSiweMessage({ domain, address, statement, uri, version = "1", chainId, nonce, issuedAt, expirationTime, requestId }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    statement,
+    "",
+    `URI: ${uri}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+    `Request ID: ${requestId}`,
+  ].join("\n")
+}
+
+const MESSAGE_PATTERN = new RegExp(
+  [
+    "^(?<domain>\\S+) wants you to sign in with your Ethereum account:",
+    "(?<address>0x[0-9a-fA-F]{40})",
+    "",
+    "(?<statement>[^\\n]*)",
+    "",
+    "URI: (?<uri>\\S+)",
+    "Version: (?<version>1)",
+    "Chain ID: (?<chainId>\\d+)",
+    "Nonce: (?<nonce>[a-zA-Z0-9]{8,})",
+    "Issued At: (?<issuedAt>\\S+)",
+    "Expiration Time: (?<expirationTime>\\S+)",
+    "Request ID: (?<requestId>[^\\n]*)$",
+  ].join("\\n")
+)
+
+/**
+ * Parse a message created by createSiweMessage
+ * Only the fields this app signs are supported (Not Before and Resources are not).
+ * @param {string} message
+ * @returns {SiweFields | null} null if the message is malformed
+ */
+export function parseSiweMessage(message) {
+  const match = typeof message === "string" ? message.match(MESSAGE_PATTERN) : null
+  if (!match?.groups) return null
+  const { domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime, requestId } = match.groups
+  return { domain, address, statement, uri, version, chainId: Number(chainId), nonce, issuedAt, expirationTime, requestId }
+}
+
+/**
+ * Verify another player's sign-in
+ * Checked entirely in the browser: the signature must recover the address in the message, and the
+ * message must be for this site, bound to the player's session id and not expired.
+ * Session ids and proofs are visible to every player, so a proof can be replayed under the same
+ * session id until it expires; callers must not trust it when that id is in use more than once.
+ * @param {SiweProof | null | undefined} proof
+ * @param {Object} expected
+ * @param {string} expected.requestId - Session id the proof was received for
+ * @param {string} [expected.domain] - Defaults to the current host
+ * @param {number} [expected.now] - Milliseconds (defaults to Date.now())
+ * @returns {string | null} Checksummed verified address, or null
+ */
+export function verifySiweProof(proof, { requestId, domain = window.location.host, now = Date.now() }) {
+  if (!proof?.message || !proof?.signature) return null
+  const fields = parseSiweMessage(proof.message)
+  if (!fields || fields.domain !== domain || fields.requestId !== requestId) return null
+
+  const issuedAt = Date.parse(fields.issuedAt)
+  const expiresAt = Date.parse(fields.expirationTime)
+  if (!(issuedAt <= now + CLOCK_SKEW) || !(expiresAt > now) || expiresAt - issuedAt > SIWE_TTL) return null
+
+  try {
+    const recovered = verifyMessage(proof.message, proof.signature)
+    return recovered.toLowerCase() === fields.address.toLowerCase() ? getAddress(recovered) : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Sign in with the connected wallet
+ * Signs a fresh nonce with personal_sign; nothing is sent on-chain.
+ * @param {import('ethers').Signer} signer
+ * @param {string} requestId - Plaza session id to bind the sign-in to
+ * @returns {Promise<SiweProof & { address: string, expiresAt: number }>}
+ */
+export async function signInWithEthereum(signer, requestId) {
+  if (!signer) throw new WalletError(ERROR_KINDS.WALLET_UNAVAILABLE)
+  try {
+    const address = getAddress(await signer.getAddress())
+    const issuedAt = Date.now()
+    const message = createSiweMessage({
+      domain: window.location.host,
+      address,
+      statement: SIWE_STATEMENT,
+      uri: window.location.origin,
+      chainId: getFlareNetwork().chainId,
+      nonce: generateNonce(),
+      issuedAt: new Date(issuedAt).toISOString(),
+      expirationTime: new Date(issuedAt + SIWE_TTL).toISOString(),
+      requestId,
+    })
+    const signature = await signer.signMessage(message)
+    return { message, signature, address, expiresAt: issuedAt + SIWE_TTL }
+  } catch (error) {
+    console.error("Error signing in with Ethereum:", error)
+    throw toWalletError(error, "Failed to sign in")
+  }
+}
+
+/**
+ * Restore the sign-in saved for a session, if it is still valid
+ * @param {string} requestId - Plaza session id
+ * @returns {(SiweProof & { address: string, expiresAt: number }) | null}
+ */
+export function loadSiweSession(requestId) {
+  try {
+    const proof = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null")
+    const address = verifySiweProof(proof, { requestId })
+    if (!address) return null
+    const fields = /** @type {SiweFields} */ (parseSiweMessage(proof.message))
+    return { message: proof.message, signature: proof.signature, address, expiresAt: Date.parse(fields.expirationTime) }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Save the sign-in so it survives reloads until it expires
+ * @param {SiweProof} proof
+ */
+export function saveSiweSession({ message, signature }) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ message, signature }))
+  } catch {}
+}
+
+export function clearSiweSession() {
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch {}
+}
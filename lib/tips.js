@@ -0,0 +1,134 @@
+import { formatEther, getAddress, isAddress, parseEther } from "ethers"
+import { getFlareNetwork } from "./flare"
+import { getProvider, withRetry } from "./rpc"
+import { ERROR_KINDS, WalletError, isRateLimitError, toWalletError } from "./errors"
+
+/**
+ * Amounts offered in the tip popover, in the native currency
+ */
+export const TIP_PRESETS = ["1", "5", "10"]
+
+/**
+ * @typedef {Object} TipEstimate
+ * @property {bigint} gasLimit - Estimated gas
+ * @property {string} fee - Estimated network fee (gas × current gas price)
+ * @property {string} value - Tip amount
+ * @property {string} total - Leaving the connected account (value + fee)
+ * @property {string} walletBalance - Connected account balance afterwards
+ */
+
+/**
+ * @typedef {Object} TipAnnouncement
+ * @property {string} hash - Hash of the mined transfer
+ * @property {number} chainId - Network it was sent on
+ * @property {string} from - Tipper's address
+ * @property {string} to - Recipient's address
+ * @property {string} amount - Amount in the native currency
+ */
+
+/**
+ * Validate a tip and return the amount in wei
+ */
+function parseTip(from, to, amount) {
+  if (!isAddress(to)) throw new WalletError(ERROR_KINDS.INVALID_INPUT, "This player has no verified address")
+  if (getAddress(to) === getAddress(from)) throw new WalletError(ERROR_KINDS.INVALID_INPUT, "You cannot tip yourself")
+  let value
+  try {
+    value = parseEther(amount)
+  } catch (error) {
+    throw new WalletError(ERROR_KINDS.INVALID_INPUT, "Please enter a valid amount", { cause: error })
+  }
+  if (value <= 0n) throw new WalletError(ERROR_KINDS.INVALID_INPUT, "Please enter an amount greater than zero")
+  return value
+}
+
+/**
+ * Estimate the cost of tipping another player from the connected account
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} to - Recipient's verified address
+ * @param {string} amount - Amount in FLR
+ * @returns {Promise<TipEstimate>}
+ */
+export async function estimateTip(signer, to, amount) {
+  const from = await signer.getAddress()
+  const value = parseTip(from, to, amount)
+  const provider = getProvider()
+
+  try {
+    // Issued together so the shared provider sends them as one batch
+    const [gasLimit, feeData, walletBalance] = await Promise.all([
+      provider.estimateGas({ from, to, value }),
+      provider.getFeeData(),
+      provider.getBalance(from),
+    ])
+    const fee = gasLimit * (feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n)
+    if (walletBalance < value + fee) {
+      throw new WalletError(ERROR_KINDS.INSUFFICIENT_FUNDS)
+    }
+    return {
+      gasLimit,
+      fee: formatEther(fee),
+      value: formatEther(value),
+      total: formatEther(value + fee),
+      walletBalance: formatEther(walletBalance - value - fee),
+    }
+  } catch (error) {
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Send a tip: a plain FLR transfer from the connected account to another player
+ * @param {import('ethers').Signer} signer - The signer from MetaMask
+ * @param {string} to - Recipient's verified address
+ * @param {string} amount - Amount in FLR (will be converted to wei)
+ * @returns {Promise<import('ethers').TransactionResponse>}
+ */
+export async function sendTip(signer, to, amount) {
+  const value = parseTip(await signer.getAddress(), to, amount)
+  try {
+    // Retry with backoff for rate limiting
+    return await withRetry(() => signer.sendTransaction({ to, value }))
+  } catch (error) {
+    if (!isRateLimitError(error)) console.error("Error sending tip:", error)
+    throw toWalletError(error)
+  }
+}
+
+/**
+ * Delays between checks of a tip the RPC node does not know yet (it may lag behind the tipper's)
+ */
+export const TIP_VERIFY_RETRY_DELAYS = [1000, 2000, 4000, 8000]
+
+/**
+ * Check a tip announced by another player against the chain
+ * The transfer must be mined and successful, and match the announced sender, recipient and amount.
+ * A transfer that is not found (or cannot be fetched) is checked again after each of `retryDelays`.
+ * @param {TipAnnouncement} tip
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @param {{ retryDelays?: number[] }} [options] - Milliseconds (defaults to TIP_VERIFY_RETRY_DELAYS)
+ * @returns {Promise<boolean>} false for tips on another network
+ */
+export async function verifyTip(tip, network = getFlareNetwork(), { retryDelays = TIP_VERIFY_RETRY_DELAYS } = {}) {
+  if (!tip || tip.chainId !== network.chainId || !isAddress(tip.from) || !isAddress(tip.to)) return false
+  const provider = getProvider(network)
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const [tx, receipt] = await Promise.all([
+        provider.getTransaction(tip.hash),
+        provider.getTransactionReceipt(tip.hash),
+      ])
+      if (tx && receipt) {
+        return receipt.status === 1 &&
+          getAddress(tx.from) === getAddress(tip.from) &&
+          !!tx.to && getAddress(tx.to) === getAddress(tip.to) &&
+          tx.value === parseEther(tip.amount)
+      }
+    } catch (error) {
+      console.warn("Could not verify tip:", error)
+    }
+    if (attempt >= retryDelays.length) return false
+    await new Promise((resolve) => setTimeout(resolve, retryDelays[attempt]))
+  }
+}
@@ -0,0 +1,375 @@
+import { keccak256 } from "ethers"
+import { NETWORKS, getFlareNetwork, getFlareMetaMaskConfig } from "./flare"
+import { subscribeBlocks } from "./live"
+import { getProvider } from "./rpc"
+import { ERROR_KINDS, WalletError } from "./errors"
+
+const STORAGE_KEY = "flare_transactions"
+
+/**
+ * Finished transactions kept in storage (pending ones are never evicted)
+ */
+const MAX_STORED_TRANSACTIONS = 50
+
+/**
+ * How long a transaction may be unknown to the RPC before it counts as dropped
+ */
+const DROP_TIMEOUT = 5 * 60 * 1000
+
+/**
+ * Blocks scanned for the transaction that took over a replaced nonce
+ */
+const MAX_REPLACEMENT_SCAN = 200
+const REPLACEMENT_SCAN_BATCH = 10
+
+/**
+ * How long hooks wait for a receipt before leaving the transaction to the pending list
+ */
+export const TX_WAIT_TIMEOUT = 60000
+
+/**
+ * @typedef {'pending' | 'confirmed' | 'failed' | 'dropped' | 'replaced'} TransactionStatus
+ */
+
+/**
+ * @typedef {Object} TrackedTransaction
+ * @property {string} hash
+ * @property {string} network - Key in NETWORKS the transaction was sent on
+ * @property {string} kind - Action that sent it, e.g. "deposit", "withdraw"
+ * @property {string | null} amount - Amount with its unit (e.g. "5 FLR"), for display
+ * @property {string | null} recipient - Recipient of the funds, if any
+ * @property {string} from
+ * @property {number} nonce
+ * @property {string | null} to
+ * @property {string} value - Value in wei
+ * @property {string} dataHash - keccak256 of the calldata, to recognise speed-ups
+ * @property {number | null} startBlock - Latest block when the transaction was sent
+ * @property {TransactionStatus} status
+ * @property {string | null} replacedBy - Hash of the transaction that used the same nonce
+ * @property {'repriced' | 'cancelled' | 'replaced' | null} replaceReason - Speed-up, cancel or other transaction
+ * @property {number | null} blockNumber - Block of the (replacement) receipt
+ * @property {number} createdAt
+ * @property {number | null} lastSeen - Last time the RPC knew the transaction
+ */
+
+/** @type {TrackedTransaction[] | null} */
+let records = null
+const listeners = new Set()
+
+/** @type {Map<string, Set<{ resolve: (receipt: any) => void, reject: (error: Error) => void }>>} */
+const waiters = new Map()
+
+/** @type {Map<string, () => void>} */
+const blockSubscriptions = new Map()
+const checking = new Set()
+
+/** @type {TrackedTransaction[]} */
+const NO_TRANSACTIONS = []
+
+function load() {
+  if (records) return records
+  records = []
+  try {
+    const stored = typeof window !== "undefined" ? localStorage.getItem(STORAGE_KEY) : null
+    if (stored) records = JSON.parse(stored)
+  } catch {}
+  return records
+}
+
+function save() {
+  const pending = records.filter((r) => r.status === "pending")
+  const finished = records.filter((r) => r.status !== "pending").slice(0, MAX_STORED_TRANSACTIONS)
+  records = records.filter((r) => pending.includes(r) || finished.includes(r))
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records))
+  } catch {}
+  listeners.forEach((listener) => listener())
+}
+
+function updateRecord(hash, changes) {
+  records = load().map((r) => (r.hash === hash ? { ...r, ...changes } : r))
+  save()
+}
+
+// Keep tabs in sync and pick up transactions sent from another tab
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== STORAGE_KEY) return
+    records = null
+    listeners.forEach((listener) => listener())
+    resumePendingTransactions()
+  })
+}
+
+/**
+ * Get all tracked transactions, newest first
+ * @returns {TrackedTransaction[]}
+ */
+export function getTransactions() {
+  return typeof window === "undefined" ? NO_TRANSACTIONS : load()
+}
+
+/**
+ * Snapshot used during server rendering
+ */
+export function getServerTransactions() {
+  return NO_TRANSACTIONS
+}
+
+/**
+ * Subscribe to changes of the tracked transactions
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeTransactions(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Explorer page of a transaction (from the network's MetaMask config)
+ * @param {string} hash
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {string | null} null when the network has no explorer
+ */
+export function getExplorerTxUrl(hash, network = getFlareNetwork()) {
+  const [explorerUrl] = getFlareMetaMaskConfig(network).blockExplorerUrls ?? []
+  return explorerUrl ? `${explorerUrl}/tx/${hash}` : null
+}
+
+/**
+ * Error for a transaction that did not go through as sent
+ */
+function transactionError(record) {
+  if (record.status === "failed") {
+    return new WalletError(ERROR_KINDS.CONTRACT_REVERT)
+  }
+  if (record.status === "dropped") {
+    return new WalletError(ERROR_KINDS.TX_DROPPED)
+  }
+  return new WalletError(
+    ERROR_KINDS.TX_REPLACED,
+    record.replaceReason === "cancelled" ? "Transaction was cancelled in your wallet" : undefined
+  )
+}
+
+/**
+ * Settle everyone waiting on a transaction that left the pending state
+ */
+function settle(record, receipt) {
+  const pending = waiters.get(record.hash)
+  if (!pending) return
+  waiters.delete(record.hash)
+  pending.forEach(({ resolve, reject }) => (record.status === "confirmed" ? resolve(receipt) : reject(transactionError(record))))
+}
+
+/**
+ * Look for the mined transaction that used the same sender and nonce
+ */
+async function findReplacement(record, provider) {
+  const latest = await provider.getBlockNumber()
+  const fromBlock = Math.max(record.startBlock ?? 0, latest - MAX_REPLACEMENT_SCAN, 0)
+
+  for (let start = fromBlock; start <= latest; start += REPLACEMENT_SCAN_BATCH) {
+    const numbers = []
+    for (let n = start; n < start + REPLACEMENT_SCAN_BATCH && n <= latest; n++) numbers.push(n)
+    const blocks = await Promise.all(numbers.map((n) => provider.getBlock(n, true)))
+    for (const block of blocks) {
+      const tx = block?.prefetchedTransactions.find(
+        (t) => t.from.toLowerCase() === record.from.toLowerCase() && t.nonce === record.nonce
+      )
+      if (tx) return tx
+    }
+  }
+  return null
+}
+
+/**
+ * Classify a replacement the way wallets create them: same call at a higher fee
+ * (speed-up), a zero-value transfer to self (cancel), or anything else
+ */
+function getReplaceReason(record, tx) {
+  if ((tx.to?.toLowerCase() ?? null) === (record.to?.toLowerCase() ?? null) && tx.value.toString() === record.value && keccak256(tx.data) === record.dataHash) {
+    return "repriced"
+  }
+  if (tx.to?.toLowerCase() === record.from.toLowerCase() && tx.value === 0n) {
+    return "cancelled"
+  }
+  return "replaced"
+}
+
+/**
+ * Check one pending transaction for a receipt, replacement or drop
+ */
+async function checkTransaction(record) {
+  const provider = getProvider(NETWORKS[record.network])
+
+  const receipt = await provider.getTransactionReceipt(record.hash)
+  if (receipt) {
+    const status = receipt.status === 1 ? "confirmed" : "failed"
+    updateRecord(record.hash, { status, blockNumber: receipt.blockNumber })
+    settle({ ...record, status }, receipt)
+    return
+  }
+
+  const nonce = await provider.getTransactionCount(record.from, "latest")
+  if (nonce > record.nonce) {
+    // The nonce is used; if not by us (mined since the first check), the wallet replaced it
+    const minedReceipt = await provider.getTransactionReceipt(record.hash)
+    if (minedReceipt) return checkTransaction(record)
+
+    const replacement = await findReplacement(record, provider)
+    const replaceReason = replacement ? getReplaceReason(record, replacement) : null
+    const replacementReceipt = replaceReason === "repriced" ? await provider.getTransactionReceipt(replacement.hash) : null
+    const status = replacementReceipt ? (replacementReceipt.status === 1 ? "confirmed" : "failed") : "replaced"
+    const changes = {
+      status,
+      replacedBy: replacement?.hash ?? null,
+      replaceReason,
+      blockNumber: replacementReceipt?.blockNumber ?? replacement?.blockNumber ?? null,
+    }
+    updateRecord(record.hash, changes)
+    settle({ ...record, ...changes }, replacementReceipt)
+    return
+  }
+
+  if (await provider.getTransaction(record.hash)) {
+    updateRecord(record.hash, { lastSeen: Date.now() })
+  } else if (Date.now() - (record.lastSeen ?? record.createdAt) > DROP_TIMEOUT) {
+    updateRecord(record.hash, { status: "dropped" })
+    settle({ ...record, status: "dropped" })
+  }
+}
+
+/**
+ * Check every pending transaction of a network; stop watching once none are left
+ */
+async function checkNetwork(networkKey) {
+  if (checking.has(networkKey)) return
+  checking.add(networkKey)
+  try {
+    const pending = load().filter((r) => r.network === networkKey && r.status === "pending")
+    await Promise.all(
+      pending.map((record) =>
+        checkTransaction(record).catch((error) => console.warn(`Failed to check transaction ${record.hash}:`, error))
+      )
+    )
+  } finally {
+    checking.delete(networkKey)
+  }
+
+  if (!load().some((r) => r.network === networkKey && r.status === "pending")) {
+    blockSubscriptions.get(networkKey)?.()
+    blockSubscriptions.delete(networkKey)
+  }
+}
+
+function watchNetwork(networkKey) {
+  if (blockSubscriptions.has(networkKey) || !NETWORKS[networkKey]) return
+  blockSubscriptions.set(networkKey, subscribeBlocks(() => checkNetwork(networkKey), NETWORKS[networkKey]))
+}
+
+/**
+ * Resume watching transactions left pending by a previous session
+ */
+export function resumePendingTransactions() {
+  if (typeof window === "undefined") return
+  new Set(load().filter((r) => r.status === "pending").map((r) => r.network)).forEach(watchNetwork)
+}
+
+/**
+ * Persist a sent transaction and watch it until it is mined, replaced or dropped
+ * @param {import('ethers').TransactionResponse} tx
+ * @param {{ kind: string, amount?: string | null, recipient?: string | null }} details
+ * @param {Object} [network] - Entry in NETWORKS (defaults to the selected network)
+ * @returns {TrackedTransaction}
+ */
+export function trackTransaction(tx, { kind, amount = null, recipient = null }, network = getFlareNetwork()) {
+  /** @type {TrackedTransaction} */
+  const record = {
+    hash: tx.hash,
+    network: network.key,
+    kind,
+    amount,
+    recipient,
+    from: tx.from,
+    nonce: tx.nonce,
+    to: tx.to,
+    value: tx.value.toString(),
+    dataHash: keccak256(tx.data),
+    startBlock: null,
+    status: "pending",
+    replacedBy: null,
+    replaceReason: null,
+    blockNumber: null,
+    createdAt: Date.now(),
+    lastSeen: null,
+  }
+  records = [record, ...load().filter((r) => r.hash !== tx.hash)]
+  save()
+
+  getProvider(network)
+    .getBlockNumber()
+    .then((startBlock) => updateRecord(tx.hash, { startBlock }))
+    .catch(() => {})
+  watchNetwork(network.key)
+  return record
+}
+
+/**
+ * Wait until a tracked transaction is mined
+ * Resolves with the receipt (of the speed-up, if the wallet repriced it) and rejects with
+ * a WalletError when it fails, is dropped or replaced, or is still pending after `timeout`.
+ * The transaction stays tracked after a timeout.
+ * @param {string} hash
+ * @param {{ timeout?: number | null }} [options] - `timeout: null` waits for as long as the transaction is tracked
+ * @returns {Promise<import('ethers').TransactionReceipt>}
+ */
+export function waitForTransaction(hash, { timeout = TX_WAIT_TIMEOUT } = {}) {
+  const record = load().find((r) => r.hash === hash)
+  if (!record) {
+    return Promise.reject(new WalletError(ERROR_KINDS.UNKNOWN, `Transaction ${hash} is not tracked`))
+  }
+  if (record.status === "confirmed") {
+    return getProvider(NETWORKS[record.network]).getTransactionReceipt(record.replacedBy ?? hash)
+  }
+  if (record.status !== "pending") {
+    return Promise.reject(transactionError(record))
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      resolve: (receipt) => {
+        clearTimeout(timer)
+        resolve(receipt)
+      },
+      reject: (error) => {
+        clearTimeout(timer)
+        reject(error)
+      },
+    }
+    const timer = timeout === null ? undefined : setTimeout(() => {
+      waiters.get(hash)?.delete(waiter)
+      reject(new WalletError(ERROR_KINDS.TIMEOUT))
+    }, timeout)
+
+    if (!waiters.has(hash)) waiters.set(hash, new Set())
+    waiters.get(hash).add(waiter)
+  })
+}
+
+/**
+ * Stop tracking a transaction
+ * @param {string} hash
+ */
+export function removeTransaction(hash) {
+  records = load().filter((r) => r.hash !== hash)
+  save()
+}
+
+/**
+ * Remove every transaction that is no longer pending
+ */
+export function clearFinishedTransactions() {
+  records = load().filter((r) => r.status === "pending")
+  save()
+}
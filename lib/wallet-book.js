@@ -0,0 +1,117 @@
+import { getAddress } from "ethers"
+import { ERROR_KINDS, WalletError } from "./errors"
+
+const STORAGE_KEY = "flare_wallet_book"
+const ACTIVE_STORAGE_KEY = "flare_active_wallet"
+
+/**
+ * @typedef {Object} TrackedWallet
+ * @property {string} address - Checksummed contract address
+ * @property {string} label - User-chosen label
+ * @property {number} addedAt - Timestamp in milliseconds
+ */
+
+/**
+ * Read a JSON object from localStorage, falling back to an empty object
+ */
+function readStorage(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "{}")
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Write a JSON object to localStorage, ignoring quota/private mode errors
+ */
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch {}
+}
+
+/**
+ * Get the wallet contracts tracked on a network
+ * @param {string} networkKey - Key in NETWORKS
+ * @returns {TrackedWallet[]}
+ */
+export function getTrackedWallets(networkKey) {
+  const book = readStorage(STORAGE_KEY)
+  return Array.isArray(book[networkKey]) ? book[networkKey] : []
+}
+
+/**
+ * Replace the wallet contracts tracked on a network
+ * @param {string} networkKey - Key in NETWORKS
+ * @param {TrackedWallet[]} wallets
+ */
+function saveTrackedWallets(networkKey, wallets) {
+  const book = readStorage(STORAGE_KEY)
+  book[networkKey] = wallets
+  writeStorage(STORAGE_KEY, book)
+}
+
+/**
+ * Add a wallet contract to the address book
+ * The caller is responsible for verifying the contract first
+ * @param {string} networkKey - Key in NETWORKS
+ * @param {string} address - Contract address
+ * @param {string} label - Display label
+ * @returns {TrackedWallet[]} Updated list
+ */
+export function addTrackedWallet(networkKey, address, label) {
+  const checksummed = getAddress(address)
+  const wallets = getTrackedWallets(networkKey)
+  if (wallets.some((w) => w.address === checksummed)) {
+    throw new WalletError(ERROR_KINDS.INVALID_INPUT, "This wallet is already in your address book")
+  }
+  const updated = [...wallets, { address: checksummed, label: label.trim() || "Wallet", addedAt: Date.now() }]
+  saveTrackedWallets(networkKey, updated)
+  return updated
+}
+
+/**
+ * Change the label of a tracked wallet contract
+ * @returns {TrackedWallet[]} Updated list
+ */
+export function renameTrackedWallet(networkKey, address, label) {
+  const updated = getTrackedWallets(networkKey).map((w) =>
+    w.address === address ? { ...w, label: label.trim() || w.label } : w
+  )
+  saveTrackedWallets(networkKey, updated)
+  return updated
+}
+
+/**
+ * Remove a wallet contract from the address book
+ * @returns {TrackedWallet[]} Updated list
+ */
+export function removeTrackedWallet(networkKey, address) {
+  const updated = getTrackedWallets(networkKey).filter((w) => w.address !== address)
+  saveTrackedWallets(networkKey, updated)
+  return updated
+}
+
+/**
+ * Get the address of the wallet contract last selected on a network
+ * @returns {string | null}
+ */
+export function getActiveWallet(networkKey) {
+  return readStorage(ACTIVE_STORAGE_KEY)[networkKey] || null
+}
+
+/**
+ * Remember the selected wallet contract on a network
+ * @param {string} networkKey - Key in NETWORKS
+ * @param {string | null} address - Contract address, or null to fall back to the default
+ */
+export function setActiveWallet(networkKey, address) {
+  const active = readStorage(ACTIVE_STORAGE_KEY)
+  if (address) {
+    active[networkKey] = address
+  } else {
+    delete active[networkKey]
+  }
+  writeStorage(ACTIVE_STORAGE_KEY, active)
+}
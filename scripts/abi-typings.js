@@ -0,0 +1,99 @@
+// Generates TypeScript declarations for ethers v6 contracts from their ABI.
+// Used by compile-contract.js; the output goes to artifacts/types/.
+
+// Members of ethers' BaseContract that an ABI function must not shadow
+// (such functions stay reachable through contract.getFunction(name))
+const RESERVED = new Set([
+  'target', 'interface', 'runner', 'filters', 'fallback', 'attach', 'connect', 'getAddress',
+  'getDeployedCode', 'waitForDeployment', 'deploymentTransaction', 'getFunction', 'getEvent',
+  'queryFilter', 'on', 'once', 'emit', 'listenerCount', 'listeners', 'off', 'removeAllListeners',
+  'addListener', 'removeListener',
+]);
+
+/**
+ * TypeScript type of an ABI parameter, as accepted (input) or returned (output) by ethers
+ */
+function paramType(param, direction) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) return `${paramType({ ...param, type: array[1] }, direction)}[]`;
+  if (param.type === 'tuple') return tupleType(param.components, direction);
+  if (param.type === 'address') return direction === 'input' ? 'AddressLike' : 'string';
+  if (param.type === 'bool') return 'boolean';
+  if (param.type === 'string') return 'string';
+  if (param.type.startsWith('bytes')) return direction === 'input' ? 'BytesLike' : 'string';
+  if (/^u?int\d*$/.test(param.type)) return direction === 'input' ? 'BigNumberish' : 'bigint';
+  return 'any';
+}
+
+/**
+ * Struct (or multiple return values): a named tuple for inputs; for outputs also
+ * the named properties of ethers' Result
+ */
+function tupleType(components, direction) {
+  const names = components.map((c, i) => c.name || `arg${i}`);
+  const types = components.map((c) => paramType(c, direction));
+  const tuple = `[${names.map((name, i) => `${name}: ${types[i]}`).join(', ')}]`;
+  if (direction === 'input') return tuple;
+  const named = components.filter((c) => c.name);
+  if (named.length === 0) return tuple;
+  return `${tuple} & { ${named.map((c) => `${c.name}: ${paramType(c, direction)}`).join('; ')} }`;
+}
+
+/**
+ * Declaration of one ABI function as a BaseContractMethod property
+ */
+function methodDeclaration(key, fn) {
+  const args = tupleType(fn.inputs, 'input');
+  const outputs = fn.outputs ?? [];
+  const result = outputs.length === 0 ? 'void' : outputs.length === 1 ? paramType(outputs[0], 'output') : tupleType(outputs, 'output');
+  const isView = fn.stateMutability === 'view' || fn.stateMutability === 'pure';
+  const property = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+  return `  ${property}: BaseContractMethod<${args}, ${result}, ${isView ? result : 'ContractTransactionResponse'}>;`;
+}
+
+/**
+ * TypeScript declaration file for one contract
+ * @param {string} contractName
+ * @param {any[]} abi
+ * @returns {string}
+ */
+function generateTypings(contractName, abi) {
+  const functions = abi.filter((item) => item.type === 'function');
+  const counts = new Map();
+  functions.forEach((fn) => counts.set(fn.name, (counts.get(fn.name) ?? 0) + 1));
+
+  const methods = functions
+    // Overloaded functions are only declared by their full signature
+    .map((fn) => {
+      const key = counts.get(fn.name) > 1 ? `${fn.name}(${fn.inputs.map((i) => i.type).join(',')})` : fn.name;
+      return [key, fn];
+    })
+    .filter(([key]) => !RESERVED.has(key))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, fn]) => methodDeclaration(key, fn));
+
+  return [
+    '// Generated by scripts/compile-contract.js. Do not edit.',
+    'import type { AddressLike, BaseContract, BaseContractMethod, BigNumberish, BytesLike, ContractTransactionResponse } from "ethers";',
+    '',
+    `export interface ${contractName} extends BaseContract {`,
+    ...methods,
+    '}',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Index re-exporting every generated contract type
+ * @param {string[]} contractNames
+ * @returns {string}
+ */
+function generateTypingsIndex(contractNames) {
+  return [
+    '// Generated by scripts/compile-contract.js. Do not edit.',
+    ...contractNames.map((name) => `export type { ${name} } from "./${name}";`),
+    '',
+  ].join('\n');
+}
+
+module.exports = { generateTypings, generateTypingsIndex };
@@ -1,31 +1,115 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const solc = require('solc');
+const { generateTypings, generateTypingsIndex } = require('./abi-typings');
 
-// Read the contract source
-const contractPath = path.join(__dirname, '../contracts/contract.sol');
-const contractSource = fs.readFileSync(contractPath, 'utf8');
-
-// Compile the contract
-const input = {
-  language: 'Solidity',
-  sources: {
-    'contract.sol': {
-      content: contractSource,
-    },
-  },
-  settings: {
-    outputSelection: {
-      '*': {
-        '*': ['abi', 'evm.bytecode'],
-      },
+// Compiler and settings are pinned so the same sources always produce the same bytecode.
+// The solc npm package is pinned to this version in package.json.
+const SOLC_VERSION = '0.8.20';
+const SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+  evmVersion: 'shanghai',
+  outputSelection: {
+    '*': {
+      '*': [
+        'abi',
+        'evm.bytecode.object',
+        'evm.bytecode.sourceMap',
+        'evm.deployedBytecode.object',
+        'evm.deployedBytecode.sourceMap',
+        'evm.deployedBytecode.immutableReferences',
+        'storageLayout',
+        'metadata',
+      ],
     },
   },
 };
 
+const ROOT_DIR = path.join(__dirname, '..');
+const CONTRACTS_DIR = path.join(ROOT_DIR, 'contracts');
+const ARTIFACTS_DIR = path.join(ROOT_DIR, 'artifacts');
+const TYPES_DIR = path.join(ARTIFACTS_DIR, 'types');
+// Hash of the last compiler input, used to skip unchanged builds
+const BUILD_INFO_PATH = path.join(ARTIFACTS_DIR, 'build-info.json');
+
+/**
+ * Every .sol file under contracts/, as source unit names relative to it
+ */
+function findSources(dir = CONTRACTS_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return findSources(fullPath);
+      return entry.name.endsWith('.sol') ? [path.relative(CONTRACTS_DIR, fullPath).split(path.sep).join('/')] : [];
+    })
+    .sort();
+}
+
+/**
+ * Resolve imports that are not under contracts/ (e.g. packages in node_modules)
+ */
+function findImports(importPath) {
+  for (const base of [CONTRACTS_DIR, path.join(ROOT_DIR, 'node_modules')]) {
+    const candidate = path.join(base, importPath);
+    if (fs.existsSync(candidate)) return { contents: fs.readFileSync(candidate, 'utf8') };
+  }
+  return { error: `File not found: ${importPath}` };
+}
+
+/**
+ * Artifact file prefix of a contract: the file name for files with a single
+ * deployable contract (contract.sol -> contract-abi.json), otherwise file and contract name
+ */
+function artifactPrefix(sourceName, contractName, deployableInFile) {
+  const base = sourceName.replace(/\.sol$/, '').split('/').join('-');
+  return deployableInFile === 1 ? base : `${base}-${contractName}`;
+}
+
+function hashInput(input) {
+  return crypto
+    .createHash('sha256')
+    .update(solc.version())
+    .update(JSON.stringify(input))
+    // Changes to this script or the typings generator also invalidate the build
+    .update(fs.readFileSync(__filename))
+    .update(fs.readFileSync(path.join(__dirname, 'abi-typings.js')))
+    .digest('hex');
+}
+
+function readBuildInfo() {
+  try {
+    return JSON.parse(fs.readFileSync(BUILD_INFO_PATH, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
 try {
-  const output = JSON.parse(solc.compile(JSON.stringify(input)));
-  
+  if (!solc.version().startsWith(`${SOLC_VERSION}+`)) {
+    throw new Error(`Expected solc ${SOLC_VERSION} but found ${solc.version()}. Run npm install to get the pinned compiler.`);
+  }
+
+  // Read the contract sources
+  const sourceNames = findSources();
+  const sources = {};
+  for (const sourceName of sourceNames) {
+    sources[sourceName] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, sourceName), 'utf8') };
+  }
+
+  const input = { language: 'Solidity', sources, settings: SETTINGS };
+  const hash = hashInput(input);
+
+  const previous = readBuildInfo();
+  const force = process.argv.includes('--force');
+  if (!force && previous?.hash === hash && previous.outputs.every((file) => fs.existsSync(path.join(ARTIFACTS_DIR, file)))) {
+    console.log(`✅ Contracts unchanged, skipping compilation (${previous.contracts.join(', ')})`);
+    process.exit(0);
+  }
+
+  // Compile the contracts
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+
   if (output.errors) {
     const errors = output.errors.filter(e => e.severity === 'error');
     if (errors.length > 0) {
@@ -35,35 +119,63 @@ try {
     }
   }
 
-  const contractName = 'SimpleFlareWallet';
-  const compiledContract = output.contracts['contract.sol'][contractName];
+  fs.mkdirSync(TYPES_DIR, { recursive: true });
 
-  if (!compiledContract) {
-    throw new Error(`Contract ${contractName} not found in compilation output`);
-  }
+  const outputs = [];
+  const contractNames = [];
+  for (const sourceName of sourceNames) {
+    // Interfaces and abstract contracts have no bytecode and get no artifacts
+    const deployable = Object.entries(output.contracts[sourceName] ?? {}).filter(([, c]) => c.evm.bytecode.object);
+
+    for (const [contractName, compiledContract] of deployable) {
+      if (contractNames.includes(contractName)) {
+        throw new Error(`Contract name ${contractName} is used in more than one file`);
+      }
+      contractNames.push(contractName);
+      const prefix = artifactPrefix(sourceName, contractName, deployable.length);
+
+      // Save ABI
+      const abiFile = `${prefix}-abi.json`;
+      fs.writeFileSync(path.join(ARTIFACTS_DIR, abiFile), JSON.stringify(compiledContract.abi, null, 2));
+      console.log(`✅ ABI generated at artifacts/${abiFile}`);
+
+      // Save contract info (bytecode and compiler metadata are needed to deploy from the UI and verify)
+      const contractInfo = {
+        abi: compiledContract.abi,
+        contractName,
+        sourceName,
+        bytecode: `0x${compiledContract.evm.bytecode.object}`,
+        deployedBytecode: `0x${compiledContract.evm.deployedBytecode.object}`,
+        sourceMap: compiledContract.evm.bytecode.sourceMap,
+        deployedSourceMap: compiledContract.evm.deployedBytecode.sourceMap,
+        // Byte ranges of immutables, which differ per deployment (see lib/integrity.js)
+        immutableReferences: compiledContract.evm.deployedBytecode.immutableReferences,
+        storageLayout: compiledContract.storageLayout,
+        compiler: {
+          version: solc.version(),
+          settings: SETTINGS,
+        },
+        metadata: JSON.parse(compiledContract.metadata),
+      };
+      const infoFile = `${prefix}-info.json`;
+      fs.writeFileSync(path.join(ARTIFACTS_DIR, infoFile), JSON.stringify(contractInfo, null, 2));
+      console.log(`✅ Contract info saved at artifacts/${infoFile}`);
 
-  // Create artifacts directory if it doesn't exist
-  const artifactsDir = path.join(__dirname, '../artifacts');
-  if (!fs.existsSync(artifactsDir)) {
-    fs.mkdirSync(artifactsDir, { recursive: true });
+      // Save TypeScript typings
+      const typesFile = `types/${contractName}.d.ts`;
+      fs.writeFileSync(path.join(ARTIFACTS_DIR, typesFile), generateTypings(contractName, compiledContract.abi));
+      console.log(`✅ Typings generated at artifacts/${typesFile}`);
+
+      outputs.push(abiFile, infoFile, typesFile);
+    }
   }
 
-  // Save ABI
-  const abiPath = path.join(artifactsDir, 'contract-abi.json');
-  fs.writeFileSync(abiPath, JSON.stringify(compiledContract.abi, null, 2));
-  console.log(`✅ ABI generated at ${abiPath}`);
+  fs.writeFileSync(path.join(TYPES_DIR, 'index.d.ts'), generateTypingsIndex(contractNames));
+  outputs.push('types/index.d.ts');
 
-  // Save contract info
-  const contractInfo = {
-    abi: compiledContract.abi,
-    contractName: contractName,
-  };
-  const infoPath = path.join(artifactsDir, 'contract-info.json');
-  fs.writeFileSync(infoPath, JSON.stringify(contractInfo, null, 2));
-  console.log(`✅ Contract info saved at ${infoPath}`);
+  fs.writeFileSync(BUILD_INFO_PATH, JSON.stringify({ hash, solcVersion: solc.version(), contracts: contractNames, outputs }, null, 2));
 
 } catch (error) {
   console.error('Compilation failed:', error.message);
   process.exit(1);
 }
-
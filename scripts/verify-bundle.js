@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { keccak256, toUtf8Bytes } = require('ethers');
+
+// Writes a Solidity standard-JSON input per compiled contract for source verification
+// on the Flare block explorers (Blockscout). Usage: npm run verify:bundle [-- ContractName]
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONTRACTS_DIR = path.join(ROOT_DIR, 'contracts');
+const ARTIFACTS_DIR = path.join(ROOT_DIR, 'artifacts');
+const BUNDLE_DIR = path.join(ARTIFACTS_DIR, 'verification');
+const BUILD_INFO_PATH = path.join(ARTIFACTS_DIR, 'build-info.json');
+
+/**
+ * Read a source the way compile-contract.js resolves it (contracts/, then node_modules)
+ */
+function readSource(sourceName) {
+  for (const base of [CONTRACTS_DIR, path.join(ROOT_DIR, 'node_modules')]) {
+    const candidate = path.join(base, sourceName);
+    if (fs.existsSync(candidate)) return fs.readFileSync(candidate, 'utf8');
+  }
+  throw new Error(`Source ${sourceName} not found`);
+}
+
+/**
+ * Standard-JSON input that reproduces the artifact's bytecode, metadata hash included
+ */
+function buildBundle(info) {
+  const sources = {};
+  for (const [sourceName, { keccak256: expectedHash }] of Object.entries(info.metadata.sources)) {
+    const content = readSource(sourceName);
+    // The explorer recompiles these sources, so they must be the ones the artifact was built from
+    if (keccak256(toUtf8Bytes(content)) !== expectedHash) {
+      throw new Error(`${sourceName} changed since the last compilation. Run npm run compile:contract first.`);
+    }
+    sources[sourceName] = { content };
+  }
+  return { language: 'Solidity', sources, settings: info.compiler.settings };
+}
+
+try {
+  const buildInfo = JSON.parse(fs.readFileSync(BUILD_INFO_PATH, 'utf8'));
+  const only = process.argv[2];
+  if (only && !buildInfo.contracts.includes(only)) {
+    throw new Error(`Unknown contract ${only}. Compiled contracts: ${buildInfo.contracts.join(', ')}`);
+  }
+
+  fs.mkdirSync(BUNDLE_DIR, { recursive: true });
+
+  for (const infoFile of buildInfo.outputs.filter((file) => file.endsWith('-info.json'))) {
+    const info = JSON.parse(fs.readFileSync(path.join(ARTIFACTS_DIR, infoFile), 'utf8'));
+    if (only && info.contractName !== only) continue;
+
+    const bundleFile = `verification/${info.contractName}.json`;
+    fs.writeFileSync(path.join(ARTIFACTS_DIR, bundleFile), JSON.stringify(buildBundle(info), null, 2));
+
+    const { optimizer, evmVersion } = info.compiler.settings;
+    console.log(`✅ Verification bundle saved at artifacts/${bundleFile}`);
+    console.log(`   Contract:  ${info.sourceName}:${info.contractName}`);
+    console.log(`   Compiler:  v${info.compiler.version}`);
+    console.log(`   Optimizer: ${optimizer.enabled ? `enabled, ${optimizer.runs} runs` : 'disabled'}; EVM version ${evmVersion}`);
+  }
+
+  console.log('\nTo verify, open the contract on the block explorer, choose "Verify & Publish" with the');
+  console.log('"Solidity (Standard JSON input)" method, pick the compiler version above and upload the bundle.');
+  console.log('For MultiSigFlareWallet, also paste the ABI-encoded constructor arguments (owners, threshold) if asked.');
+} catch (error) {
+  if (error.code === 'ENOENT') {
+    console.error('Verification bundle failed: no compiled artifacts. Run npm run compile:contract first.');
+  } else {
+    console.error('Verification bundle failed:', error.message);
+  }
+  process.exit(1);
+}
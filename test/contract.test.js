@@ -0,0 +1,281 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest"
+import { ZeroAddress, formatEther, parseEther } from "ethers"
+import {
+  acceptOwnership,
+  changeOwner,
+  deposit,
+  estimateWithdraw,
+  estimateWithdrawAll,
+  getContractBalance,
+  getContractHistory,
+  getWalletKind,
+  getContractOwner,
+  getPendingOwner,
+  supportsTwoStepOwnership,
+  withdraw,
+  withdrawAll,
+} from "@/lib/contract"
+import { ERROR_KINDS, WalletError } from "@/lib/errors"
+import { getDeploymentBlock, getProvider } from "@/lib/rpc"
+import {
+  deployLegacyWallet,
+  deployRejectingReceiver,
+  deployTestMultisig,
+  deployTestWallet,
+  getLocalProvider,
+  getLocalSigners,
+} from "./local-chain"
+
+/**
+ * Wait for a transaction returned by a lib/contract.js helper to be mined
+ */
+async function mined(txPromise) {
+  const tx = await txPromise
+  return tx.wait()
+}
+
+describe("SimpleFlareWallet via lib/contract.js", () => {
+  let owner, other, recipient, newOwner
+  let wallet
+
+  beforeAll(async () => {
+    ;[owner, other, recipient, newOwner] = await getLocalSigners(4)
+  })
+
+  beforeEach(async () => {
+    wallet = await deployTestWallet(owner)
+    // lib/contract.js logs every failure; the reverts below are expected
+    vi.spyOn(console, "error").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it("deploys a wallet owned by the deployer with no balance", async () => {
+    expect(await getContractOwner(wallet)).toBe(owner.address)
+    expect(await getPendingOwner(wallet)).toBeNull()
+    expect(await getContractBalance(wallet)).toBe("0.0")
+  })
+
+  describe("deposit", () => {
+    it("accepts FLR from any account", async () => {
+      await mined(deposit(other, "1.5", wallet))
+      await mined(deposit(owner, "0.5", wallet))
+      expect(await getContractBalance(wallet)).toBe("2.0")
+    })
+
+    it("rejects a zero deposit", async () => {
+      await expect(deposit(other, "0", wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "No FLR sent",
+      })
+    })
+  })
+
+  describe("withdraw", () => {
+    beforeEach(async () => {
+      await mined(deposit(other, "2", wallet))
+    })
+
+    it("sends the amount to the recipient", async () => {
+      const before = await getLocalProvider().getBalance(recipient.address)
+      await mined(withdraw(owner, recipient.address, "0.5", wallet))
+
+      expect(await getContractBalance(wallet)).toBe("1.5")
+      expect(await getLocalProvider().getBalance(recipient.address)).toBe(before + parseEther("0.5"))
+    })
+
+    it("reverts with \"Not owner\" for other accounts", async () => {
+      await expect(withdraw(other, other.address, "1", wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Not owner",
+        message: "Only the wallet owner can do this",
+      })
+    })
+
+    it("reverts with \"Zero address\" for the zero address", async () => {
+      await expect(withdraw(owner, ZeroAddress, "1", wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Zero address",
+      })
+    })
+
+    it("reverts with \"Insufficient balance\" above the balance", async () => {
+      await expect(withdraw(owner, recipient.address, "3", wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Insufficient balance",
+        message: "The wallet contract does not hold enough FLR",
+      })
+    })
+
+    it("reverts with \"Transfer failed\" when the recipient rejects FLR", async () => {
+      const receiver = await deployRejectingReceiver(owner)
+      await expect(withdraw(owner, receiver, "1", wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Transfer failed",
+        message: "The recipient rejected the FLR transfer",
+      })
+      expect(await getContractBalance(wallet)).toBe("2.0")
+    })
+  })
+
+  describe("withdrawAll", () => {
+    it("sends the whole balance to the recipient", async () => {
+      await mined(deposit(other, "1.25", wallet))
+      const before = await getLocalProvider().getBalance(recipient.address)
+      await mined(withdrawAll(owner, recipient.address, wallet))
+
+      expect(await getContractBalance(wallet)).toBe("0.0")
+      expect(formatEther((await getLocalProvider().getBalance(recipient.address)) - before)).toBe("1.25")
+    })
+
+    it("reverts with \"No balance\" when the wallet is empty", async () => {
+      await expect(withdrawAll(owner, recipient.address, wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "No balance",
+      })
+    })
+
+    it("reverts with \"Not owner\" for other accounts", async () => {
+      await mined(deposit(other, "1", wallet))
+      await expect(withdrawAll(other, other.address, wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Not owner",
+      })
+    })
+
+    it("reverts with \"Zero address\" for the zero address", async () => {
+      await mined(deposit(other, "1", wallet))
+      await expect(withdrawAll(owner, ZeroAddress, wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Zero address",
+      })
+    })
+  })
+
+  describe("changeOwner", () => {
+    it("transfers ownership once the proposed owner accepts", async () => {
+      await mined(changeOwner(owner, newOwner.address, wallet))
+      expect(await getPendingOwner(wallet)).toBe(newOwner.address)
+      expect(await getContractOwner(wallet)).toBe(owner.address)
+
+      await mined(acceptOwnership(newOwner, wallet))
+      expect(await getContractOwner(wallet)).toBe(newOwner.address)
+      expect(await getPendingOwner(wallet)).toBeNull()
+
+      await mined(deposit(other, "1", wallet))
+      await expect(withdraw(owner, owner.address, "1", wallet)).rejects.toMatchObject({ reason: "Not owner" })
+      await mined(withdraw(newOwner, recipient.address, "1", wallet))
+    })
+
+    it("reverts with \"Not owner\" for other accounts", async () => {
+      await expect(changeOwner(other, other.address, wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Not owner",
+      })
+    })
+
+    it("reverts with \"Zero address\" for the zero address", async () => {
+      await expect(changeOwner(owner, ZeroAddress, wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Zero address",
+      })
+    })
+
+    it("reverts with \"Already owner\" for the current owner", async () => {
+      await expect(changeOwner(owner, owner.address, wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Already owner",
+      })
+    })
+
+    it("only lets the proposed owner accept", async () => {
+      await mined(changeOwner(owner, newOwner.address, wallet))
+      await expect(acceptOwnership(other, wallet)).rejects.toMatchObject({
+        kind: ERROR_KINDS.CONTRACT_REVERT,
+        reason: "Not pending owner",
+      })
+    })
+
+    it("detects wallets deployed before two-step transfers, which change owner immediately", async () => {
+      const legacy = await deployLegacyWallet(owner)
+      expect(await supportsTwoStepOwnership(wallet)).toBe(true)
+      expect(await supportsTwoStepOwnership(legacy)).toBe(false)
+
+      await mined(changeOwner(owner, newOwner.address, legacy))
+      expect(await getContractOwner(legacy)).toBe(newOwner.address)
+      expect(await getPendingOwner(legacy)).toBeNull()
+    })
+  })
+
+  describe("estimateWithdraw", () => {
+    it("previews the fee and resulting balances", async () => {
+      await mined(deposit(other, "2", wallet))
+      const estimate = await estimateWithdraw(owner, recipient.address, "0.5", wallet)
+
+      expect(estimate.gasLimit).toBeGreaterThan(0n)
+      expect(estimate.value).toBe("0.0")
+      expect(estimate.contractBalance).toBe("1.5")
+      expect(estimate.queued).toBe(false)
+    })
+
+    it("reports the revert reason before anything is signed", async () => {
+      const error = await estimateWithdraw(other, other.address, "1", wallet).catch((e) => e)
+
+      expect(error).toBeInstanceOf(WalletError)
+      expect(error).toMatchObject({ kind: ERROR_KINDS.CONTRACT_REVERT, reason: "Not owner", retryable: false })
+    })
+
+    it("previews withdrawals from wallets deployed before spending limits", async () => {
+      const legacy = await deployLegacyWallet(owner)
+      await mined(deposit(other, "2", legacy))
+
+      const estimate = await estimateWithdraw(owner, recipient.address, "0.5", legacy)
+      expect(estimate).toMatchObject({ contractBalance: "1.5", queued: false })
+
+      const all = await estimateWithdrawAll(owner, recipient.address, legacy)
+      expect(all).toMatchObject({ contractBalance: "0.0", queued: false })
+    })
+  })
+
+  describe("getContractHistory", () => {
+    it("pages back to the deployment block and no further", async () => {
+      const deployedAt = await getDeploymentBlock(wallet)
+      expect(await getLocalProvider().getCode(wallet, deployedAt - 1)).toBe("0x")
+      expect(await getLocalProvider().getCode(wallet, deployedAt)).not.toBe("0x")
+
+      await mined(deposit(other, "1", wallet))
+      // More than one eth_getLogs range apart
+      await getLocalProvider().send("hardhat_mine", ["0x40"])
+      await mined(withdraw(owner, recipient.address, "0.25", wallet))
+
+      // The shared provider briefly caches the block number, so start from the local chain's head
+      const head = await getLocalProvider().getBlockNumber()
+      const page = await getContractHistory({ contractAddress: wallet, beforeBlock: head + 1, startBlock: deployedAt })
+      expect(page.entries).toMatchObject([
+        { type: "withdrawal", to: recipient.address, amount: "0.25" },
+        { type: "deposit", from: other.address, amount: "1.0" },
+      ])
+      expect(page.nextCursor).toBeNull()
+    })
+  })
+
+  describe("getWalletKind", () => {
+    it("tells simple and multisig wallets apart", async () => {
+      const multisig = await deployTestMultisig(owner, [owner.address, other.address], 2)
+
+      expect(await getWalletKind(wallet)).toBe("simple")
+      expect(await getWalletKind(multisig)).toBe("multisig")
+    })
+
+    it("does not remember a network failure as a simple wallet", async () => {
+      const multisig = await deployTestMultisig(owner, [owner.address, other.address], 2)
+      const failure = new WalletError(ERROR_KINDS.NETWORK)
+      vi.spyOn(getProvider(), "call").mockRejectedValueOnce(failure)
+
+      await expect(getWalletKind(multisig)).rejects.toBe(failure)
+      expect(await getWalletKind(multisig)).toBe("multisig")
+    })
+  })
+})
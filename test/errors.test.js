@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest"
+import { Interface, makeError } from "ethers"
+import { ERROR_KINDS, WalletError, getRevertReason, isRateLimitError, isWalletError, toWalletError } from "@/lib/errors"
+
+const errorInterface = new Interface(["error Error(string)"])
+
+/**
+ * Raw revert data of `require(false, reason)`, as returned by wallets and some RPCs
+ */
+function revertData(reason) {
+  return errorInterface.encodeErrorResult("Error", [reason])
+}
+
+describe("toWalletError", () => {
+  it("returns WalletErrors unchanged", () => {
+    const error = new WalletError(ERROR_KINDS.INVALID_INPUT)
+    expect(toWalletError(error)).toBe(error)
+  })
+
+  it("classifies wallet rejections", () => {
+    expect(toWalletError({ code: 4001, message: "User rejected the request." }).kind).toBe(ERROR_KINDS.USER_REJECTED)
+    expect(toWalletError(makeError("user rejected action", "ACTION_REJECTED", { action: "sendTransaction", reason: "rejected" })).kind)
+      .toBe(ERROR_KINDS.USER_REJECTED)
+  })
+
+  it("classifies rate limiting as retryable", () => {
+    const error = toWalletError({ code: -32005, message: "limit exceeded" })
+    expect(error.kind).toBe(ERROR_KINDS.RATE_LIMITED)
+    expect(error.retryable).toBe(true)
+    expect(isRateLimitError({ info: { error: { code: -32005 } } })).toBe(true)
+  })
+
+  it("finds provider codes nested by ethers", () => {
+    expect(toWalletError({ info: { error: { code: 4902 } } }).kind).toBe(ERROR_KINDS.WRONG_NETWORK)
+    expect(toWalletError({ error: { code: -32002 } }).kind).toBe(ERROR_KINDS.WALLET_UNAVAILABLE)
+  })
+
+  it("maps known revert reasons to friendly messages", () => {
+    const error = toWalletError(makeError("execution reverted", "CALL_EXCEPTION", { reason: "Not owner" }))
+    expect(error).toMatchObject({
+      kind: ERROR_KINDS.CONTRACT_REVERT,
+      reason: "Not owner",
+      message: "Only the wallet owner can do this",
+      retryable: false,
+    })
+  })
+
+  it("decodes raw revert data", () => {
+    const error = toWalletError({ message: "execution reverted", data: revertData("Insufficient balance") })
+    expect(error).toMatchObject({ kind: ERROR_KINDS.CONTRACT_REVERT, reason: "Insufficient balance" })
+    expect(getRevertReason({ info: { error: { data: { data: revertData("No balance") } } } })).toBe("No balance")
+  })
+
+  it("keeps unknown revert reasons", () => {
+    const error = toWalletError(makeError("execution reverted", "CALL_EXCEPTION", { reason: "Paused" }))
+    expect(error.message).toBe("Transaction would fail: Paused")
+  })
+
+  it("reports reverts without a reason", () => {
+    const error = toWalletError(makeError("execution reverted", "CALL_EXCEPTION", { reason: null }))
+    expect(error).toMatchObject({ kind: ERROR_KINDS.CONTRACT_REVERT, reason: null, message: "Transaction failed on-chain" })
+  })
+
+  it("classifies insufficient funds", () => {
+    expect(toWalletError(makeError("insufficient funds", "INSUFFICIENT_FUNDS", { transaction: {} })).kind)
+      .toBe(ERROR_KINDS.INSUFFICIENT_FUNDS)
+    expect(toWalletError({ message: "insufficient funds for gas * price + value" }).kind).toBe(ERROR_KINDS.INSUFFICIENT_FUNDS)
+  })
+
+  it("classifies invalid input and network failures", () => {
+    expect(toWalletError(makeError("invalid address", "INVALID_ARGUMENT", { argument: "to", value: "0x1" })).kind)
+      .toBe(ERROR_KINDS.INVALID_INPUT)
+    expect(toWalletError(new TypeError("fetch failed")).kind).toBe(ERROR_KINDS.NETWORK)
+  })
+
+  it("classifies Ledger status words", () => {
+    expect(toWalletError({ name: "TransportStatusError", statusCode: 0x6985 }).kind).toBe(ERROR_KINDS.USER_REJECTED)
+    expect(toWalletError({ name: "TransportStatusError", statusCode: 0x5515 })).toMatchObject({
+      kind: ERROR_KINDS.WALLET_UNAVAILABLE,
+      message: "Please unlock your Ledger",
+    })
+  })
+
+  it("falls back to the error message or the given fallback", () => {
+    expect(toWalletError(new Error("boom"))).toMatchObject({ kind: ERROR_KINDS.UNKNOWN, message: "boom" })
+    expect(toWalletError({}, "Failed to withdraw").message).toBe("Failed to withdraw")
+  })
+
+  it("keeps the original error as the cause", () => {
+    const cause = { code: 4001 }
+    const error = toWalletError(cause)
+    expect(error.cause).toBe(cause)
+    expect(isWalletError(error, ERROR_KINDS.USER_REJECTED)).toBe(true)
+    expect(isWalletError(cause)).toBe(false)
+  })
+})
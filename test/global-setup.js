@@ -0,0 +1,9 @@
+import { startLocalChain } from "./local-chain"
+
+/**
+ * Start one local chain for the whole run (test files run one at a time)
+ */
+export default async function setup() {
+  const chain = await startLocalChain()
+  return () => chain.close()
+}
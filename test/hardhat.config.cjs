@@ -0,0 +1,10 @@
+// In-process Hardhat network used by the test suite (see test/local-chain.js).
+// Contracts are compiled by scripts/compile-contract.js, not by Hardhat.
+module.exports = {
+  networks: {
+    hardhat: {
+      // Same chain id as the "local" entry in lib/flare.js
+      chainId: 31337,
+    },
+  },
+}
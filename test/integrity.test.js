@@ -0,0 +1,63 @@
+import { beforeAll, describe, expect, it } from "vitest"
+import { ContractFactory, Wallet } from "ethers"
+import { INTEGRITY_STATUS, checkContractIntegrity, stripMetadata } from "@/lib/integrity"
+import contractInfo from "@/artifacts/contract-info.json"
+import multisigInfo from "@/artifacts/multisig-info.json"
+import { deployRejectingReceiver, deployTestWallet, getLocalSigners } from "./local-chain"
+
+describe("stripMetadata", () => {
+  it("removes the CBOR metadata and its length", () => {
+    // 0x6080 followed by 3 bytes of metadata and their length (0x0003)
+    expect(stripMetadata("0x6080A264FF0003")).toBe("6080")
+  })
+
+  it("ignores a change of the metadata hash only", () => {
+    const code = contractInfo.deployedBytecode
+    // {"ipfs": <34-byte multihash>}: the digest follows the 0x1220 multihash prefix
+    const ipfsHash = code.lastIndexOf("a264697066735822") + 20
+    const otherBuild = code.slice(0, ipfsHash) + "00".repeat(32) + code.slice(ipfsHash + 64)
+
+    expect(otherBuild).not.toBe(code)
+    expect(stripMetadata(otherBuild)).toBe(stripMetadata(code))
+  })
+
+  it("keeps code without metadata", () => {
+    expect(stripMetadata("0x00")).toBe("00")
+  })
+})
+
+describe("checkContractIntegrity", () => {
+  let owner, other
+
+  beforeAll(async () => {
+    ;[owner, other] = await getLocalSigners(2)
+  })
+
+  it("verifies a wallet deployed from the artifacts", async () => {
+    const wallet = await deployTestWallet(owner)
+    expect(await checkContractIntegrity(wallet)).toEqual({
+      status: INTEGRITY_STATUS.VERIFIED,
+      contractName: "SimpleFlareWallet",
+      compilerVersion: contractInfo.compiler.version,
+    })
+  })
+
+  it("verifies a multisig wallet", async () => {
+    const factory = new ContractFactory(multisigInfo.abi, multisigInfo.bytecode, owner)
+    const contract = await factory.deploy([owner.address, other.address], 2)
+    await contract.waitForDeployment()
+
+    const result = await checkContractIntegrity(await contract.getAddress())
+    expect(result).toMatchObject({ status: INTEGRITY_STATUS.VERIFIED, contractName: "MultiSigFlareWallet" })
+  })
+
+  it("reports a mismatch for other code", async () => {
+    const receiver = await deployRejectingReceiver(owner)
+    expect(await checkContractIntegrity(receiver)).toMatchObject({ status: INTEGRITY_STATUS.MISMATCH, contractName: null })
+  })
+
+  it("reports addresses without code", async () => {
+    const result = await checkContractIntegrity(Wallet.createRandom().address)
+    expect(result.status).toBe(INTEGRITY_STATUS.NOT_DEPLOYED)
+  })
+})
@@ -0,0 +1,122 @@
+import fs from "node:fs"
+import path from "node:path"
+import { createRequire } from "node:module"
+import { fileURLToPath } from "node:url"
+import { ContractFactory, JsonRpcProvider } from "ethers"
+import { NETWORKS } from "@/lib/flare"
+import { deployWallet } from "@/lib/contract"
+import multisigInfo from "../artifacts/multisig-info.json"
+
+/**
+ * Port of the local chain; the "local" network in lib/flare.js is pointed at it by vitest.config.mjs
+ */
+export const LOCAL_CHAIN_PORT = 8546
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url))
+const HARDHAT_CONFIG = path.join(TEST_DIR, "hardhat.config.cjs")
+const LEGACY_WALLET_SOURCE = path.join(TEST_DIR, "fixtures", "SimpleFlareWalletV1.sol")
+
+/**
+ * Creation code of a contract whose runtime code is `PUSH1 0 PUSH1 0 REVERT`,
+ * so every call and plain FLR transfer to it fails
+ */
+const REJECTING_RECEIVER_BYTECODE = "0x6460006000fd6000526005601bf3"
+
+/**
+ * Start an in-process Hardhat network with a JSON-RPC server
+ * The default Hardhat accounts are unlocked and funded with 10000 ETH each.
+ * @param {{ port?: number }} [options]
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export async function startLocalChain({ port = LOCAL_CHAIN_PORT } = {}) {
+  // Read by Hardhat when it is first imported
+  process.env.HARDHAT_CONFIG = HARDHAT_CONFIG
+  process.env.HARDHAT_DISABLE_TELEMETRY_PROMPT = "true"
+
+  const { default: hre } = await import("hardhat")
+  const { TASK_NODE_CREATE_SERVER } = await import("hardhat/builtin-tasks/task-names")
+  const server = await hre.run(TASK_NODE_CREATE_SERVER, {
+    hostname: "127.0.0.1",
+    port,
+    provider: hre.network.provider,
+  })
+  await server.listen()
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => server.close(),
+  }
+}
+
+/**
+ * Provider for test accounts, separate from the app's shared provider in lib/rpc.js
+ * Polls quickly since the local chain mines every transaction immediately.
+ */
+export function getLocalProvider(url = NETWORKS.local.rpcUrls[0]) {
+  return new JsonRpcProvider(url, undefined, { staticNetwork: true, pollingInterval: 50 })
+}
+
+/**
+ * Unlocked signers for the local chain's accounts, in place of MetaMask
+ * @param {number} [count]
+ * @returns {Promise<import('ethers').JsonRpcSigner[]>}
+ */
+export async function getLocalSigners(count = 4) {
+  const provider = getLocalProvider()
+  return Promise.all(Array.from({ length: count }, (_, i) => provider.getSigner(i)))
+}
+
+/**
+ * Deploy a SimpleFlareWallet owned by `signer` with lib/contract.js (artifacts from scripts/compile-contract.js)
+ * @param {import('ethers').Signer} signer
+ * @returns {Promise<string>} Contract address
+ */
+export async function deployTestWallet(signer) {
+  const contract = await deployWallet(signer)
+  await contract.waitForDeployment()
+  return contract.getAddress()
+}
+
+/**
+ * Deploy a MultiSigFlareWallet (artifacts from scripts/compile-contract.js)
+ * @param {import('ethers').Signer} signer
+ * @param {string[]} owners
+ * @param {number} threshold - Confirmations needed to execute a proposal
+ * @returns {Promise<string>} Contract address
+ */
+export async function deployTestMultisig(signer, owners, threshold) {
+  const contract = await new ContractFactory(multisigInfo.abi, multisigInfo.bytecode, signer).deploy(owners, threshold)
+  await contract.waitForDeployment()
+  return contract.getAddress()
+}
+
+/**
+ * Deploy a contract that rejects every FLR transfer, to exercise "Transfer failed"
+ * @param {import('ethers').Signer} signer
+ * @returns {Promise<string>} Contract address
+ */
+export async function deployRejectingReceiver(signer) {
+  const tx = await signer.sendTransaction({ data: REJECTING_RECEIVER_BYTECODE })
+  const receipt = await tx.wait()
+  return /** @type {string} */ (receipt?.contractAddress)
+}
+
+/**
+ * Deploy the SimpleFlareWallet as first released (test/fixtures/SimpleFlareWalletV1.sol), which has no
+ * pending owner, spending limits or schedules, like the default Coston2 wallet
+ * Compiled with the same pinned solc as scripts/compile-contract.js.
+ * @param {import('ethers').Signer} signer
+ * @returns {Promise<string>} Contract address
+ */
+export async function deployLegacyWallet(signer) {
+  const solc = createRequire(import.meta.url)("solc")
+  const input = {
+    language: "Solidity",
+    sources: { "SimpleFlareWalletV1.sol": { content: fs.readFileSync(LEGACY_WALLET_SOURCE, "utf8") } },
+    settings: { outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } } },
+  }
+  const { abi, evm } = JSON.parse(solc.compile(JSON.stringify(input))).contracts["SimpleFlareWalletV1.sol"].SimpleFlareWallet
+  const contract = await new ContractFactory(abi, evm.bytecode.object, signer).deploy()
+  await contract.waitForDeployment()
+  return contract.getAddress()
+}
@@ -0,0 +1,4 @@
+import { setSelectedNetwork } from "@/lib/flare"
+
+// lib/ helpers default to the selected network; point them at the local chain
+setSelectedNetwork("local")
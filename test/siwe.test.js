@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest"
+import { Wallet } from "ethers"
+import { SIWE_STATEMENT, SIWE_TTL, createSiweMessage, generateNonce, parseSiweMessage, verifySiweProof } from "@/lib/siwe"
+
+const DOMAIN = "wallet.example"
+const SESSION = "0b5f6c1e-3d0a-4c1b-9d5e-7f2a8b9c0d1e"
+const NOW = Date.parse("2026-01-01T12:00:00.000Z")
+
+/**
+ * Signed proof as produced by signInWithEthereum
+ */
+async function signProof(signer, overrides = {}) {
+  const message = createSiweMessage({
+    domain: DOMAIN,
+    address: signer.address,
+    statement: SIWE_STATEMENT,
+    uri: `https://${DOMAIN}`,
+    chainId: 114,
+    nonce: generateNonce(),
+    issuedAt: new Date(NOW).toISOString(),
+    expirationTime: new Date(NOW + SIWE_TTL).toISOString(),
+    requestId: SESSION,
+    ...overrides,
+  })
+  return { message, signature: await signer.signMessage(message) }
+}
+
+describe("SIWE messages", () => {
+  it("round-trips the EIP-4361 fields", async () => {
+    const signer = Wallet.createRandom()
+    const { message } = await signProof(signer)
+
+    expect(message.split("\n")[0]).toBe(`${DOMAIN} wants you to sign in with your Ethereum account:`)
+    expect(parseSiweMessage(message)).toMatchObject({
+      domain: DOMAIN,
+      address: signer.address,
+      statement: SIWE_STATEMENT,
+      version: "1",
+      chainId: 114,
+      requestId: SESSION,
+    })
+    expect(parseSiweMessage("hello")).toBeNull()
+  })
+
+  it("uses alphanumeric nonces of at least 8 characters", () => {
+    expect(generateNonce()).toMatch(/^[a-z0-9]{8,}$/)
+    expect(generateNonce()).not.toBe(generateNonce())
+  })
+})
+
+describe("verifySiweProof", () => {
+  const expected = { requestId: SESSION, domain: DOMAIN, now: NOW + 1000 }
+
+  it("returns the address of a valid proof", async () => {
+    const signer = Wallet.createRandom()
+    expect(verifySiweProof(await signProof(signer), expected)).toBe(signer.address)
+  })
+
+  it("rejects a signature by another account", async () => {
+    const proof = await signProof(Wallet.createRandom())
+    const forged = { ...proof, signature: (await signProof(Wallet.createRandom())).signature }
+    expect(verifySiweProof(forged, expected)).toBeNull()
+  })
+
+  it("rejects a tampered message", async () => {
+    const signer = Wallet.createRandom()
+    const proof = await signProof(signer)
+    const other = Wallet.createRandom().address
+    expect(verifySiweProof({ ...proof, message: proof.message.replace(signer.address, other) }, expected)).toBeNull()
+  })
+
+  it("rejects proofs for another session or site", async () => {
+    const proof = await signProof(Wallet.createRandom())
+    expect(verifySiweProof(proof, { ...expected, requestId: "someone-else" })).toBeNull()
+    expect(verifySiweProof(proof, { ...expected, domain: "phishing.example" })).toBeNull()
+  })
+
+  it("rejects expired proofs and proofs valid for longer than the TTL", async () => {
+    const signer = Wallet.createRandom()
+    expect(verifySiweProof(await signProof(signer), { ...expected, now: NOW + SIWE_TTL + 1 })).toBeNull()
+    const longLived = await signProof(signer, { expirationTime: new Date(NOW + 2 * SIWE_TTL).toISOString() })
+    expect(verifySiweProof(longLived, expected)).toBeNull()
+  })
+
+  it("ignores missing or malformed proofs", () => {
+    expect(verifySiweProof(null, expected)).toBeNull()
+    expect(verifySiweProof({ message: "hello", signature: "0x" }, expected)).toBeNull()
+  })
+})
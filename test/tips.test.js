@@ -0,0 +1,88 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest"
+import { parseEther } from "ethers"
+import { estimateTip, sendTip, verifyTip } from "@/lib/tips"
+import { NETWORKS } from "@/lib/flare"
+import { getProvider } from "@/lib/rpc"
+import { ERROR_KINDS } from "@/lib/errors"
+import { getLocalProvider, getLocalSigners } from "./local-chain"
+
+describe("plaza tips via lib/tips.js", () => {
+  let tipper, recipient, other
+
+  beforeAll(async () => {
+    ;[tipper, recipient, other] = await getLocalSigners(3)
+  })
+
+  beforeEach(() => {
+    // lib/tips.js logs failures; the ones below are expected
+    vi.spyOn(console, "error").mockImplementation(() => {})
+    vi.spyOn(console, "warn").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it("estimates the fee and resulting balance", async () => {
+    const estimate = await estimateTip(tipper, recipient.address, "1.5")
+
+    expect(estimate.gasLimit).toBeGreaterThanOrEqual(21000n)
+    expect(estimate.value).toBe("1.5")
+    expect(parseEther(estimate.total)).toBe(parseEther("1.5") + parseEther(estimate.fee))
+  })
+
+  it("sends FLR to the recipient", async () => {
+    const before = await getLocalProvider().getBalance(recipient.address)
+    const receipt = await (await sendTip(tipper, recipient.address, "2")).wait()
+
+    expect(receipt.status).toBe(1)
+    expect(await getLocalProvider().getBalance(recipient.address)).toBe(before + parseEther("2"))
+  })
+
+  it("rejects invalid tips before anything is signed", async () => {
+    await expect(sendTip(tipper, tipper.address, "1")).rejects.toMatchObject({ kind: ERROR_KINDS.INVALID_INPUT })
+    await expect(sendTip(tipper, recipient.address, "0")).rejects.toMatchObject({ kind: ERROR_KINDS.INVALID_INPUT })
+    await expect(estimateTip(tipper, "not an address", "1")).rejects.toMatchObject({ kind: ERROR_KINDS.INVALID_INPUT })
+  })
+
+  it("reports tips above the balance", async () => {
+    await expect(estimateTip(tipper, recipient.address, "1000000000")).rejects.toMatchObject({
+      kind: ERROR_KINDS.INSUFFICIENT_FUNDS,
+    })
+  })
+
+  describe("verifyTip", () => {
+    let tip
+
+    beforeAll(async () => {
+      const receipt = await (await sendTip(tipper, recipient.address, "0.25")).wait()
+      tip = { hash: receipt.hash, chainId: NETWORKS.local.chainId, from: tipper.address, to: recipient.address, amount: "0.25" }
+    })
+
+    it("accepts an announcement that matches the chain", async () => {
+      expect(await verifyTip(tip)).toBe(true)
+    })
+
+    it("rejects announcements that do not match the transfer", async () => {
+      expect(await verifyTip({ ...tip, amount: "25" })).toBe(false)
+      expect(await verifyTip({ ...tip, from: other.address })).toBe(false)
+      expect(await verifyTip({ ...tip, to: other.address })).toBe(false)
+      expect(await verifyTip({ ...tip, chainId: 114 })).toBe(false)
+      expect(await verifyTip({ ...tip, hash: `0x${"00".repeat(32)}` }, NETWORKS.local, { retryDelays: [] })).toBe(false)
+    })
+
+    it("checks again when the RPC node has not seen the transfer yet", async () => {
+      const getReceipt = vi.spyOn(getProvider(), "getTransactionReceipt").mockResolvedValueOnce(null)
+
+      expect(await verifyTip(tip, NETWORKS.local, { retryDelays: [10] })).toBe(true)
+      expect(getReceipt).toHaveBeenCalledTimes(2)
+    })
+
+    it("gives up on a transfer that never appears", async () => {
+      const getTransaction = vi.spyOn(getProvider(), "getTransaction")
+
+      expect(await verifyTip({ ...tip, hash: `0x${"00".repeat(32)}` }, NETWORKS.local, { retryDelays: [10, 10] })).toBe(false)
+      expect(getTransaction).toHaveBeenCalledTimes(3)
+    })
+  })
+})
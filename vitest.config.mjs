@@ -0,0 +1,24 @@
+import { fileURLToPath } from "node:url"
+import { defineConfig } from "vitest/config"
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": fileURLToPath(new URL(".", import.meta.url)),
+    },
+  },
+  test: {
+    environment: "node",
+    include: ["test/**/*.test.js"],
+    globalSetup: ["test/global-setup.js"],
+    setupFiles: ["test/setup.js"],
+    // Must match LOCAL_CHAIN_PORT in test/local-chain.js
+    env: {
+      NEXT_PUBLIC_LOCAL_RPC_URL: "http://127.0.0.1:8546",
+    },
+    // All files share the one local chain
+    fileParallelism: false,
+    testTimeout: 30000,
+    hookTimeout: 60000,
+  },
+})